@@ -0,0 +1,7 @@
+const { createServer } = require("./server");
+const { OPENAPI } = require("./openapi");
+
+module.exports = {
+  createServer,
+  OPENAPI,
+};
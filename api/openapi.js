@@ -0,0 +1,212 @@
+const { BOUNTY_STATES } = require("../sdk/params");
+
+// =============================================================================
+// OPENAPI SCHEMA
+// =============================================================================
+//
+// Served at GET /openapi.json. Amounts are decimal strings in the bounty token's
+// base units (wei for ETH), addresses are checksummed.
+
+const address = { type: "string", pattern: "^0x[0-9a-fA-F]{40}$" };
+const amount = { type: "string", pattern: "^[0-9]+$", description: "Token base units" };
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ content: { "application/json": { schema } } });
+
+const errorResponse = (description) => ({ description, ...json(ref("Error")) });
+
+const pageParams = [
+  { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 100, default: 20 } },
+  { name: "offset", in: "query", schema: { type: "integer", minimum: 0, default: 0 } },
+];
+
+const OPENAPI = {
+  openapi: "3.0.3",
+  info: {
+    title: "Poidh API",
+    version: "1.0.0",
+    description: "Read-only bounty data from the Poidh indexer",
+  },
+  paths: {
+    "/status": {
+      get: {
+        summary: "Indexed factory and last indexed block",
+        responses: { 200: { description: "Indexer status", ...json(ref("Status")) } },
+      },
+    },
+    "/bounties": {
+      get: {
+        summary: "List bounties, newest first",
+        parameters: [
+          { name: "state", in: "query", schema: { type: "string", enum: BOUNTY_STATES } },
+          { name: "joinable", in: "query", schema: { type: "boolean" } },
+          { name: "issuer", in: "query", description: "Current issuer", schema: address },
+          { name: "token", in: "query", description: "Zero address for ETH", schema: address },
+          { name: "minAmount", in: "query", description: "Minimum amount staked", schema: amount },
+          { name: "maxAmount", in: "query", description: "Maximum amount staked", schema: amount },
+          ...pageParams,
+        ],
+        responses: {
+          200: { description: "A page of bounties", ...json(ref("BountyPage")) },
+          400: errorResponse("Invalid query parameter"),
+        },
+      },
+    },
+    "/bounties/{address}": {
+      get: {
+        summary: "A bounty with its claims, contributors, votes and payouts",
+        parameters: [{ name: "address", in: "path", required: true, schema: address }],
+        responses: {
+          200: { description: "The bounty", ...json(ref("BountyDetail")) },
+          400: errorResponse("Invalid address"),
+          404: errorResponse("Bounty not indexed"),
+        },
+      },
+    },
+    "/accounts/{address}": {
+      get: {
+        summary: "An account's bounties, contributions, claims and payouts",
+        parameters: [{ name: "address", in: "path", required: true, schema: address }],
+        responses: {
+          200: { description: "The account's portfolio", ...json(ref("Portfolio")) },
+          400: errorResponse("Invalid address"),
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } },
+      },
+      Status: {
+        type: "object",
+        properties: {
+          factory: address,
+          blockNumber: { type: "integer", nullable: true },
+          blockHash: { type: "string", nullable: true },
+        },
+      },
+      Bounty: {
+        type: "object",
+        properties: {
+          address,
+          index: { type: "integer" },
+          issuer: address,
+          token: address,
+          metadataURI: { type: "string" },
+          joinable: { type: "boolean" },
+          milestones: { type: "integer", description: "Number of milestone tranches, 0 = single payout" },
+          state: { type: "string", enum: BOUNTY_STATES },
+          votingRound: { type: "integer", description: "Round of the latest vote, 0 before the first" },
+          totalStaked: amount,
+          totalJoined: amount,
+          totalWithdrawn: amount,
+          totalPaid: amount,
+          claimsCount: { type: "integer" },
+          createdBlock: { type: "integer" },
+          createdTransaction: { type: "string" },
+          updatedBlock: { type: "integer" },
+        },
+      },
+      BountyPage: {
+        type: "object",
+        properties: {
+          items: { type: "array", items: ref("Bounty") },
+          total: { type: "integer", description: "Bounties matching the filters" },
+          limit: { type: "integer" },
+          offset: { type: "integer" },
+        },
+      },
+      Claim: {
+        type: "object",
+        properties: {
+          claimId: { type: "integer" },
+          claimant: address,
+          name: { type: "string" },
+          proofURI: { type: "string" },
+          status: { type: "string", enum: ["ACTIVE", "WITHDRAWN", "AMENDED"] },
+          createdBlock: { type: "integer" },
+          createdTransaction: { type: "string" },
+        },
+      },
+      Contributor: {
+        type: "object",
+        properties: {
+          account: address,
+          shares: amount,
+          stake: { ...amount, description: "Amount the account can withdraw, as account_Stake" },
+          joined: amount,
+          withdrawn: amount,
+        },
+      },
+      Vote: {
+        type: "object",
+        properties: {
+          round: { type: "integer" },
+          claimId: { type: "integer" },
+          deadline: { type: "integer", description: "Unix seconds" },
+          yes: amount,
+          no: amount,
+          status: { type: "string", enum: ["VOTING", "PASSED", "FAILED", "ABANDONED"] },
+          startedBlock: { type: "integer" },
+          casts: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: { voter: address, support: { type: "boolean" }, weight: amount },
+            },
+          },
+        },
+      },
+      Payout: {
+        type: "object",
+        properties: {
+          winner: address,
+          kind: { type: "string", enum: ["REWARD", "TIP"], description: "Winner reward, or runner-up tip (zero fee)" },
+          reward: amount,
+          fee: amount,
+          transactionHash: { type: "string" },
+        },
+      },
+      BountyDetail: {
+        allOf: [
+          ref("Bounty"),
+          {
+            type: "object",
+            properties: {
+              claims: { type: "array", items: ref("Claim") },
+              contributors: { type: "array", items: ref("Contributor") },
+              votes: { type: "array", items: ref("Vote") },
+              payouts: { type: "array", items: ref("Payout") },
+            },
+          },
+        ],
+      },
+      Portfolio: {
+        type: "object",
+        properties: {
+          address,
+          issued: { type: "array", items: ref("Bounty"), description: "Bounties the account is the issuer of" },
+          contributions: {
+            type: "array",
+            items: { allOf: [ref("Contributor"), { type: "object", properties: { bounty: address } }] },
+          },
+          claims: {
+            type: "array",
+            items: { allOf: [ref("Claim"), { type: "object", properties: { bounty: address } }] },
+          },
+          payouts: {
+            type: "array",
+            items: { allOf: [ref("Payout"), { type: "object", properties: { bounty: address } }] },
+          },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  OPENAPI,
+};
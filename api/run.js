@@ -0,0 +1,26 @@
+const { startIndexer } = require("../indexer/run");
+const { createServer } = require("./server");
+
+// =============================================================================
+// MAIN
+// =============================================================================
+//
+// Runs the indexer and serves its database over HTTP.
+//
+// Usage:
+//   DEPLOYMENT=localhost PORT=3000 yarn api
+//
+// Indexer settings are the environment variables of indexer/run.js.
+
+async function main() {
+  const indexer = await startIndexer();
+  const port = Number(process.env.PORT || 3000);
+  createServer(indexer).listen(port, () => {
+    console.log(`API listening on http://localhost:${port} (schema at /openapi.json)`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
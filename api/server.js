@@ -0,0 +1,168 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { BOUNTY_STATES } = require("../sdk/params");
+const { OPENAPI } = require("./openapi");
+
+// =============================================================================
+// POIDH API
+// =============================================================================
+//
+// Read-only HTTP server over a PoidhIndexer's database, documented by ./openapi.
+// Every route is a GET returning JSON; bad parameters answer 400 and unknown
+// bounties or routes 404, with an `{ error }` body.
+//
+//   const server = createServer(indexer);
+//   server.listen(3000);
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/*//////////////////////////////////////////////////////////////
+                            PARAMETERS
+//////////////////////////////////////////////////////////////*/
+
+function parseAddress(value, name) {
+  if (!ethers.utils.isAddress(value)) throw new HttpError(400, `Invalid ${name}: ${value}`);
+  return ethers.utils.getAddress(value);
+}
+
+function parseInteger(value, name, min, max) {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < min || number > max) {
+    throw new HttpError(400, `Invalid ${name}: ${value}, expected an integer from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// Token base units, kept as a string: wei amounts exceed Number precision
+function parseAmount(value, name) {
+  if (!/^\d+$/.test(value)) throw new HttpError(400, `Invalid ${name}: ${value}, expected an amount in base units`);
+  return value;
+}
+
+const BOUNTY_FILTERS = {
+  state: (value) => {
+    if (!BOUNTY_STATES.includes(value)) throw new HttpError(400, `Invalid state: ${value}, expected one of ${BOUNTY_STATES.join(", ")}`);
+    return value;
+  },
+  joinable: (value) => {
+    if (value !== "true" && value !== "false") throw new HttpError(400, `Invalid joinable: ${value}, expected true or false`);
+    return value === "true";
+  },
+  issuer: (value) => parseAddress(value, "issuer"),
+  token: (value) => parseAddress(value, "token"),
+  minAmount: (value) => parseAmount(value, "minAmount"),
+  maxAmount: (value) => parseAmount(value, "maxAmount"),
+  limit: (value) => parseInteger(value, "limit", 1, MAX_LIMIT),
+  offset: (value) => parseInteger(value, "offset", 0, Number.MAX_SAFE_INTEGER),
+};
+
+function parseBountyFilters(searchParams) {
+  const filters = { limit: DEFAULT_LIMIT, offset: 0 };
+  for (const [name, value] of searchParams) {
+    if (!BOUNTY_FILTERS[name]) throw new HttpError(400, `Unknown query parameter: ${name}`);
+    filters[name] = BOUNTY_FILTERS[name](value);
+  }
+  return filters;
+}
+
+/*//////////////////////////////////////////////////////////////
+                              ROUTES
+//////////////////////////////////////////////////////////////*/
+
+function listBounties(indexer, searchParams) {
+  const { limit, offset, ...filters } = parseBountyFilters(searchParams);
+  return {
+    items: indexer.getBounties({ ...filters, limit, offset }),
+    total: indexer.countBounties(filters),
+    limit,
+    offset,
+  };
+}
+
+function getBounty(indexer, address) {
+  const bounty = indexer.getBounty(parseAddress(address, "address"));
+  if (!bounty) throw new HttpError(404, `Bounty not indexed: ${address}`);
+  return {
+    ...bounty,
+    claims: indexer.getClaims(bounty.address),
+    contributors: indexer.getContributions(bounty.address),
+    votes: indexer.getVotes(bounty.address),
+    payouts: indexer.getPayouts(bounty.address),
+  };
+}
+
+function getPortfolio(indexer, address) {
+  const account = parseAddress(address, "address");
+  return {
+    address: account,
+    issued: indexer.getBounties({ issuer: account, limit: -1 }), // SQLite reads a negative limit as none
+    contributions: indexer.getAccountContributions(account),
+    claims: indexer.getAccountClaims(account),
+    payouts: indexer.getAccountPayouts(account),
+  };
+}
+
+function getStatus(indexer) {
+  const checkpoint = indexer.getCheckpoint();
+  return {
+    factory: indexer.factory,
+    blockNumber: checkpoint ? checkpoint.blockNumber : null,
+    blockHash: checkpoint ? checkpoint.blockHash : null,
+  };
+}
+
+const ROUTES = [
+  [/^\/openapi\.json$/, () => OPENAPI],
+  [/^\/status$/, (indexer) => getStatus(indexer)],
+  [/^\/bounties$/, (indexer, url) => listBounties(indexer, url.searchParams)],
+  [/^\/bounties\/([^/]+)$/, (indexer, url, address) => getBounty(indexer, address)],
+  [/^\/accounts\/([^/]+)$/, (indexer, url, address) => getPortfolio(indexer, address)],
+];
+
+function route(indexer, request) {
+  const url = new URL(request.url, "http://localhost");
+  for (const [pattern, handler] of ROUTES) {
+    const match = url.pathname.match(pattern);
+    if (!match) continue;
+    if (request.method !== "GET") throw new HttpError(405, `Method not allowed: ${request.method}`);
+    return handler(indexer, url, ...match.slice(1));
+  }
+  throw new HttpError(404, `Not found: ${url.pathname}`);
+}
+
+/*//////////////////////////////////////////////////////////////
+                              SERVER
+//////////////////////////////////////////////////////////////*/
+
+function createServer(indexer) {
+  return http.createServer((request, response) => {
+    let status = 200;
+    let body;
+    try {
+      body = route(indexer, request);
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      body = { error: error instanceof HttpError ? error.message : "Internal server error" };
+      if (status === 500) console.error(error);
+    }
+
+    response.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      ...(status === 405 ? { Allow: "GET" } : {}),
+    });
+    response.end(JSON.stringify(body));
+  });
+}
+
+module.exports = {
+  createServer,
+};
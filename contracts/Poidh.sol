@@ -3,15 +3,24 @@ pragma solidity 0.8.19;
 
 import {Initializable} from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import {MerkleProof} from "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import {IPoidhFactory} from "./interfaces/IPoidhFactory.sol";
 
 /**
  * @title Poidh (Pics Or It Didn't Happen)
  * @author heesho
  * @notice Bounty logic contract for the Poidh protocol. Handles crowdfunded bounties
  *         with optimistic, community-ratified voting. Contributors vote to ratify
- *         the issuer's selected winning claim. Uses EIP-1167 clone pattern.
+ *         the issuer's selected winning claim. Bounties are denominated in native
+ *         ETH or a single ERC-20 token. Votes can be cast directly or relayed as
+ *         EIP-712 signatures. Uses EIP-1167 clone pattern.
  */
-contract Poidh is Initializable, ReentrancyGuard {
+contract Poidh is Initializable, ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
 
     /*//////////////////////////////////////////////////////////////
                                 TYPES
@@ -19,19 +28,64 @@ contract Poidh is Initializable, ReentrancyGuard {
 
     enum State {
         OPEN,       // accepting funds and claims, withdrawals allowed
-        VOTING,     // funds locked, contributors voting on claim
+        VOTING,     // funds locked, contributors voting on claim(s)
         CLOSED,     // vote passed, funds paid out
-        CANCELLED   // issuer cancelled, contributors can claim refunds
+        CANCELLED,  // issuer cancelled, contributors can claim refunds
+        EXPIRED,    // expiry passed without payout, contributors can claim refunds
+        DISPUTED    // claimant escalated to the arbitrator, funds locked until ruling
+    }
+
+    enum BondStatus {
+        NONE,       // no bond was required when the claim was submitted
+        LOCKED,     // bond held by the bounty
+        REFUNDED,   // bond returned to the claimant
+        SLASHED     // bond moved into the pool by the issuer
+    }
+
+    enum ClaimStatus {
+        ACTIVE,     // submitted and unchanged
+        WITHDRAWN,  // retracted by the claimant, cannot be voted on
+        AMENDED     // name or proof updated by the claimant
     }
 
     struct Claim {
         address claimant;   // address that submitted the claim
         string name;        // short name/title for UI display
         string proofURI;    // IPFS hash pointing to full work/proof
+        ClaimStatus status; // active, withdrawn or amended
+    }
+
+    struct BountyParams {
+        address token;          // ERC-20 bounty currency, zero address = native ETH
+        uint256 amount;         // token amount funding the issuer's stake (ignored for ETH)
+        uint256 expiry;         // timestamp after which the bounty can be expired, 0 = never
+        uint256 votingPeriod;   // duration of each voting round
+        uint256 quorum;         // percent of non-issuer shares that must vote for a vote to pass
+        uint256 passThreshold;  // percent of cast votes that must be yes for a vote to pass
+        address arbitrator;     // address that rules on claimant disputes, zero = no disputes
+        uint256[] milestones;   // tranche shares in basis points summing to SPLIT_BPS, empty = single payout
+        uint256 claimBond;      // amount claimants lock when submitting a claim, 0 = no bond
+        bool claimAllowlist;    // only allowlisted addresses can submit claims
+        bool joinAllowlist;     // only allowlisted addresses can join
+        bytes32 claimantRoot;   // Merkle root of addresses that can register as claimants, zero = none
+        bytes32 contributorRoot; // Merkle root of addresses that can register as contributors, zero = none
+        address referrer;       // frontend credited with part of the fee, zero = none
+    }
+
+    struct Split {
+        uint256 claimId;  // index of winning claim
+        uint256 share;    // share of the reward in basis points
+    }
+
+    struct SignedVote {
+        address voter;      // contributor who signed the vote
+        bool support;       // true = Yes, false = No
+        uint256 deadline;   // timestamp after which the signature is no longer valid
+        bytes signature;    // EIP-712 signature over the Vote struct
     }
 
     struct VoteConfig {
-        uint256 claimId;      // index of claim being voted on
+        uint256 claimId;      // index of claim being voted on (first winner for split votes)
         uint256 yes;          // total weight of yes votes
         uint256 no;           // total weight of no votes
         uint256 deadline;     // timestamp when voting ends
@@ -42,26 +96,74 @@ contract Poidh is Initializable, ReentrancyGuard {
                                 CONSTANTS
     //////////////////////////////////////////////////////////////*/
 
-    uint256 public constant TREASURY_FEE = 25;       // 2.5% fee (25/1000)
-    uint256 public constant VOTING_PERIOD = 2 days;  // duration of voting period
+    uint256 public constant SPLIT_BPS = 10000;       // split shares are expressed in basis points
+    uint256 public constant MAX_WINNERS = 10;        // max claims in a split, bounds the payout loop
+    uint256 public constant MAX_MILESTONES = 10;     // max tranches in a milestone bounty
+    uint256 public constant MAX_TIP_BPS = 1000;      // tips share at most 10% of a payout
+    uint256 public constant DISPUTE_FAILED_ROUNDS = 3;           // failed votes after which a claimant can dispute
+    uint256 public constant DISPUTE_INACTIVITY_PERIOD = 30 days; // issuer inactivity after which a claimant can dispute
+    uint256 public constant DISPUTE_RULING_PERIOD = 30 days;     // time the arbitrator has to rule before anyone can cancel
+
+    bytes32 public constant VOTE_TYPEHASH =
+        keccak256("Vote(address bounty,uint256 round,bool support,uint256 nonce,uint256 deadline)");
 
     /*//////////////////////////////////////////////////////////////
                                 STATE
     //////////////////////////////////////////////////////////////*/
 
     address public issuer;      // bounty creator, can start votes and cancel
+    address public pendingIssuer;  // proposed next issuer, must call acceptIssuer, zero = none
     address public treasury;    // protocol fee recipient
+    address public factory;     // factory that deployed this bounty, records funding stats
+    uint256 public treasuryFee; // fee per 1000 of each payout, snapshotted from the factory at creation
+    address public referrer;    // frontend that routed the bounty, zero = none
+    uint256 public referrerShare;  // percent of the fee credited to the referrer, snapshotted from the factory
+    address public token;       // bounty currency, zero address = native ETH
     string public metadataURI;  // IPFS hash of bounty details (title, description, etc)
     State public state;         // current bounty state
     bool public joinable;       // true = open bounty, false = solo bounty
+    uint256 public expiry;      // timestamp after which anyone can expire the bounty, 0 = never
+    address public arbitrator;  // rules on disputes, zero address = disputes disabled
+    uint256 public lastIssuerActivity;  // timestamp of creation or the issuer's last started vote
+    uint256 public failedVotes;         // failed votes since creation or the last paid tranche
+    uint256 public disputedAt;          // timestamp the bounty was disputed, zero = never
+
+    uint256[] public milestones;        // tranche shares in basis points, empty = single payout
+    uint256 public currentMilestone;    // index of the next tranche to release
+
+    uint256 public claimBond;                                   // amount locked per claim, 0 = no bond
+    uint256 public totalBonds;                                  // bonds held outside the pool
+    mapping(uint256 => uint256) public claim_Bond;              // claimId => amount locked
+    mapping(uint256 => BondStatus) public claim_BondStatus;     // claimId => bond status
+
+    bool public claimAllowlist;                         // true = only allowlisted addresses can submit claims
+    bool public joinAllowlist;                          // true = only allowlisted addresses can join
+    bytes32 public claimantRoot;                        // Merkle root for registerClaimant, zero = none
+    bytes32 public contributorRoot;                     // Merkle root for registerContributor, zero = none
+    mapping(address => bool) public account_CanClaim;   // account => allowed to submit claims
+    mapping(address => bool) public account_CanJoin;    // account => allowed to join
+
+    uint256 public votingPeriod;   // duration of each voting round
+    uint256 public quorum;         // percent of non-issuer shares that must vote (0 = no quorum)
+    uint256 public passThreshold;  // percent of cast votes that must be yes
 
-    mapping(address => uint256) public account_Stake;  // contributor => ETH staked
-    uint256 public totalStaked;                        // total ETH in bounty pool
+    mapping(address => uint256) public account_Shares;  // contributor => pool shares, also its voting weight
+    uint256 public totalShares;                         // total pool shares outstanding
+    uint256 public totalStaked;                         // total amount in bounty pool, balance minus totalBonds and totalPayouts
+
+    mapping(address => uint256) public account_Payout;  // recipient => rewards, tips and fees awaiting claimPayout
+    uint256 public totalPayouts;                        // credited payouts not yet claimed
+
+    mapping(address => address) public account_Delegate;         // contributor => delegate, zero = votes itself
+    mapping(address => uint256) public account_DelegatedWeight;  // delegate => shares delegated to it
 
     Claim[] public claims;          // all submitted claims
     VoteConfig public currentVote;  // active voting configuration
+    Split[] internal proposedSplit; // winning claims and reward shares under vote
+    Split[] internal proposedTips;  // non-winning claims tipped from the next passed vote's payout
 
     mapping(address => mapping(uint256 => bool)) public account_Round_HasVoted;  // contributor => round => has voted
+    mapping(address => uint256) public nonces;                                   // contributor => next signed vote nonce
 
     /*//////////////////////////////////////////////////////////////
                                 ERRORS
@@ -81,6 +183,34 @@ contract Poidh is Initializable, ReentrancyGuard {
     error Poidh__AlreadyVotedThisRound();
     error Poidh__NoStakeInBounty();
     error Poidh__IssuerCannotVote();
+    error Poidh__InvalidCurrency();
+    error Poidh__NoTokensSent();
+    error Poidh__InvalidExpiry();
+    error Poidh__BountyExpired();
+    error Poidh__NotExpired();
+    error Poidh__InvalidSplit();
+    error Poidh__InvalidVoteConfig();
+    error Poidh__SignatureExpired();
+    error Poidh__InvalidSignature();
+    error Poidh__InvalidDelegate();
+    error Poidh__InvalidArbitrator();
+    error Poidh__NoArbitrator();
+    error Poidh__OnlyArbitrator();
+    error Poidh__OnlyClaimant();
+    error Poidh__DisputeNotAllowed();
+    error Poidh__NotDisputed();
+    error Poidh__RulingPeriodNotOver();
+    error Poidh__InvalidMilestones();
+    error Poidh__InvalidBond();
+    error Poidh__BondNotLocked();
+    error Poidh__BondNotRefundable();
+    error Poidh__WithdrawnClaim();
+    error Poidh__NotAllowlisted();
+    error Poidh__InvalidProof();
+    error Poidh__InvalidIssuer();
+    error Poidh__OnlyPendingIssuer();
+    error Poidh__InvalidTips();
+    error Poidh__NoPayout();
 
     /*//////////////////////////////////////////////////////////////
                                 EVENTS
@@ -90,10 +220,38 @@ contract Poidh is Initializable, ReentrancyGuard {
     event Poidh__Withdrawn(address indexed user, uint256 amount);
     event Poidh__ClaimSubmitted(uint256 indexed claimId, address indexed claimant, string name, string proofURI);
     event Poidh__VoteStarted(uint256 indexed claimId, uint256 deadline, uint256 round);
+    event Poidh__SplitProposed(uint256[] claimIds, uint256[] shares, uint256 round);
     event Poidh__VoteCast(address indexed voter, bool support, uint256 weight);
     event Poidh__BountyPaid(address indexed winner, uint256 reward, uint256 fee);
     event Poidh__VoteFailed(uint256 indexed claimId, uint256 round);
     event Poidh__Cancelled();
+    event Poidh__Expired();
+    event Poidh__DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event Poidh__DelegatedWeightChanged(address indexed delegate, uint256 previousWeight, uint256 newWeight);
+    event Poidh__Disputed(uint256 indexed claimId, address indexed claimant, uint256 round);
+    event Poidh__DisputeRuled(bool award, uint256 claimId);
+    event Poidh__MilestonePaid(uint256 indexed milestone, uint256 amount);
+    event Poidh__BondLocked(uint256 indexed claimId, address indexed claimant, uint256 amount);
+    event Poidh__BondRefunded(uint256 indexed claimId, address indexed claimant, uint256 amount);
+    event Poidh__BondSlashed(uint256 indexed claimId, uint256 amount);
+    event Poidh__ClaimWithdrawn(uint256 indexed claimId, address indexed claimant);
+    event Poidh__ClaimUpdated(uint256 indexed claimId, address indexed claimant, string name, string proofURI);
+    event Poidh__ClaimantAllowed(address indexed account, bool allowed);
+    event Poidh__ContributorAllowed(address indexed account, bool allowed);
+    event Poidh__AllowlistRootsUpdated(bytes32 claimantRoot, bytes32 contributorRoot);
+    event Poidh__IssuerProposed(address indexed issuer, address indexed pendingIssuer);
+    event Poidh__IssuerTransferred(address indexed previousIssuer, address indexed newIssuer);
+    event Poidh__TipsProposed(uint256[] claimIds, uint256[] shares);
+    event Poidh__TipPaid(uint256 indexed claimId, address indexed claimant, uint256 amount);
+    event Poidh__PayoutClaimed(address indexed account, uint256 amount);
+
+    /*//////////////////////////////////////////////////////////////
+                              CONSTRUCTOR
+    //////////////////////////////////////////////////////////////*/
+
+    /// @dev Sets the EIP-712 domain name/version, shared by all clones. The domain
+    ///      separator is rebuilt per clone since verifyingContract is the clone address.
+    constructor() EIP712("Poidh", "1") {}
 
     /*//////////////////////////////////////////////////////////////
                               INITIALIZER
@@ -102,26 +260,72 @@ contract Poidh is Initializable, ReentrancyGuard {
     /// @notice Initializes the bounty clone (replaces constructor for proxies)
     /// @param _issuer Address that created the bounty and can start votes
     /// @param _treasury Address receiving protocol fees
+    /// @param _treasuryFee Fee per 1000 of each payout (bounded by the factory)
+    /// @param _referrerShare Percent of the fee credited to `_params.referrer`
     /// @param _metadataURI IPFS hash of bounty details (title, description, requirements)
     /// @param _joinable If true, others can join (open bounty). If false, solo bounty.
+    /// @param _params Currency, expiry and voting rules (defaults already resolved by the factory)
     function initialize(
         address _issuer,
         address _treasury,
+        uint256 _treasuryFee,
+        uint256 _referrerShare,
         string calldata _metadataURI,
-        bool _joinable
+        bool _joinable,
+        BountyParams calldata _params
     ) external payable initializer {
+        if (_params.token != address(0) && msg.value > 0) revert Poidh__InvalidCurrency();
+        if (_params.expiry != 0 && _params.expiry <= block.timestamp) revert Poidh__InvalidExpiry();
+        if (
+            _params.votingPeriod == 0 ||
+            _params.quorum > 100 ||
+            _params.passThreshold == 0 ||
+            _params.passThreshold > 100
+        ) revert Poidh__InvalidVoteConfig();
+        if (_params.arbitrator != address(0) && _params.arbitrator == _issuer) revert Poidh__InvalidArbitrator();
+
+        uint256 milestonesCount = _params.milestones.length;
+        if (milestonesCount > MAX_MILESTONES) revert Poidh__InvalidMilestones();
+        uint256 milestonesTotal;
+        for (uint256 i = 0; i < milestonesCount; i++) {
+            if (_params.milestones[i] == 0) revert Poidh__InvalidMilestones();
+            milestonesTotal += _params.milestones[i];
+        }
+        if (milestonesCount > 0 && milestonesTotal != SPLIT_BPS) revert Poidh__InvalidMilestones();
+
         issuer = _issuer;
         treasury = _treasury;
+        treasuryFee = _treasuryFee;
+        referrer = _params.referrer;
+        referrerShare = _referrerShare;
+        factory = msg.sender;
+        token = _params.token;
         metadataURI = _metadataURI;
         state = State.OPEN;
         joinable = _joinable;
+        expiry = _params.expiry;
+        votingPeriod = _params.votingPeriod;
+        quorum = _params.quorum;
+        passThreshold = _params.passThreshold;
+        arbitrator = _params.arbitrator;
+        lastIssuerActivity = block.timestamp;
+        milestones = _params.milestones;
+        claimBond = _params.claimBond;
+        claimAllowlist = _params.claimAllowlist;
+        joinAllowlist = _params.joinAllowlist;
+        claimantRoot = _params.claimantRoot;
+        contributorRoot = _params.contributorRoot;
         currentVote.votingRound = 1;
 
-        // Fund issuer's stake if ETH sent during initialization
-        if (msg.value > 0) {
-            account_Stake[_issuer] = msg.value;
-            totalStaked = msg.value;
-            emit Poidh__Joined(_issuer, msg.value);
+        // Fund issuer's stake with the whole balance in the bounty's currency: ETH sent, or tokens
+        // transferred in by the factory, plus anything sent to a deterministic address before creation.
+        // ETH sent ahead to a token bounty can't be accounted for and stays in the clone.
+        uint256 amount = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+        if (amount > 0) {
+            account_Shares[_issuer] = amount;
+            totalShares = amount;
+            totalStaked = amount;
+            emit Poidh__Joined(_issuer, amount);
         }
     }
 
@@ -129,26 +333,42 @@ contract Poidh is Initializable, ReentrancyGuard {
                           EXTERNAL FUNCTIONS
     //////////////////////////////////////////////////////////////*/
 
-    /// @notice Add ETH to the bounty pool (only for joinable/open bounties)
+    /// @notice Add ETH to the bounty pool (open ETH bounties, allowlisted callers if `joinAllowlist`)
+    /// @dev The issuer can always top up its own bounty, solo or open, to raise the reward
     function join() external payable nonReentrant {
         if (state != State.OPEN) revert Poidh__BountyNotOpen();
-        if (!joinable) revert Poidh__BountyNotJoinable();
+        _checkCanJoin();
+        if (token != address(0)) revert Poidh__InvalidCurrency();
         if (msg.value == 0) revert Poidh__NoEthSent();
 
-        account_Stake[msg.sender] += msg.value;
-        totalStaked += msg.value;
+        _join(msg.sender, msg.value);
+    }
 
-        emit Poidh__Joined(msg.sender, msg.value);
+    /// @notice Add tokens to the bounty pool (open token bounties, allowlisted callers if `joinAllowlist`)
+    /// @dev Stake is credited with the amount actually received, so fee-on-transfer tokens are supported
+    /// @param _amount Amount of tokens to transfer in (requires prior approval)
+    function joinWithToken(uint256 _amount) external nonReentrant {
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        _checkCanJoin();
+        if (token == address(0)) revert Poidh__InvalidCurrency();
+
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), _amount);
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        if (received == 0) revert Poidh__NoTokensSent();
+
+        _join(msg.sender, received);
     }
 
     /// @notice Withdraw stake from the bounty
+    /// @dev Redeems all of the account's shares for their pro-rata part of the pool
     /// @dev OPEN: only non-issuer can withdraw their own stake
-    /// @dev CANCELLED: anyone can withdraw for any funder (enables automated refunds)
-    /// @param _account Address to withdraw funds for (only used when CANCELLED)
+    /// @dev CANCELLED/EXPIRED: anyone can withdraw for any funder, including the issuer (enables automated refunds)
+    /// @param _account Address to withdraw funds for (only used when CANCELLED or EXPIRED)
     function withdraw(address _account) external nonReentrant {
         address account;
 
-        if (state == State.CANCELLED) {
+        if (state == State.CANCELLED || state == State.EXPIRED) {
             // Anyone can trigger withdrawal for any funder
             account = _account;
         } else if (state == State.OPEN) {
@@ -159,18 +379,41 @@ contract Poidh is Initializable, ReentrancyGuard {
             revert Poidh__CannotWithdraw();
         }
 
-        uint256 amount = account_Stake[account];
-        if (amount == 0) revert Poidh__NoFundsToWithdraw();
+        uint256 shares = account_Shares[account];
+        if (shares == 0) revert Poidh__NoFundsToWithdraw();
+        uint256 amount = (shares * totalStaked) / totalShares;
 
-        account_Stake[account] = 0;
+        account_Shares[account] = 0;
+        totalShares -= shares;
         totalStaked -= amount;
+        _moveDelegatedWeight(account_Delegate[account], address(0), shares);
 
-        (bool success, ) = payable(account).call{value: amount}("");
-        if (!success) revert Poidh__TransferFailed();
+        _transferOut(account, amount);
 
         emit Poidh__Withdrawn(account, amount);
     }
 
+    /// @notice Delegate voting weight to another address (only when OPEN)
+    /// @dev Delegation is one level deep: the delegate votes with its own stake plus stake delegated
+    ///      to it, and cannot pass delegated weight on. The issuer can neither delegate nor be delegated to,
+    ///      and neither can the pending issuer be delegated to.
+    /// @param _delegate Address that will vote with the caller's stake
+    function delegate(address _delegate) external {
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (msg.sender == issuer || _delegate == issuer || _delegate == pendingIssuer) revert Poidh__InvalidDelegate();
+        if (_delegate == address(0) || _delegate == msg.sender) revert Poidh__InvalidDelegate();
+
+        _setDelegate(msg.sender, _delegate);
+    }
+
+    /// @notice Revoke delegation so the caller votes with its own stake again (only when OPEN)
+    function undelegate() external {
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (account_Delegate[msg.sender] == address(0)) revert Poidh__InvalidDelegate();
+
+        _setDelegate(msg.sender, address(0));
+    }
+
     /// @notice Issuer cancels the bounty (only when OPEN)
     function cancel() external {
         if (msg.sender != issuer) revert Poidh__OnlyIssuer();
@@ -180,17 +423,211 @@ contract Poidh is Initializable, ReentrancyGuard {
         emit Poidh__Cancelled();
     }
 
-    /// @notice Submit work/proof for the bounty
+    /// @notice Issuer proposes a new issuer, e.g. a teammate or a multisig (only when OPEN)
+    /// @dev The role moves once the proposed address calls acceptIssuer, which proves it can act
+    ///      on the bounty. Proposing the zero address withdraws a pending proposal.
+    /// @param _pendingIssuer Address that can accept the issuer role
+    function proposeIssuer(address _pendingIssuer) external {
+        if (msg.sender != issuer) revert Poidh__OnlyIssuer();
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (_pendingIssuer == issuer || (_pendingIssuer != address(0) && _pendingIssuer == arbitrator)) {
+            revert Poidh__InvalidIssuer();
+        }
+
+        pendingIssuer = _pendingIssuer;
+        emit Poidh__IssuerProposed(msg.sender, _pendingIssuer);
+    }
+
+    /// @notice Pending issuer takes over the issuer role and the issuer's stake (only when OPEN)
+    /// @dev The new issuer's own delegation is revoked and any shares it held are merged with the
+    ///      issuer stake, which is locked and excluded from voting like the previous issuer's.
+    ///      Reverts while others delegate to the caller: the issuer can't vote, so that weight
+    ///      would be stranded until they re-delegate.
+    function acceptIssuer() external {
+        if (msg.sender != pendingIssuer) revert Poidh__OnlyPendingIssuer();
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (account_DelegatedWeight[msg.sender] > 0) revert Poidh__InvalidIssuer();
+
+        address previousIssuer = issuer;
+        if (account_Delegate[msg.sender] != address(0)) _setDelegate(msg.sender, address(0));
+
+        account_Shares[msg.sender] += account_Shares[previousIssuer];
+        account_Shares[previousIssuer] = 0;
+
+        issuer = msg.sender;
+        pendingIssuer = address(0);
+        lastIssuerActivity = block.timestamp;
+        emit Poidh__IssuerTransferred(previousIssuer, msg.sender);
+    }
+
+    /// @notice Moves an OPEN bounty past its expiry into refund mode (anyone can call)
+    function expire() external {
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (expiry == 0 || block.timestamp < expiry) revert Poidh__NotExpired();
+
+        state = State.EXPIRED;
+        emit Poidh__Expired();
+    }
+
+    /// @notice Submit work/proof for the bounty (allowlisted callers only if `claimAllowlist`)
+    /// @dev If the bounty requires a claim bond, send exactly `claimBond` ETH, or approve the
+    ///      bounty for `claimBond` tokens. The bond is held outside the pool.
     /// @param _name Short title for the claim (e.g., "PR #123")
     /// @param _proofURI IPFS hash containing detailed proof
-    function submitClaim(string calldata _name, string calldata _proofURI) external {
+    function submitClaim(string calldata _name, string calldata _proofURI) external payable nonReentrant {
         if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (claimAllowlist && !account_CanClaim[msg.sender]) revert Poidh__NotAllowlisted();
+
+        uint256 claimId = claims.length;
         claims.push(Claim({
             claimant: msg.sender,
             name: _name,
-            proofURI: _proofURI
+            proofURI: _proofURI,
+            status: ClaimStatus.ACTIVE
         }));
-        emit Poidh__ClaimSubmitted(claims.length - 1, msg.sender, _name, _proofURI);
+        emit Poidh__ClaimSubmitted(claimId, msg.sender, _name, _proofURI);
+
+        uint256 bond;
+        if (token == address(0)) {
+            if (msg.value != claimBond) revert Poidh__InvalidBond();
+            bond = msg.value;
+        } else {
+            if (msg.value > 0) revert Poidh__InvalidCurrency();
+            if (claimBond > 0) {
+                uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+                IERC20(token).safeTransferFrom(msg.sender, address(this), claimBond);
+                bond = IERC20(token).balanceOf(address(this)) - balanceBefore;
+            }
+        }
+
+        if (bond > 0) {
+            claim_Bond[claimId] = bond;
+            claim_BondStatus[claimId] = BondStatus.LOCKED;
+            totalBonds += bond;
+            emit Poidh__BondLocked(claimId, msg.sender, bond);
+        }
+
+        IPoidhFactory(factory).recordClaim(msg.sender);
+    }
+
+    /// @notice Issuer adds or removes addresses allowed to submit claims
+    /// @param _accounts Addresses to update
+    /// @param _allowed true = allow, false = revoke
+    function setClaimants(address[] calldata _accounts, bool _allowed) external {
+        if (msg.sender != issuer) revert Poidh__OnlyIssuer();
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            account_CanClaim[_accounts[i]] = _allowed;
+            emit Poidh__ClaimantAllowed(_accounts[i], _allowed);
+        }
+    }
+
+    /// @notice Issuer adds or removes addresses allowed to join
+    /// @param _accounts Addresses to update
+    /// @param _allowed true = allow, false = revoke
+    function setContributors(address[] calldata _accounts, bool _allowed) external {
+        if (msg.sender != issuer) revert Poidh__OnlyIssuer();
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            account_CanJoin[_accounts[i]] = _allowed;
+            emit Poidh__ContributorAllowed(_accounts[i], _allowed);
+        }
+    }
+
+    /// @notice Issuer replaces the Merkle roots addresses can register against (zero = none)
+    /// @dev Addresses already registered stay allowlisted until removed with setClaimants/setContributors
+    function setAllowlistRoots(bytes32 _claimantRoot, bytes32 _contributorRoot) external {
+        if (msg.sender != issuer) revert Poidh__OnlyIssuer();
+        claimantRoot = _claimantRoot;
+        contributorRoot = _contributorRoot;
+        emit Poidh__AllowlistRootsUpdated(_claimantRoot, _contributorRoot);
+    }
+
+    /// @notice Allowlists the caller as a claimant by proving it is in `claimantRoot`
+    /// @dev Leaves are keccak256(bytes.concat(keccak256(abi.encode(account)))), as built by
+    ///      OpenZeppelin's StandardMerkleTree with an ["address"] encoding
+    /// @param _proof Merkle proof of the caller's leaf
+    function registerClaimant(bytes32[] calldata _proof) external {
+        if (!MerkleProof.verifyCalldata(_proof, claimantRoot, _leaf(msg.sender))) revert Poidh__InvalidProof();
+        account_CanClaim[msg.sender] = true;
+        emit Poidh__ClaimantAllowed(msg.sender, true);
+    }
+
+    /// @notice Allowlists the caller as a contributor by proving it is in `contributorRoot`
+    /// @param _proof Merkle proof of the caller's leaf (same leaf encoding as registerClaimant)
+    function registerContributor(bytes32[] calldata _proof) external {
+        if (!MerkleProof.verifyCalldata(_proof, contributorRoot, _leaf(msg.sender))) revert Poidh__InvalidProof();
+        account_CanJoin[msg.sender] = true;
+        emit Poidh__ContributorAllowed(msg.sender, true);
+    }
+
+    /// @notice Claimant retracts their claim so it can no longer be voted on (only when OPEN)
+    /// @dev A locked bond stays locked: it is refunded once the bounty ends, or can still be slashed
+    /// @param _claimId Index of a claim submitted by the caller
+    function withdrawClaim(uint256 _claimId) external {
+        Claim storage claim = _claimantClaim(_claimId);
+        claim.status = ClaimStatus.WITHDRAWN;
+        emit Poidh__ClaimWithdrawn(_claimId, msg.sender);
+    }
+
+    /// @notice Claimant replaces the name and proof of their claim (only when OPEN)
+    /// @param _claimId Index of a claim submitted by the caller
+    /// @param _name New short title for the claim
+    /// @param _proofURI New IPFS hash containing detailed proof
+    function updateClaim(uint256 _claimId, string calldata _name, string calldata _proofURI) external {
+        Claim storage claim = _claimantClaim(_claimId);
+        claim.name = _name;
+        claim.proofURI = _proofURI;
+        claim.status = ClaimStatus.AMENDED;
+        emit Poidh__ClaimUpdated(_claimId, msg.sender, _name, _proofURI);
+    }
+
+    /// @notice Returns a locked claim bond to its claimant once the bounty is CLOSED, CANCELLED or EXPIRED (anyone can call)
+    /// @param _claimId Index of the claim whose bond is refunded
+    function refundBond(uint256 _claimId) external nonReentrant {
+        if (state != State.CLOSED && state != State.CANCELLED && state != State.EXPIRED) {
+            revert Poidh__BondNotRefundable();
+        }
+        if (_claimId >= claims.length) revert Poidh__InvalidClaimId();
+        if (claim_BondStatus[_claimId] != BondStatus.LOCKED) revert Poidh__BondNotLocked();
+
+        uint256 bond = claim_Bond[_claimId];
+        address claimant = claims[_claimId].claimant;
+        claim_BondStatus[_claimId] = BondStatus.REFUNDED;
+        totalBonds -= bond;
+
+        _transferOut(claimant, bond);
+
+        emit Poidh__BondRefunded(_claimId, claimant, bond);
+    }
+
+    /// @notice Sends an account the rewards, tips and fees credited to it by payouts (anyone can call)
+    /// @param _account Winner, tipped claimant or treasury to pay
+    function claimPayout(address _account) external nonReentrant {
+        uint256 amount = account_Payout[_account];
+        if (amount == 0) revert Poidh__NoPayout();
+
+        account_Payout[_account] = 0;
+        totalPayouts -= amount;
+
+        _transferOut(_account, amount);
+
+        emit Poidh__PayoutClaimed(_account, amount);
+    }
+
+    /// @notice Issuer slashes the bond of a spam claim into the pool (only when OPEN)
+    /// @dev The bond raises the value of every funder's shares
+    /// @param _claimId Index of the spam claim
+    function slashBond(uint256 _claimId) external {
+        if (msg.sender != issuer) revert Poidh__OnlyIssuer();
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (_claimId >= claims.length) revert Poidh__InvalidClaimId();
+        if (claim_BondStatus[_claimId] != BondStatus.LOCKED) revert Poidh__BondNotLocked();
+
+        uint256 bond = claim_Bond[_claimId];
+        claim_BondStatus[_claimId] = BondStatus.SLASHED;
+        totalBonds -= bond;
+        totalStaked += bond;
+
+        emit Poidh__BondSlashed(_claimId, bond);
     }
 
     /// @notice Issuer selects a claim to initiate community vote
@@ -198,94 +635,415 @@ contract Poidh is Initializable, ReentrancyGuard {
     function startVote(uint256 _claimId) external {
         if (msg.sender != issuer) revert Poidh__OnlyIssuer();
         if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (expiry != 0 && block.timestamp >= expiry) revert Poidh__BountyExpired();
         if (_claimId >= claims.length) revert Poidh__InvalidClaimId();
+        if (claims[_claimId].status == ClaimStatus.WITHDRAWN) revert Poidh__WithdrawnClaim();
 
-        state = State.VOTING;
+        delete proposedSplit;
+        proposedSplit.push(Split({claimId: _claimId, share: SPLIT_BPS}));
 
-        currentVote.claimId = _claimId;
-        currentVote.yes = 0;
-        currentVote.no = 0;
-        currentVote.deadline = block.timestamp + VOTING_PERIOD;
+        _startVote(_claimId);
+    }
+
+    /// @notice Issuer proposes tips for runner-up claims, paid from the payout of the next passed vote
+    /// @dev Tips are in basis points of the payout after fees, unique and summing to at most MAX_TIP_BPS.
+    ///      They are ratified together with the winners, and can't go to a winning or withdrawn claim.
+    ///      Empty arrays clear the tips.
+    /// @param _claimIds Indices of the tipped claims
+    /// @param _shares Tip of each claim in basis points
+    function setTips(uint256[] calldata _claimIds, uint256[] calldata _shares) external {
+        if (msg.sender != issuer) revert Poidh__OnlyIssuer();
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
 
-        emit Poidh__VoteStarted(_claimId, currentVote.deadline, currentVote.votingRound);
+        uint256 count = _claimIds.length;
+        if (count > MAX_WINNERS || count != _shares.length) revert Poidh__InvalidTips();
+
+        delete proposedTips;
+        uint256 totalTips;
+        for (uint256 i = 0; i < count; i++) {
+            if (_claimIds[i] >= claims.length) revert Poidh__InvalidClaimId();
+            if (_shares[i] == 0) revert Poidh__InvalidTips();
+            for (uint256 j = 0; j < i; j++) {
+                if (_claimIds[j] == _claimIds[i]) revert Poidh__InvalidTips();
+            }
+            totalTips += _shares[i];
+            proposedTips.push(Split({claimId: _claimIds[i], share: _shares[i]}));
+        }
+        if (totalTips > MAX_TIP_BPS) revert Poidh__InvalidTips();
+
+        emit Poidh__TipsProposed(_claimIds, _shares);
     }
 
-    /// @notice Cast vote on the current claim (weight = stake)
+    /// @notice Issuer proposes several winning claims sharing the reward, ratified by a single vote
+    /// @dev Shares are in basis points and must sum to SPLIT_BPS, claim IDs must be unique
+    /// @param _claimIds Indices of the winning claims (e.g., first, second and third place)
+    /// @param _shares Reward share of each claim in basis points
+    function startSplitVote(uint256[] calldata _claimIds, uint256[] calldata _shares) external {
+        if (msg.sender != issuer) revert Poidh__OnlyIssuer();
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (expiry != 0 && block.timestamp >= expiry) revert Poidh__BountyExpired();
+
+        uint256 count = _claimIds.length;
+        if (count == 0 || count > MAX_WINNERS || count != _shares.length) revert Poidh__InvalidSplit();
+
+        delete proposedSplit;
+        uint256 totalShares;
+        for (uint256 i = 0; i < count; i++) {
+            if (_claimIds[i] >= claims.length) revert Poidh__InvalidClaimId();
+            if (claims[_claimIds[i]].status == ClaimStatus.WITHDRAWN) revert Poidh__WithdrawnClaim();
+            if (_shares[i] == 0) revert Poidh__InvalidSplit();
+            for (uint256 j = 0; j < i; j++) {
+                if (_claimIds[j] == _claimIds[i]) revert Poidh__InvalidSplit();
+            }
+            totalShares += _shares[i];
+            proposedSplit.push(Split({claimId: _claimIds[i], share: _shares[i]}));
+        }
+        if (totalShares != SPLIT_BPS) revert Poidh__InvalidSplit();
+
+        emit Poidh__SplitProposed(_claimIds, _shares, currentVote.votingRound);
+        _startVote(_claimIds[0]);
+    }
+
+    /// @notice Cast vote on the current claim (weight = own undelegated shares + shares delegated to caller)
     /// @dev Issuer cannot vote to prevent conflict of interest
     /// @param support true = Yes, false = No
     function vote(bool support) external {
-        if (state != State.VOTING) revert Poidh__VotingNotActive();
-        if (msg.sender == issuer) revert Poidh__IssuerCannotVote();
-        if (block.timestamp >= currentVote.deadline) revert Poidh__VotingEnded();
-
-        uint256 round = currentVote.votingRound;
-        if (account_Round_HasVoted[msg.sender][round]) revert Poidh__AlreadyVotedThisRound();
-
-        uint256 weight = account_Stake[msg.sender];
-        if (weight == 0) revert Poidh__NoStakeInBounty();
+        _vote(msg.sender, support);
+    }
 
-        account_Round_HasVoted[msg.sender][round] = true;
+    /// @notice Cast a vote on behalf of a contributor using their EIP-712 signature (anyone can relay)
+    /// @dev Same rules as vote(): one vote per round, issuer excluded, before the voting deadline
+    /// @param _signedVote Voter, support, signature deadline and signature
+    function voteBySig(SignedVote calldata _signedVote) external {
+        _voteBySig(_signedVote);
+    }
 
-        if (support) {
-            currentVote.yes += weight;
-        } else {
-            currentVote.no += weight;
+    /// @notice Relays several signed votes in one transaction, reverts if any of them is invalid
+    /// @param _signedVotes Signed votes to cast
+    function batchVoteBySig(SignedVote[] calldata _signedVotes) external {
+        for (uint256 i = 0; i < _signedVotes.length; i++) {
+            _voteBySig(_signedVotes[i]);
         }
-
-        emit Poidh__VoteCast(msg.sender, support, weight);
     }
 
     /// @notice Resolve the vote after deadline or when all votes are cast (anyone can call)
+    /// @dev Passes when turnout reaches `quorum` percent of the shares that can vote (all but the
+    ///      issuer's) and yes votes reach `passThreshold` percent of the votes cast
     function resolveVote() external nonReentrant {
         if (state != State.VOTING) revert Poidh__VotingNotActive();
 
-        bool allVotesCast = (currentVote.yes + currentVote.no) == totalStaked;
+        // Delegated shares are cast with their delegate's vote, so a full turnout still sums to totalShares
+        uint256 cast = currentVote.yes + currentVote.no;
+        bool allVotesCast = cast == totalShares;
         bool deadlineReached = block.timestamp >= currentVote.deadline;
 
         if (!allVotesCast && !deadlineReached) revert Poidh__VotingNotEnded();
 
-        if (currentVote.yes >= currentVote.no) {
+        // The issuer can't vote, so its shares (and top-ups) don't count toward the quorum
+        uint256 votableShares = totalShares - account_Shares[issuer];
+        bool quorumReached = cast * 100 >= votableShares * quorum;
+        bool thresholdReached = currentVote.yes * 100 >= cast * passThreshold;
+
+        if (quorumReached && thresholdReached) {
             _payout();
         } else {
             state = State.OPEN;
             emit Poidh__VoteFailed(currentVote.claimId, currentVote.votingRound);
+            failedVotes++;
             currentVote.votingRound++;
             currentVote.yes = 0;
             currentVote.no = 0;
         }
     }
 
+    /// @notice Claimant escalates the bounty to its arbitrator, locking funds until a ruling
+    /// @dev Allowed once DISPUTE_FAILED_ROUNDS votes have failed, or once the issuer has not
+    ///      started a vote for DISPUTE_INACTIVITY_PERIOD. A running vote is abandoned, but one past
+    ///      its deadline must be resolved first, so a claimant can't overturn its outcome.
+    /// @param _claimId Index of a claim submitted by the caller
+    function dispute(uint256 _claimId) external {
+        if (arbitrator == address(0)) revert Poidh__NoArbitrator();
+        if (state != State.OPEN && state != State.VOTING) revert Poidh__BountyNotOpen();
+        if (state == State.VOTING && block.timestamp >= currentVote.deadline) revert Poidh__VotingEnded();
+        if (_claimId >= claims.length) revert Poidh__InvalidClaimId();
+        if (claims[_claimId].claimant != msg.sender) revert Poidh__OnlyClaimant();
+        if (claims[_claimId].status == ClaimStatus.WITHDRAWN) revert Poidh__WithdrawnClaim();
+
+        bool votesFailed = failedVotes >= DISPUTE_FAILED_ROUNDS;
+        bool issuerInactive = block.timestamp >= lastIssuerActivity + DISPUTE_INACTIVITY_PERIOD;
+        if (!votesFailed && !issuerInactive) revert Poidh__DisputeNotAllowed();
+
+        state = State.DISPUTED;
+        disputedAt = block.timestamp;
+        emit Poidh__Disputed(_claimId, msg.sender, currentVote.votingRound);
+    }
+
+    /// @notice Arbitrator rules on a dispute: award the full bounty to a claim, or cancel it for refunds
+    /// @param _award true = pay out `_claimId` as sole winner, false = cancel the bounty
+    /// @param _claimId Index of the winning claim (ignored when cancelling)
+    function ruleDispute(bool _award, uint256 _claimId) external nonReentrant {
+        if (msg.sender != arbitrator) revert Poidh__OnlyArbitrator();
+        if (state != State.DISPUTED) revert Poidh__NotDisputed();
+
+        emit Poidh__DisputeRuled(_award, _claimId);
+
+        if (_award) {
+            if (_claimId >= claims.length) revert Poidh__InvalidClaimId();
+            if (claims[_claimId].status == ClaimStatus.WITHDRAWN) revert Poidh__WithdrawnClaim();
+            // The arbitrator's award replaces whatever the issuer proposed, tips included
+            delete proposedSplit;
+            delete proposedTips;
+            proposedSplit.push(Split({claimId: _claimId, share: SPLIT_BPS}));
+            // Milestone bounties pay the whole remaining pool as their final tranche and close
+            if (milestones.length > 0) currentMilestone = milestones.length - 1;
+            _payout();
+        } else {
+            state = State.CANCELLED;
+            emit Poidh__Cancelled();
+        }
+    }
+
+    /// @notice Cancels a dispute the arbitrator hasn't ruled on within DISPUTE_RULING_PERIOD (anyone can call)
+    /// @dev Refunds funders exactly like a cancelling ruling, and releases the claim bonds
+    function cancelDispute() external {
+        if (state != State.DISPUTED) revert Poidh__NotDisputed();
+        if (block.timestamp < disputedAt + DISPUTE_RULING_PERIOD) revert Poidh__RulingPeriodNotOver();
+
+        state = State.CANCELLED;
+        emit Poidh__Cancelled();
+    }
+
     /*//////////////////////////////////////////////////////////////
                           INTERNAL FUNCTIONS
     //////////////////////////////////////////////////////////////*/
 
-    function _payout() internal {
-        state = State.CLOSED;
-        Claim memory winningClaim = claims[currentVote.claimId];
+    function _vote(address voter, bool support) internal {
+        if (state != State.VOTING) revert Poidh__VotingNotActive();
+        if (voter == issuer) revert Poidh__IssuerCannotVote();
+        if (block.timestamp >= currentVote.deadline) revert Poidh__VotingEnded();
+
+        uint256 round = currentVote.votingRound;
+        if (account_Round_HasVoted[voter][round]) revert Poidh__AlreadyVotedThisRound();
+
+        uint256 weight = getVotingWeight(voter);
+        if (weight == 0) revert Poidh__NoStakeInBounty();
+
+        account_Round_HasVoted[voter][round] = true;
+
+        if (support) {
+            currentVote.yes += weight;
+        } else {
+            currentVote.no += weight;
+        }
+
+        emit Poidh__VoteCast(voter, support, weight);
+    }
+
+    /// @dev The issuer can always top up its own bounty
+    function _checkCanJoin() internal view {
+        if (msg.sender == issuer) return;
+        if (!joinable) revert Poidh__BountyNotJoinable();
+        if (joinAllowlist && !account_CanJoin[msg.sender]) revert Poidh__NotAllowlisted();
+    }
+
+    function _leaf(address account) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account))));
+    }
+
+    /// @dev Checks the caller can change `claimId`: an existing claim of theirs, not withdrawn, bounty OPEN
+    function _claimantClaim(uint256 claimId) internal view returns (Claim storage claim) {
+        if (state != State.OPEN) revert Poidh__BountyNotOpen();
+        if (claimId >= claims.length) revert Poidh__InvalidClaimId();
+        claim = claims[claimId];
+        if (claim.claimant != msg.sender) revert Poidh__OnlyClaimant();
+        if (claim.status == ClaimStatus.WITHDRAWN) revert Poidh__WithdrawnClaim();
+    }
+
+    /// @dev Verifies an EOA or ERC-1271 signature for the current round and consumes the voter's nonce
+    function _voteBySig(SignedVote calldata signedVote) internal {
+        if (block.timestamp > signedVote.deadline) revert Poidh__SignatureExpired();
+
+        bytes32 structHash = keccak256(abi.encode(
+            VOTE_TYPEHASH,
+            address(this),
+            currentVote.votingRound,
+            signedVote.support,
+            nonces[signedVote.voter]++,
+            signedVote.deadline
+        ));
+        bytes32 digest = _hashTypedDataV4(structHash);
+        if (!SignatureChecker.isValidSignatureNow(signedVote.voter, digest, signedVote.signature)) {
+            revert Poidh__InvalidSignature();
+        }
+
+        _vote(signedVote.voter, signedVote.support);
+    }
+
+    /// @dev Tips are checked against the winners here, since claims can be withdrawn after setTips
+    function _startVote(uint256 claimId) internal {
+        for (uint256 i = 0; i < proposedTips.length; i++) {
+            uint256 tipped = proposedTips[i].claimId;
+            if (claims[tipped].status == ClaimStatus.WITHDRAWN) revert Poidh__InvalidTips();
+            for (uint256 j = 0; j < proposedSplit.length; j++) {
+                if (proposedSplit[j].claimId == tipped) revert Poidh__InvalidTips();
+            }
+        }
+
+        state = State.VOTING;
+        lastIssuerActivity = block.timestamp;
 
-        uint256 amount = totalStaked;
-        uint256 fee;
-        uint256 reward;
+        currentVote.claimId = claimId;
+        currentVote.yes = 0;
+        currentVote.no = 0;
+        currentVote.deadline = block.timestamp + votingPeriod;
+
+        emit Poidh__VoteStarted(claimId, currentVote.deadline, currentVote.votingRound);
+    }
+
+    /// @dev Mints shares at the current pool price (1:1 until funds leave the pool), so joining after
+    ///      a partial payout neither dilutes nor is diluted by existing funders
+    function _join(address account, uint256 amount) internal {
+        uint256 shares = totalShares == 0 || totalStaked == 0 ? amount : (amount * totalShares) / totalStaked;
+
+        account_Shares[account] += shares;
+        totalShares += shares;
+        totalStaked += amount;
+        _moveDelegatedWeight(address(0), account_Delegate[account], shares);
+
+        emit Poidh__Joined(account, amount);
+        IPoidhFactory(factory).recordFunding(account, token, amount, account == issuer);
+    }
+
+    function _setDelegate(address delegator, address to) internal {
+        address from = account_Delegate[delegator];
+        account_Delegate[delegator] = to;
+
+        emit Poidh__DelegateChanged(delegator, from, to);
+        _moveDelegatedWeight(from, to, account_Shares[delegator]);
+    }
+
+    /// @dev Moves delegated weight between delegates, zero address meaning none
+    function _moveDelegatedWeight(address from, address to, uint256 amount) internal {
+        if (from == to || amount == 0) return;
+
+        if (from != address(0)) {
+            uint256 previous = account_DelegatedWeight[from];
+            account_DelegatedWeight[from] = previous - amount;
+            emit Poidh__DelegatedWeightChanged(from, previous, previous - amount);
+        }
+        if (to != address(0)) {
+            uint256 previous = account_DelegatedWeight[to];
+            account_DelegatedWeight[to] = previous + amount;
+            emit Poidh__DelegatedWeightChanged(to, previous, previous + amount);
+        }
+    }
+
+    /// @dev Credits every winner of the ratified split its share of the reward and the treasury
+    ///      its fee, to be withdrawn with claimPayout, so a recipient that can't receive funds
+    ///      never blocks resolution. The referrer's share of the fee goes to the factory.
+    ///      The last winner receives any rounding dust.
+    ///      Milestone bounties release only the current tranche and reopen for the next milestone
+    ///      vote, closing after the final tranche.
+    function _payout() internal {
+        uint256 milestone = currentMilestone;
+        bool finalTranche = milestone + 1 >= milestones.length;
+        uint256 amount = finalTranche ? totalStaked : _trancheAmount(milestone);
 
-        if (treasury != address(0)) {
-            fee = (amount * TREASURY_FEE) / 1000;
-            reward = amount - fee;
+        totalStaked -= amount;
+        if (finalTranche) {
+            state = State.CLOSED;
         } else {
-            fee = 0;
-            reward = amount;
+            state = State.OPEN;
+            currentMilestone = milestone + 1;
+            failedVotes = 0;
+            currentVote.votingRound++;
+            currentVote.yes = 0;
+            currentVote.no = 0;
         }
+        if (milestones.length > 0) emit Poidh__MilestonePaid(milestone, amount);
 
-        totalStaked = 0;
+        uint256 fee = treasury != address(0) ? (amount * treasuryFee) / 1000 : 0;
+        uint256 reward = amount - fee;
 
         if (fee > 0) {
-            (bool tSuccess, ) = treasury.call{value: fee}("");
-            if (!tSuccess) revert Poidh__TransferFailed();
+            uint256 referrerFee = referrer != address(0) ? (fee * referrerShare) / 100 : 0;
+            if (referrerFee > 0) _creditReferrer(referrerFee);
+            if (fee > referrerFee) _credit(treasury, fee - referrerFee);
+        }
+
+        // Tips come out of the reward, winners split what is left
+        uint256 tipsCount = proposedTips.length;
+        uint256 tipsPaid;
+        for (uint256 i = 0; i < tipsCount; i++) {
+            Split memory tip = proposedTips[i];
+            address claimant = claims[tip.claimId].claimant;
+            uint256 tipAmount = (reward * tip.share) / SPLIT_BPS;
+            tipsPaid += tipAmount;
+
+            _credit(claimant, tipAmount);
+
+            emit Poidh__TipPaid(tip.claimId, claimant, tipAmount);
+        }
+        if (tipsCount > 0) delete proposedTips;
+        reward -= tipsPaid;
+
+        uint256 count = proposedSplit.length;
+        uint256 rewardPaid;
+        uint256 feeTaken;
+        for (uint256 i = 0; i < count; i++) {
+            Split memory split = proposedSplit[i];
+            address winner = claims[split.claimId].claimant;
+
+            uint256 winnerReward;
+            uint256 winnerFee;
+            if (i == count - 1) {
+                winnerReward = reward - rewardPaid;
+                winnerFee = fee - feeTaken;
+            } else {
+                winnerReward = (reward * split.share) / SPLIT_BPS;
+                winnerFee = (fee * split.share) / SPLIT_BPS;
+            }
+            rewardPaid += winnerReward;
+            feeTaken += winnerFee;
+
+            _credit(winner, winnerReward);
+
+            emit Poidh__BountyPaid(winner, winnerReward, winnerFee);
         }
+    }
 
-        (bool wSuccess, ) = winningClaim.claimant.call{value: reward}("");
-        if (!wSuccess) revert Poidh__TransferFailed();
+    /// @dev Tranche size relative to the remaining pool, so withdrawals between milestones keep the ratios
+    function _trancheAmount(uint256 milestone) internal view returns (uint256) {
+        uint256 remainingShares;
+        for (uint256 i = milestone; i < milestones.length; i++) {
+            remainingShares += milestones[i];
+        }
+        return (totalStaked * milestones[milestone]) / remainingShares;
+    }
 
-        emit Poidh__BountyPaid(winningClaim.claimant, reward, fee);
+    /// @dev Hands the referrer's fee to the factory, which holds it until the referrer claims it,
+    ///      so a referrer that can't receive funds never blocks a payout
+    function _creditReferrer(uint256 amount) internal {
+        if (token == address(0)) {
+            IPoidhFactory(factory).depositFees{value: amount}(referrer, address(0), amount);
+        } else {
+            IERC20(token).forceApprove(factory, amount);
+            IPoidhFactory(factory).depositFees(referrer, token, amount);
+        }
+    }
+
+    function _credit(address account, uint256 amount) internal {
+        account_Payout[account] += amount;
+        totalPayouts += amount;
+    }
+
+    function _transferOut(address to, uint256 amount) internal {
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            if (!success) revert Poidh__TransferFailed();
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
     }
 
     /*//////////////////////////////////////////////////////////////
@@ -297,9 +1055,63 @@ contract Poidh is Initializable, ReentrancyGuard {
         return claims.length;
     }
 
+    /// @notice Returns the amount an account can currently withdraw: its shares' part of the pool
+    function account_Stake(address _account) external view returns (uint256) {
+        if (totalShares == 0) return 0;
+        return (account_Shares[_account] * totalStaked) / totalShares;
+    }
+
+    /// @notice Returns the weight an address votes with: its own shares unless delegated, plus shares delegated to it
+    function getVotingWeight(address _account) public view returns (uint256) {
+        uint256 ownWeight = account_Delegate[_account] == address(0) ? account_Shares[_account] : 0;
+        return ownWeight + account_DelegatedWeight[_account];
+    }
+
+    /// @notice Returns the bond status and locked amount of a claim
+    function getClaimBond(uint256 _claimId) external view returns (BondStatus status, uint256 amount) {
+        if (_claimId >= claims.length) revert Poidh__InvalidClaimId();
+        return (claim_BondStatus[_claimId], claim_Bond[_claimId]);
+    }
+
+    /// @notice Returns the tipped claims and tip shares paid with the next passed vote
+    function getProposedTips() external view returns (uint256[] memory claimIds, uint256[] memory shares) {
+        uint256 count = proposedTips.length;
+        claimIds = new uint256[](count);
+        shares = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            claimIds[i] = proposedTips[i].claimId;
+            shares[i] = proposedTips[i].share;
+        }
+    }
+
+    /// @notice Returns the tranche shares of a milestone bounty (empty for single payout bounties)
+    function getMilestones() external view returns (uint256[] memory) {
+        return milestones;
+    }
+
+    /// @notice Returns the EIP-712 domain separator used for signed votes
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /// @notice Returns the winning claims and reward shares of the current (or last) vote
+    function getProposedSplit() external view returns (uint256[] memory claimIds, uint256[] memory shares) {
+        uint256 count = proposedSplit.length;
+        claimIds = new uint256[](count);
+        shares = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            claimIds[i] = proposedSplit[i].claimId;
+            shares[i] = proposedSplit[i].share;
+        }
+    }
+
     /// @notice Returns claim details by index
-    function getClaim(uint256 _claimId) external view returns (address claimant, string memory name, string memory proofURI) {
+    function getClaim(uint256 _claimId)
+        external
+        view
+        returns (address claimant, string memory name, string memory proofURI, ClaimStatus status)
+    {
         Claim memory claim = claims[_claimId];
-        return (claim.claimant, claim.name, claim.proofURI);
+        return (claim.claimant, claim.name, claim.proofURI, claim.status);
     }
 }
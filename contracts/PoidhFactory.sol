@@ -3,6 +3,8 @@ pragma solidity 0.8.19;
 
 import {Clones} from "@openzeppelin/contracts/proxy/Clones.sol";
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {Poidh} from "./Poidh.sol";
 
 /**
@@ -13,6 +15,15 @@ import {Poidh} from "./Poidh.sol";
  *         Owner can update implementation and treasury addresses.
  */
 contract PoidhFactory is Ownable {
+    using SafeERC20 for IERC20;
+
+    /*//////////////////////////////////////////////////////////////
+                                CONSTANTS
+    //////////////////////////////////////////////////////////////*/
+
+    uint256 public constant DEFAULT_VOTING_PERIOD = 2 days;  // used when a bounty passes votingPeriod = 0
+    uint256 public constant DEFAULT_PASS_THRESHOLD = 50;     // used when a bounty passes passThreshold = 0 (yes >= no)
+    uint256 public constant MAX_TREASURY_FEE = 50;           // hard cap on any fee rate, 5% (50/1000)
 
     /*//////////////////////////////////////////////////////////////
                                 STATE
@@ -20,14 +31,40 @@ contract PoidhFactory is Ownable {
 
     address public implementation;  // master Poidh logic contract
     address public treasury;        // protocol fee recipient
+    uint256 public treasuryFee = 25; // default fee per 1000 of each payout, 2.5%
+    uint256 public referrerShare = 20;  // percent of the fee credited to a bounty's referrer
+
+    mapping(address => bool) public creator_HasCustomFee;    // creator => pays creator_TreasuryFee instead of the default
+    mapping(address => uint256) public creator_TreasuryFee;  // creator => custom fee per 1000 (0 = fee-free)
+
+    uint256 public minVotingPeriod = 1 days;   // shortest voting period a bounty may choose
+    uint256 public maxVotingPeriod = 30 days;  // longest voting period a bounty may choose
 
     address[] public allBounties;  // registry of all deployed bounties
+    mapping(address => bool) public isBounty;  // bounty => deployed by this factory
+
+    mapping(address => address[]) public issuer_Bounties;       // issuer => bounties it created
+    mapping(address => address[]) public claimant_Bounties;     // account => bounties it submitted claims to
+    mapping(address => address[]) public contributor_Bounties;  // account => open bounties it joined
+    mapping(address => mapping(address => bool)) public account_Bounty_IsClaimant;     // account => bounty => in claimant_Bounties
+    mapping(address => mapping(address => bool)) public account_Bounty_IsContributor;  // account => bounty => in contributor_Bounties
+
+    mapping(address => uint256) public token_TotalFunded;  // currency => total staked into bounties, zero = ETH
+    mapping(address => uint256) public token_TotalTopUps;  // currency => part of token_TotalFunded added by issuers after creation
+
+    mapping(address => mapping(address => uint256)) public account_Token_Fees;  // referrer => currency => unclaimed fees
 
     /*//////////////////////////////////////////////////////////////
                                 ERRORS
     //////////////////////////////////////////////////////////////*/
 
     error PoidhFactory__ZeroAddress();
+    error PoidhFactory__InvalidVotingPeriod();
+    error PoidhFactory__OnlyBounty();
+    error PoidhFactory__InvalidFee();
+    error PoidhFactory__InvalidReferrerShare();
+    error PoidhFactory__NoFees();
+    error PoidhFactory__TransferFailed();
 
     /*//////////////////////////////////////////////////////////////
                                 EVENTS
@@ -36,11 +73,20 @@ contract PoidhFactory is Ownable {
     event PoidhFactory__BountyCreated(
         address indexed bountyAddress,
         address indexed issuer,
+        address indexed token,
         string metadataURI,
         bool joinable,
         uint256 index
     );
 
+    event PoidhFactory__BountyFunded(
+        address indexed bountyAddress,
+        address indexed account,
+        address indexed token,
+        uint256 amount,
+        bool topUp
+    );
+
     event PoidhFactory__ImplementationUpdated(
         address indexed oldImplementation,
         address indexed newImplementation
@@ -51,12 +97,46 @@ contract PoidhFactory is Ownable {
         address indexed newTreasury
     );
 
+    event PoidhFactory__VotingPeriodBoundsUpdated(
+        uint256 minVotingPeriod,
+        uint256 maxVotingPeriod
+    );
+
+    event PoidhFactory__FeeUpdated(
+        uint256 oldFee,
+        uint256 newFee
+    );
+
+    event PoidhFactory__CreatorFeeUpdated(
+        address indexed creator,
+        bool custom,
+        uint256 fee
+    );
+
+    event PoidhFactory__ReferrerShareUpdated(
+        uint256 oldShare,
+        uint256 newShare
+    );
+
+    event PoidhFactory__FeesCredited(
+        address indexed bountyAddress,
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
+    event PoidhFactory__FeesClaimed(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+
     /*//////////////////////////////////////////////////////////////
                               CONSTRUCTOR
     //////////////////////////////////////////////////////////////*/
 
     /// @notice Deploys factory and master implementation
-    /// @param _treasury Address receiving 2.5% protocol fees
+    /// @param _treasury Address receiving protocol fees
     constructor(address _treasury) {
         implementation = address(new Poidh());
         treasury = _treasury;
@@ -88,26 +168,248 @@ contract PoidhFactory is Ownable {
         emit PoidhFactory__TreasuryUpdated(oldTreasury, _treasury);
     }
 
+    /// @notice Updates the range of voting periods new bounties may choose
+    /// @dev Only affects newly created bounties, existing ones keep their voting period
+    /// @param _minVotingPeriod Shortest allowed voting period (non-zero)
+    /// @param _maxVotingPeriod Longest allowed voting period
+    function setVotingPeriodBounds(uint256 _minVotingPeriod, uint256 _maxVotingPeriod) external onlyOwner {
+        if (_minVotingPeriod == 0 || _minVotingPeriod > _maxVotingPeriod) revert PoidhFactory__InvalidVotingPeriod();
+
+        minVotingPeriod = _minVotingPeriod;
+        maxVotingPeriod = _maxVotingPeriod;
+
+        emit PoidhFactory__VotingPeriodBoundsUpdated(_minVotingPeriod, _maxVotingPeriod);
+    }
+
+    /// @notice Updates the default fee rate for new bounties
+    /// @dev Only affects newly created bounties, existing ones keep the fee they were created with
+    /// @param _treasuryFee Fee per 1000 of each payout, at most MAX_TREASURY_FEE
+    function setTreasuryFee(uint256 _treasuryFee) external onlyOwner {
+        if (_treasuryFee > MAX_TREASURY_FEE) revert PoidhFactory__InvalidFee();
+
+        uint256 oldFee = treasuryFee;
+        treasuryFee = _treasuryFee;
+
+        emit PoidhFactory__FeeUpdated(oldFee, _treasuryFee);
+    }
+
+    /// @notice Gives a creator a reduced (or zero) fee rate, or puts it back on the default
+    /// @param _creator Address creating bounties
+    /// @param _custom True to apply `_fee` to the creator's new bounties, false for the default rate
+    /// @param _fee Fee per 1000 of each payout, at most MAX_TREASURY_FEE (ignored when not custom)
+    function setCreatorFee(address _creator, bool _custom, uint256 _fee) external onlyOwner {
+        if (_fee > MAX_TREASURY_FEE) revert PoidhFactory__InvalidFee();
+
+        creator_HasCustomFee[_creator] = _custom;
+        creator_TreasuryFee[_creator] = _custom ? _fee : 0;
+
+        emit PoidhFactory__CreatorFeeUpdated(_creator, _custom, _custom ? _fee : 0);
+    }
+
+    /// @notice Updates the part of the fee new bounties credit to their referrer
+    /// @dev Only affects newly created bounties, existing ones keep the share they were created with
+    /// @param _referrerShare Percent of the fee, the treasury keeps the rest
+    function setReferrerShare(uint256 _referrerShare) external onlyOwner {
+        if (_referrerShare > 100) revert PoidhFactory__InvalidReferrerShare();
+
+        uint256 oldShare = referrerShare;
+        referrerShare = _referrerShare;
+
+        emit PoidhFactory__ReferrerShareUpdated(oldShare, _referrerShare);
+    }
+
     /*//////////////////////////////////////////////////////////////
                           EXTERNAL FUNCTIONS
     //////////////////////////////////////////////////////////////*/
 
     /// @notice Deploys a new bounty
+    /// @dev For token bounties the factory must be approved for `params.amount` beforehand.
+    ///      A zero votingPeriod or passThreshold selects the factory default (the voting period
+    ///      default clamped to the current bounds).
     /// @param metadataURI IPFS hash of bounty details
     /// @param joinable If true, others can join (open bounty). If false, solo bounty.
+    /// @param params Currency (zero token = ETH, msg.value is used), expiry, voting rules and arbitrator
     /// @return clone Address of the new bounty
-    function createBounty(string calldata metadataURI, bool joinable) external payable returns (address clone) {
+    function createBounty(
+        string calldata metadataURI,
+        bool joinable,
+        Poidh.BountyParams memory params
+    ) external payable returns (address clone) {
         clone = Clones.clone(implementation);
-        Poidh(clone).initialize{value: msg.value}(msg.sender, treasury, metadataURI, joinable);
+        _initializeBounty(clone, metadataURI, joinable, params);
+    }
+
+    /// @notice Deploys a new bounty at an address known before the transaction mines
+    /// @dev The salt is scoped to the caller, so nobody else can take an issuer's address.
+    ///      Reverts if the caller already used the salt. See predictBountyAddress.
+    /// @param salt Caller-chosen salt
+    /// @param metadataURI IPFS hash of bounty details
+    /// @param joinable If true, others can join (open bounty). If false, solo bounty.
+    /// @param params Currency (zero token = ETH, msg.value is used), expiry, voting rules and arbitrator
+    /// @return clone Address of the new bounty
+    function createBountyDeterministic(
+        bytes32 salt,
+        string calldata metadataURI,
+        bool joinable,
+        Poidh.BountyParams memory params
+    ) external payable returns (address clone) {
+        clone = Clones.cloneDeterministic(implementation, _bountySalt(msg.sender, salt));
+        _initializeBounty(clone, metadataURI, joinable, params);
+    }
+
+    /// @notice Records funds staked into a bounty after creation (called by bounties on join)
+    /// @dev Registers the account as a contributor of the bounty unless it is the issuer topping up
+    /// @param account Address that staked
+    /// @param token Bounty currency, zero = ETH
+    /// @param amount Amount credited to the pool
+    /// @param topUp True if the issuer added to its own bounty
+    function recordFunding(address account, address token, uint256 amount, bool topUp) external {
+        if (!isBounty[msg.sender]) revert PoidhFactory__OnlyBounty();
+        _recordFunding(msg.sender, account, token, amount, topUp);
+
+        if (!topUp && !account_Bounty_IsContributor[account][msg.sender]) {
+            account_Bounty_IsContributor[account][msg.sender] = true;
+            contributor_Bounties[account].push(msg.sender);
+        }
+    }
+
+    /// @notice Registers a claimant of a bounty (called by bounties on submitClaim)
+    /// @dev Each bounty is listed once per claimant, however many claims it submits
+    /// @param account Address that submitted a claim
+    function recordClaim(address account) external {
+        if (!isBounty[msg.sender]) revert PoidhFactory__OnlyBounty();
+
+        if (!account_Bounty_IsClaimant[account][msg.sender]) {
+            account_Bounty_IsClaimant[account][msg.sender] = true;
+            claimant_Bounties[account].push(msg.sender);
+        }
+    }
+
+    /// @notice Credits a referrer's part of a payout fee (called by bounties on payout)
+    /// @dev ETH arrives as msg.value, tokens are pulled from the bounty and credited as received
+    /// @param account Referrer to credit
+    /// @param token Bounty currency, zero = ETH
+    /// @param amount Fee amount (tokens only)
+    function depositFees(address account, address token, uint256 amount) external payable {
+        if (!isBounty[msg.sender]) revert PoidhFactory__OnlyBounty();
+
+        if (token != address(0)) {
+            uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+            amount = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        } else {
+            amount = msg.value;
+        }
+
+        account_Token_Fees[account][token] += amount;
+        emit PoidhFactory__FeesCredited(msg.sender, account, token, amount);
+    }
+
+    /// @notice Withdraws the caller's referral fees in one currency
+    /// @param token Currency to claim, zero = ETH
+    function claimFees(address token) external {
+        uint256 amount = account_Token_Fees[msg.sender][token];
+        if (amount == 0) revert PoidhFactory__NoFees();
+
+        account_Token_Fees[msg.sender][token] = 0;
+        if (token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            if (!success) revert PoidhFactory__TransferFailed();
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+
+        emit PoidhFactory__FeesClaimed(msg.sender, token, amount);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                          INTERNAL FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @dev DEFAULT_VOTING_PERIOD clamped to the current bounds, so the default never falls outside them
+    function _defaultVotingPeriod() internal view returns (uint256) {
+        if (DEFAULT_VOTING_PERIOD < minVotingPeriod) return minVotingPeriod;
+        if (DEFAULT_VOTING_PERIOD > maxVotingPeriod) return maxVotingPeriod;
+        return DEFAULT_VOTING_PERIOD;
+    }
+
+    function _initializeBounty(
+        address clone,
+        string calldata metadataURI,
+        bool joinable,
+        Poidh.BountyParams memory params
+    ) internal {
+        if (params.votingPeriod == 0) params.votingPeriod = _defaultVotingPeriod();
+        if (params.passThreshold == 0) params.passThreshold = DEFAULT_PASS_THRESHOLD;
+        if (params.votingPeriod < minVotingPeriod || params.votingPeriod > maxVotingPeriod) {
+            revert PoidhFactory__InvalidVotingPeriod();
+        }
+
+        if (params.token != address(0) && params.amount > 0) {
+            IERC20(params.token).safeTransferFrom(msg.sender, clone, params.amount);
+        }
+        Poidh(clone).initialize{value: msg.value}(
+            msg.sender,
+            treasury,
+            getTreasuryFee(msg.sender),
+            referrerShare,
+            metadataURI,
+            joinable,
+            params
+        );
 
         allBounties.push(clone);
-        emit PoidhFactory__BountyCreated(clone, msg.sender, metadataURI, joinable, allBounties.length - 1);
+        isBounty[clone] = true;
+        issuer_Bounties[msg.sender].push(clone);
+        emit PoidhFactory__BountyCreated(clone, msg.sender, params.token, metadataURI, joinable, allBounties.length - 1);
+
+        // Issuer's initial stake, as credited by the bounty (fee-on-transfer tokens arrive reduced)
+        uint256 funded = Poidh(clone).totalStaked();
+        if (funded > 0) _recordFunding(clone, msg.sender, params.token, funded, false);
+    }
+
+    function _bountySalt(address issuer, bytes32 salt) internal pure returns (bytes32) {
+        return keccak256(abi.encode(issuer, salt));
+    }
+
+    function _paginate(address[] storage list, uint256 limit, uint256 offset) internal view returns (address[] memory) {
+        uint256 total = list.length;
+        if (offset >= total) return new address[](0);
+
+        uint256 end = offset + limit;
+        if (end > total) end = total;
+        uint256 resultSize = end - offset;
+
+        address[] memory result = new address[](resultSize);
+        for (uint256 i = 0; i < resultSize; i++) {
+            result[i] = list[offset + i];
+        }
+        return result;
+    }
+
+    function _recordFunding(address bounty, address account, address token, uint256 amount, bool topUp) internal {
+        token_TotalFunded[token] += amount;
+        if (topUp) token_TotalTopUps[token] += amount;
+        emit PoidhFactory__BountyFunded(bounty, account, token, amount, topUp);
     }
 
     /*//////////////////////////////////////////////////////////////
                             VIEW FUNCTIONS
     //////////////////////////////////////////////////////////////*/
 
+    /// @notice Returns the fee rate a creator's new bounties are snapshotted with
+    function getTreasuryFee(address _creator) public view returns (uint256) {
+        return creator_HasCustomFee[_creator] ? creator_TreasuryFee[_creator] : treasuryFee;
+    }
+
+    /// @notice Returns the address createBountyDeterministic deploys to for an issuer and salt
+    /// @dev Depends on the current implementation, a setImplementation call changes it
+    /// @param issuer Address that will call createBountyDeterministic
+    /// @param salt Salt it will pass
+    function predictBountyAddress(address issuer, bytes32 salt) external view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, _bountySalt(issuer, salt));
+    }
+
     /// @notice Returns total number of bounties created
     function getBountiesCount() external view returns (uint256) {
         return allBounties.length;
@@ -117,17 +419,46 @@ contract PoidhFactory is Ownable {
     /// @param limit Max number of bounties to return
     /// @param offset Starting index
     function getBounties(uint256 limit, uint256 offset) external view returns (address[] memory) {
-        uint256 total = allBounties.length;
-        if (offset >= total) return new address[](0);
+        return _paginate(allBounties, limit, offset);
+    }
 
-        uint256 end = offset + limit;
-        if (end > total) end = total;
-        uint256 resultSize = end - offset;
+    /// @notice Returns number of bounties an issuer created
+    function getIssuerBountiesCount(address issuer) external view returns (uint256) {
+        return issuer_Bounties[issuer].length;
+    }
 
-        address[] memory result = new address[](resultSize);
-        for (uint256 i = 0; i < resultSize; i++) {
-            result[i] = allBounties[offset + i];
-        }
-        return result;
+    /// @notice Returns paginated list of bounties an issuer created, oldest first
+    /// @param issuer Creator of the bounties (kept after an issuer transfer)
+    /// @param limit Max number of bounties to return
+    /// @param offset Starting index
+    function getIssuerBounties(address issuer, uint256 limit, uint256 offset) external view returns (address[] memory) {
+        return _paginate(issuer_Bounties[issuer], limit, offset);
+    }
+
+    /// @notice Returns number of bounties an account submitted claims to
+    function getClaimantBountiesCount(address account) external view returns (uint256) {
+        return claimant_Bounties[account].length;
+    }
+
+    /// @notice Returns paginated list of bounties an account submitted claims to, in order of its first claim
+    /// @param account Claimant
+    /// @param limit Max number of bounties to return
+    /// @param offset Starting index
+    function getClaimantBounties(address account, uint256 limit, uint256 offset) external view returns (address[] memory) {
+        return _paginate(claimant_Bounties[account], limit, offset);
+    }
+
+    /// @notice Returns number of bounties an account joined
+    function getContributorBountiesCount(address account) external view returns (uint256) {
+        return contributor_Bounties[account].length;
+    }
+
+    /// @notice Returns paginated list of bounties an account joined, in order of its first join
+    /// @dev Issuer top-ups are not listed, and bounties stay listed after a withdrawal
+    /// @param account Contributor
+    /// @param limit Max number of bounties to return
+    /// @param offset Starting index
+    function getContributorBounties(address account, uint256 limit, uint256 offset) external view returns (address[] memory) {
+        return _paginate(contributor_Bounties[account], limit, offset);
     }
 }
@@ -2,32 +2,140 @@
 pragma solidity 0.8.19;
 
 interface IPoidh {
-    enum State { OPEN, VOTING, CLOSED, CANCELLED }
+    enum State { OPEN, VOTING, CLOSED, CANCELLED, EXPIRED, DISPUTED }
+    enum BondStatus { NONE, LOCKED, REFUNDED, SLASHED }
+    enum ClaimStatus { ACTIVE, WITHDRAWN, AMENDED }
 
-    function TREASURY_FEE() external view returns (uint256);
-    function VOTING_PERIOD() external view returns (uint256);
+    struct SignedVote {
+        address voter;
+        bool support;
+        uint256 deadline;
+        bytes signature;
+    }
+
+    struct BountyParams {
+        address token;
+        uint256 amount;
+        uint256 expiry;
+        uint256 votingPeriod;
+        uint256 quorum;
+        uint256 passThreshold;
+        address arbitrator;
+        uint256[] milestones;
+        uint256 claimBond;
+        bool claimAllowlist;
+        bool joinAllowlist;
+        bytes32 claimantRoot;
+        bytes32 contributorRoot;
+        address referrer;
+    }
+
+    function SPLIT_BPS() external view returns (uint256);
+    function MAX_WINNERS() external view returns (uint256);
+    function MAX_MILESTONES() external view returns (uint256);
+    function MAX_TIP_BPS() external view returns (uint256);
+    function DISPUTE_FAILED_ROUNDS() external view returns (uint256);
+    function DISPUTE_INACTIVITY_PERIOD() external view returns (uint256);
+    function DISPUTE_RULING_PERIOD() external view returns (uint256);
+    function VOTE_TYPEHASH() external view returns (bytes32);
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
 
     function issuer() external view returns (address);
+    function pendingIssuer() external view returns (address);
     function treasury() external view returns (address);
+    function factory() external view returns (address);
+    function treasuryFee() external view returns (uint256);
+    function referrer() external view returns (address);
+    function referrerShare() external view returns (uint256);
+    function token() external view returns (address);
     function metadataURI() external view returns (string memory);
     function state() external view returns (State);
 
     function account_Stake(address account) external view returns (uint256);
     function totalStaked() external view returns (uint256);
+    function account_Shares(address account) external view returns (uint256);
+    function totalShares() external view returns (uint256);
+    function account_Delegate(address account) external view returns (address);
+    function account_DelegatedWeight(address account) external view returns (uint256);
+    function getVotingWeight(address account) external view returns (uint256);
+    function account_Payout(address account) external view returns (uint256);
+    function totalPayouts() external view returns (uint256);
 
-    function claims(uint256 index) external view returns (address claimant, string memory name, string memory proofURI);
+    function claims(uint256 index)
+        external
+        view
+        returns (address claimant, string memory name, string memory proofURI, ClaimStatus status);
     function getClaimsCount() external view returns (uint256);
-    function getClaim(uint256 claimId) external view returns (address claimant, string memory name, string memory proofURI);
+    function getClaim(uint256 claimId)
+        external
+        view
+        returns (address claimant, string memory name, string memory proofURI, ClaimStatus status);
+    function getProposedSplit() external view returns (uint256[] memory claimIds, uint256[] memory shares);
+    function getProposedTips() external view returns (uint256[] memory claimIds, uint256[] memory shares);
 
     function account_Round_HasVoted(address account, uint256 round) external view returns (bool);
+    function nonces(address account) external view returns (uint256);
     function joinable() external view returns (bool);
+    function expiry() external view returns (uint256);
+    function votingPeriod() external view returns (uint256);
+    function quorum() external view returns (uint256);
+    function passThreshold() external view returns (uint256);
+    function arbitrator() external view returns (address);
+    function lastIssuerActivity() external view returns (uint256);
+    function failedVotes() external view returns (uint256);
+    function disputedAt() external view returns (uint256);
+    function milestones(uint256 index) external view returns (uint256);
+    function currentMilestone() external view returns (uint256);
+    function getMilestones() external view returns (uint256[] memory);
+    function claimBond() external view returns (uint256);
+    function totalBonds() external view returns (uint256);
+    function claim_Bond(uint256 claimId) external view returns (uint256);
+    function claim_BondStatus(uint256 claimId) external view returns (BondStatus);
+    function getClaimBond(uint256 claimId) external view returns (BondStatus status, uint256 amount);
+    function claimAllowlist() external view returns (bool);
+    function joinAllowlist() external view returns (bool);
+    function claimantRoot() external view returns (bytes32);
+    function contributorRoot() external view returns (bytes32);
+    function account_CanClaim(address account) external view returns (bool);
+    function account_CanJoin(address account) external view returns (bool);
 
-    function initialize(address issuer, address treasury, string calldata metadataURI, bool joinable) external payable;
+    function initialize(
+        address issuer,
+        address treasury,
+        uint256 treasuryFee,
+        uint256 referrerShare,
+        string calldata metadataURI,
+        bool joinable,
+        BountyParams calldata params
+    ) external payable;
     function join() external payable;
+    function joinWithToken(uint256 amount) external;
     function withdraw(address account) external;
+    function delegate(address delegatee) external;
+    function undelegate() external;
+    function proposeIssuer(address pendingIssuer) external;
+    function acceptIssuer() external;
     function cancel() external;
-    function submitClaim(string calldata name, string calldata proofURI) external;
+    function expire() external;
+    function submitClaim(string calldata name, string calldata proofURI) external payable;
+    function setClaimants(address[] calldata accounts, bool allowed) external;
+    function setContributors(address[] calldata accounts, bool allowed) external;
+    function setAllowlistRoots(bytes32 claimantRoot, bytes32 contributorRoot) external;
+    function registerClaimant(bytes32[] calldata proof) external;
+    function registerContributor(bytes32[] calldata proof) external;
+    function withdrawClaim(uint256 claimId) external;
+    function updateClaim(uint256 claimId, string calldata name, string calldata proofURI) external;
+    function refundBond(uint256 claimId) external;
+    function claimPayout(address account) external;
+    function slashBond(uint256 claimId) external;
     function startVote(uint256 claimId) external;
+    function startSplitVote(uint256[] calldata claimIds, uint256[] calldata shares) external;
+    function setTips(uint256[] calldata claimIds, uint256[] calldata shares) external;
     function vote(bool support) external;
+    function voteBySig(SignedVote calldata signedVote) external;
+    function batchVoteBySig(SignedVote[] calldata signedVotes) external;
     function resolveVote() external;
+    function dispute(uint256 claimId) external;
+    function ruleDispute(bool award, uint256 claimId) external;
+    function cancelDispute() external;
 }
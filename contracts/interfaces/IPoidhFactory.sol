@@ -1,34 +1,96 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.19;
 
+import {IPoidh} from "./IPoidh.sol";
+
 interface IPoidhFactory {
+    // Constants
+    function DEFAULT_VOTING_PERIOD() external view returns (uint256);
+    function DEFAULT_PASS_THRESHOLD() external view returns (uint256);
+    function MAX_TREASURY_FEE() external view returns (uint256);
+
     // State
     function implementation() external view returns (address);
     function treasury() external view returns (address);
+    function treasuryFee() external view returns (uint256);
+    function creator_HasCustomFee(address creator) external view returns (bool);
+    function creator_TreasuryFee(address creator) external view returns (uint256);
+    function getTreasuryFee(address creator) external view returns (uint256);
+    function referrerShare() external view returns (uint256);
     function owner() external view returns (address);
+    function minVotingPeriod() external view returns (uint256);
+    function maxVotingPeriod() external view returns (uint256);
 
     // Registry
     function allBounties(uint256 index) external view returns (address);
     function getBountiesCount() external view returns (uint256);
     function getBounties(uint256 limit, uint256 offset) external view returns (address[] memory);
+    function isBounty(address bounty) external view returns (bool);
+    function issuer_Bounties(address issuer, uint256 index) external view returns (address);
+    function claimant_Bounties(address account, uint256 index) external view returns (address);
+    function contributor_Bounties(address account, uint256 index) external view returns (address);
+    function account_Bounty_IsClaimant(address account, address bounty) external view returns (bool);
+    function account_Bounty_IsContributor(address account, address bounty) external view returns (bool);
+    function getIssuerBountiesCount(address issuer) external view returns (uint256);
+    function getIssuerBounties(address issuer, uint256 limit, uint256 offset) external view returns (address[] memory);
+    function getClaimantBountiesCount(address account) external view returns (uint256);
+    function getClaimantBounties(address account, uint256 limit, uint256 offset) external view returns (address[] memory);
+    function getContributorBountiesCount(address account) external view returns (uint256);
+    function getContributorBounties(address account, uint256 limit, uint256 offset) external view returns (address[] memory);
+
+    // Stats
+    function token_TotalFunded(address token) external view returns (uint256);
+    function token_TotalTopUps(address token) external view returns (uint256);
+
+    // Referral fees
+    function account_Token_Fees(address account, address token) external view returns (uint256);
+    function claimFees(address token) external;
 
     // Owner functions
     function setImplementation(address _implementation) external;
     function setTreasury(address _treasury) external;
+    function setVotingPeriodBounds(uint256 _minVotingPeriod, uint256 _maxVotingPeriod) external;
+    function setTreasuryFee(uint256 _treasuryFee) external;
+    function setCreatorFee(address _creator, bool _custom, uint256 _fee) external;
+    function setReferrerShare(uint256 _referrerShare) external;
     function transferOwnership(address newOwner) external;
     function renounceOwnership() external;
 
     // Bounty creation
-    function createBounty(string calldata metadataURI, bool joinable) external payable returns (address clone);
+    function createBounty(
+        string calldata metadataURI,
+        bool joinable,
+        IPoidh.BountyParams calldata params
+    ) external payable returns (address clone);
+    function createBountyDeterministic(
+        bytes32 salt,
+        string calldata metadataURI,
+        bool joinable,
+        IPoidh.BountyParams calldata params
+    ) external payable returns (address clone);
+    function predictBountyAddress(address issuer, bytes32 salt) external view returns (address);
+
+    // Bounty hooks
+    function recordFunding(address account, address token, uint256 amount, bool topUp) external;
+    function recordClaim(address account) external;
+    function depositFees(address account, address token, uint256 amount) external payable;
 
     // Events
     event PoidhFactory__BountyCreated(
         address indexed bountyAddress,
         address indexed issuer,
+        address indexed token,
         string metadataURI,
         bool joinable,
         uint256 index
     );
+    event PoidhFactory__BountyFunded(
+        address indexed bountyAddress,
+        address indexed account,
+        address indexed token,
+        uint256 amount,
+        bool topUp
+    );
     event PoidhFactory__ImplementationUpdated(
         address indexed oldImplementation,
         address indexed newImplementation
@@ -37,4 +99,32 @@ interface IPoidhFactory {
         address indexed oldTreasury,
         address indexed newTreasury
     );
+    event PoidhFactory__VotingPeriodBoundsUpdated(
+        uint256 minVotingPeriod,
+        uint256 maxVotingPeriod
+    );
+    event PoidhFactory__FeeUpdated(
+        uint256 oldFee,
+        uint256 newFee
+    );
+    event PoidhFactory__CreatorFeeUpdated(
+        address indexed creator,
+        bool custom,
+        uint256 fee
+    );
+    event PoidhFactory__ReferrerShareUpdated(
+        uint256 oldShare,
+        uint256 newShare
+    );
+    event PoidhFactory__FeesCredited(
+        address indexed bountyAddress,
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
+    event PoidhFactory__FeesClaimed(
+        address indexed account,
+        address indexed token,
+        uint256 amount
+    );
 }
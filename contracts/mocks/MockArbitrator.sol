@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+interface IPoidhDispute {
+    function ruleDispute(bool award, uint256 claimId) external;
+}
+
+/**
+ * @title MockArbitrator
+ * @notice Arbitrator contract for testing disputes, forwards rulings made by its owner
+ */
+contract MockArbitrator {
+    address public immutable owner;
+    uint256 public rulingsCount;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function award(address _bounty, uint256 _claimId) external {
+        require(msg.sender == owner, "not owner");
+        rulingsCount++;
+        IPoidhDispute(_bounty).ruleDispute(true, _claimId);
+    }
+
+    function cancel(address _bounty) external {
+        require(msg.sender == owner, "not owner");
+        rulingsCount++;
+        IPoidhDispute(_bounty).ruleDispute(false, 0);
+    }
+}
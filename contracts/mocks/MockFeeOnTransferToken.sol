@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockFeeOnTransferToken
+ * @notice ERC-20 that burns a percentage of every transfer, for testing received-amount accounting
+ */
+contract MockFeeOnTransferToken is ERC20 {
+    uint256 public constant FEE_BPS = 100;  // 1% burned on every transfer
+
+    constructor() ERC20("Fee Token", "FEE") {}
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal override {
+        uint256 fee = (amount * FEE_BPS) / 10000;
+        super._transfer(from, to, amount - fee);
+        if (fee > 0) _burn(from, fee);
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title MockMultisig
+ * @notice Contract account for testing contract issuers, executes calls once enough owners approved them
+ */
+contract MockMultisig {
+    mapping(address => bool) public isOwner;
+    uint256 public immutable threshold;
+    uint256 public nonce;
+    mapping(bytes32 => uint256) public approvals;
+    mapping(bytes32 => mapping(address => bool)) public approved;
+
+    constructor(address[] memory _owners, uint256 _threshold) {
+        for (uint256 i = 0; i < _owners.length; i++) {
+            isOwner[_owners[i]] = true;
+        }
+        threshold = _threshold;
+    }
+
+    /// @dev Records the caller's approval and executes the call on the approval reaching the threshold
+    function execute(address _target, bytes calldata _data) external returns (bool executed) {
+        require(isOwner[msg.sender], "not owner");
+        bytes32 callHash = keccak256(abi.encode(_target, _data, nonce));
+        require(!approved[callHash][msg.sender], "already approved");
+
+        approved[callHash][msg.sender] = true;
+        if (++approvals[callHash] < threshold) return false;
+
+        nonce++;
+        (bool success, bytes memory result) = _target.call(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return true;
+    }
+
+    receive() external payable {}
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+interface IPoidhClaimTarget {
+    function submitClaim(string calldata name, string calldata proofURI) external payable;
+}
+
+/**
+ * @title MockRevertingClaimant
+ * @notice Contract claimant that rejects every ETH transfer, for testing that payouts can't be blocked
+ */
+contract MockRevertingClaimant {
+    function submitClaim(address _target, string calldata _name, string calldata _proofURI) external {
+        IPoidhClaimTarget(_target).submitClaim(_name, _proofURI);
+    }
+
+    receive() external payable {
+        revert("MockRevertingClaimant: no ETH");
+    }
+}
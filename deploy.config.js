@@ -0,0 +1,37 @@
+// =============================================================================
+// DEPLOYMENT CONFIGURATION
+// =============================================================================
+//
+// One entry per Hardhat network, read by scripts/deploy.js. Every setting is
+// optional except treasury; omitted settings keep the contract defaults. Rerunning
+// the deployment applies whatever differs from the chain, so edit a value here
+// and rerun to change it.
+//
+//   treasury       - receives the factory's fee on bounty payouts
+//   treasuryFee    - default fee per 1000 of each payout (max 50)
+//   referrerShare  - percent of the fee credited to a bounty's referrer
+//   votingPeriod   - [min, max] seconds a bounty may vote for
+//   creatorFees    - creator => custom fee per 1000 (null restores the default)
+//   owner          - transfer factory ownership here once configured (multisig or DAO)
+//   verify         - verify the contracts on the block explorer
+//   confirmations  - blocks to wait for each transaction
+
+module.exports = {
+  mainnet: {
+    treasury: "0x7a8C895E7826F66e1094532cB435Da725dc3868f",
+    treasuryFee: 25,
+    referrerShare: 20,
+    votingPeriod: [86400, 2592000],
+    verify: true,
+    confirmations: 2,
+  },
+
+  // `yarn hardhat node` accounts, #1 as treasury
+  localhost: {
+    treasury: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+  },
+
+  hardhat: {
+    treasury: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+  },
+};
@@ -4,6 +4,7 @@ require("@nomiclabs/hardhat-ethers");
 require("@nomicfoundation/hardhat-verify");
 require("@nomicfoundation/hardhat-chai-matchers");
 require("solidity-coverage");
+require("./tasks/poidh");
 
 const CHAIN_ID = 8453; // base chain id
 
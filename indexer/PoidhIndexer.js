@@ -0,0 +1,438 @@
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+const { POIDH_FACTORY_ABI, POIDH_ABI } = require("../sdk/abi");
+const { SCHEMA, MATERIALIZED_TABLES } = require("./schema");
+const { createHandlers } = require("./handlers");
+
+// =============================================================================
+// POIDH INDEXER
+// =============================================================================
+//
+// Follows PoidhFactory__BountyCreated and the events of every bounty clone into
+// SQLite. Each batch of blocks is written in one transaction together with the
+// checkpoint, so a restarted indexer resumes exactly where the last commit ended.
+// Hashes of the last `reorgDepth` indexed blocks are kept; when one no longer
+// matches the chain, events after the fork are deleted and the tables rebuilt.
+//
+//   const indexer = new PoidhIndexer({ provider, factory, db: "poidh.db", startBlock });
+//   await indexer.sync();            // index up to the chain head once
+//   indexer.start(4000);             // or keep polling
+//   indexer.getBounties({ state: "OPEN" });
+
+const BOUNTY_EVENTS = [
+  "Poidh__Joined",
+  "Poidh__Withdrawn",
+  "Poidh__ClaimSubmitted",
+  "Poidh__ClaimWithdrawn",
+  "Poidh__ClaimUpdated",
+  "Poidh__VoteStarted",
+  "Poidh__VoteCast",
+  "Poidh__VoteFailed",
+  "Poidh__BountyPaid",
+  "Poidh__TipPaid",
+  "Poidh__MilestonePaid",
+  "Poidh__Disputed",
+  "Poidh__Cancelled",
+  "Poidh__Expired",
+  "Poidh__BondSlashed",
+  "Poidh__IssuerTransferred",
+];
+
+// Event args stored as JSON numbers, every other uint256 is a decimal string
+const INTEGER_ARGS = new Set(["index", "claimId", "round", "deadline", "milestone"]);
+
+const factoryInterface = new ethers.utils.Interface(POIDH_FACTORY_ABI);
+const bountyInterface = new ethers.utils.Interface(POIDH_ABI);
+const BOUNTY_CREATED_TOPIC = factoryInterface.getEventTopic("PoidhFactory__BountyCreated");
+const BOUNTY_TOPICS = BOUNTY_EVENTS.map((name) => bountyInterface.getEventTopic(name));
+
+class PoidhIndexer {
+  constructor({ provider, factory, db, startBlock = 0, batchSize = 2000, confirmations = 0, reorgDepth = 64 }) {
+    this.provider = provider;
+    this.factory = ethers.utils.getAddress(factory);
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+
+    this.db = typeof db === "string" || db === undefined ? new Database(db || ":memory:") : db;
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+    this.apply = createHandlers(this.db);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              SYNC
+  //////////////////////////////////////////////////////////////*/
+
+  // Indexes from the checkpoint up to the chain head (less `confirmations`) and returns
+  // the range covered, `reorg` is the fork block when a reorg was rolled back
+  async sync() {
+    const reorg = await this._checkReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const checkpoint = this.getCheckpoint();
+    const from = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+
+    let events = 0;
+    for (let start = from; start <= head; start += this.batchSize) {
+      events += await this._indexRange(start, Math.min(start + this.batchSize - 1, head));
+    }
+    return { from, to: Math.max(head, from - 1), events, reorg };
+  }
+
+  // Polls sync every `interval` ms until stop(), errors go to `onError` and polling continues
+  start(interval = 4000, onError = console.error) {
+    this.stop();
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        onError(error);
+      }
+      if (this._polling) this._timer = setTimeout(poll, interval);
+    };
+    this._polling = true;
+    this._timer = setTimeout(poll, 0);
+  }
+
+  stop() {
+    this._polling = false;
+    clearTimeout(this._timer);
+  }
+
+  close() {
+    this.stop();
+    this.db.close();
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const [created, bountyLogs, block] = await Promise.all([
+      this.provider.getLogs({ address: this.factory, topics: [BOUNTY_CREATED_TOPIC], fromBlock, toBlock }),
+      this.provider.getLogs({ topics: [BOUNTY_TOPICS], fromBlock, toBlock }),
+      this.provider.getBlock(toBlock),
+    ]);
+
+    const events = [];
+    for (const log of created) {
+      const event = this._decode(log, factoryInterface);
+      event.args.milestones = await this._milestones(event.args.bountyAddress);
+      events.push(event);
+    }
+
+    // Topics alone match any contract, keep only the factory's bounties
+    const bounties = new Set(events.map((event) => event.args.bountyAddress));
+    const isBounty = this.db.prepare("SELECT 1 FROM bounties WHERE address = ?");
+    for (const log of bountyLogs) {
+      const address = ethers.utils.getAddress(log.address);
+      if (bounties.has(address) || isBounty.get(address)) events.push(this._decode(log, bountyInterface));
+    }
+    events.sort(compareEvents);
+
+    const insertEvent = this.db.prepare(`
+      INSERT INTO events (block_number, block_hash, transaction_hash, transaction_index, log_index, address, name, args)
+      VALUES (@blockNumber, @blockHash, @transactionHash, @transactionIndex, @logIndex, @address, @name, @json)
+    `);
+    const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        insertEvent.run({ ...event, json: JSON.stringify(event.args) });
+        insertBlock.run(event.blockNumber, event.blockHash);
+        this.apply(event);
+      }
+      insertBlock.run(block.number, block.hash);
+      this.db.prepare("DELETE FROM blocks WHERE number < ?").run(block.number - this.reorgDepth);
+      this._setCheckpoint(block.number, block.hash);
+    })();
+    return events.length;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              REORGS
+  //////////////////////////////////////////////////////////////*/
+
+  // Walks back the stored block hashes to the newest one still on chain and rolls back to it
+  async _checkReorg() {
+    const checkpoint = this.getCheckpoint();
+    if (!checkpoint) return null;
+
+    const stored = this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    for (const { number, hash } of stored) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) {
+        if (number === checkpoint.blockNumber) return null;
+        this._rollback(number, hash);
+        return number;
+      }
+    }
+
+    throw new Error(
+      `Reorg deeper than the ${this.reorgDepth} blocks kept, reindex from block ${this.startBlock} into a new database`
+    );
+  }
+
+  _rollback(blockNumber, blockHash) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+      this._setCheckpoint(blockNumber, blockHash);
+      this._rebuild();
+    })();
+  }
+
+  // Replays every stored event into emptied tables
+  _rebuild() {
+    for (const table of MATERIALIZED_TABLES) this.db.prepare(`DELETE FROM ${table}`).run();
+
+    const rows = this.db.prepare("SELECT * FROM events").all();
+    const events = rows.map((row) => ({
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+      transactionHash: row.transaction_hash,
+      transactionIndex: row.transaction_index,
+      logIndex: row.log_index,
+      address: row.address,
+      name: row.name,
+      args: JSON.parse(row.args),
+    }));
+    for (const event of events.sort(compareEvents)) this.apply(event);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              HELPERS
+  //////////////////////////////////////////////////////////////*/
+
+  _decode(log, iface) {
+    const { name, eventFragment, args } = iface.parseLog(log);
+    const values = {};
+    eventFragment.inputs.forEach((input, i) => {
+      const value = args[i];
+      if (ethers.BigNumber.isBigNumber(value)) {
+        values[input.name] = INTEGER_ARGS.has(input.name) ? value.toNumber() : value.toString();
+      } else {
+        values[input.name] = value;
+      }
+    });
+
+    return {
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      transactionIndex: log.transactionIndex,
+      logIndex: log.logIndex,
+      address: ethers.utils.getAddress(log.address),
+      name,
+      args: values,
+    };
+  }
+
+  // Milestones are fixed at creation, read once so replays don't need the chain. Read at the
+  // latest block, a backfill from an old START_BLOCK can't rely on the node keeping past state.
+  async _milestones(bounty) {
+    const contract = new ethers.Contract(bounty, POIDH_ABI, this.provider);
+    return (await contract.getMilestones()).length;
+  }
+
+  _setCheckpoint(blockNumber, blockHash) {
+    this.db.prepare("INSERT OR REPLACE INTO checkpoint (id, block_number, block_hash) VALUES (1, ?, ?)")
+      .run(blockNumber, blockHash);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              QUERIES
+  //////////////////////////////////////////////////////////////*/
+
+  getCheckpoint() {
+    const row = this.db.prepare("SELECT block_number, block_hash FROM checkpoint WHERE id = 1").get();
+    return row ? { blockNumber: row.block_number, blockHash: row.block_hash } : null;
+  }
+
+  // Newest first. Filters: state, joinable, issuer (current), token, and minAmount / maxAmount
+  // on the amount staked, in the token's base units
+  getBounties({ limit = 50, offset = 0, ...filters } = {}) {
+    const { clause, params } = bountyFilter(filters);
+    return this.db
+      .prepare(`SELECT * FROM bounties ${clause} ORDER BY bounty_index DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map(bountyRow);
+  }
+
+  countBounties(filters = {}) {
+    const { clause, params } = bountyFilter(filters);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM bounties ${clause}`).get(params).count;
+  }
+
+  getBounty(address) {
+    const row = this.db.prepare("SELECT * FROM bounties WHERE address = ?").get(ethers.utils.getAddress(address));
+    return row ? bountyRow(row) : null;
+  }
+
+  getClaims(bounty) {
+    return this.db
+      .prepare("SELECT * FROM claims WHERE bounty = ? ORDER BY claim_id")
+      .all(ethers.utils.getAddress(bounty))
+      .map((row) => ({
+        claimId: row.claim_id,
+        claimant: row.claimant,
+        name: row.name,
+        proofURI: row.proof_uri,
+        status: row.status,
+        createdBlock: row.created_block,
+        createdTransaction: row.created_transaction,
+      }));
+  }
+
+  // Votes by round, each with the ballots cast in it
+  getVotes(bounty) {
+    const address = ethers.utils.getAddress(bounty);
+    const casts = this.db.prepare("SELECT * FROM vote_casts WHERE bounty = ? AND round = ? ORDER BY block_number");
+    return this.db
+      .prepare("SELECT * FROM votes WHERE bounty = ? ORDER BY round")
+      .all(address)
+      .map((row) => ({
+        round: row.round,
+        claimId: row.claim_id,
+        deadline: row.deadline,
+        yes: row.yes,
+        no: row.no,
+        status: row.status,
+        startedBlock: row.started_block,
+        casts: casts.all(address, row.round).map((cast) => ({
+          voter: cast.voter,
+          support: cast.support === 1,
+          weight: cast.weight,
+        })),
+      }));
+  }
+
+  // Funders with their current stake, the amount Poidh.account_Stake would return
+  getContributions(bounty) {
+    const { total_staked: staked, total_shares: totalShares } = this.db
+      .prepare("SELECT total_staked, total_shares FROM bounties WHERE address = ?")
+      .get(ethers.utils.getAddress(bounty)) || {};
+    return this.db
+      .prepare("SELECT * FROM contributions WHERE bounty = ? ORDER BY rowid")
+      .all(ethers.utils.getAddress(bounty))
+      .map((row) => contributionRow(row, staked, totalShares));
+  }
+
+  getPayouts(bounty) {
+    return this.db
+      .prepare("SELECT * FROM payouts WHERE bounty = ? ORDER BY block_number, log_index")
+      .all(ethers.utils.getAddress(bounty))
+      .map((row) => ({
+        winner: row.winner,
+        kind: row.kind,
+        reward: row.reward,
+        fee: row.fee,
+        transactionHash: row.transaction_hash,
+      }));
+  }
+
+  // Bounties the account funded, with its stake in each
+  getAccountContributions(account) {
+    return this.db
+      .prepare(`
+        SELECT c.*, b.total_staked, b.total_shares FROM contributions c JOIN bounties b ON b.address = c.bounty
+        WHERE c.account = ? ORDER BY b.bounty_index DESC
+      `)
+      .all(ethers.utils.getAddress(account))
+      .map((row) => ({ bounty: row.bounty, ...contributionRow(row, row.total_staked, row.total_shares) }));
+  }
+
+  getAccountClaims(account) {
+    return this.db
+      .prepare("SELECT * FROM claims WHERE claimant = ? ORDER BY created_block DESC, claim_id DESC")
+      .all(ethers.utils.getAddress(account))
+      .map((row) => ({ bounty: row.bounty, claimId: row.claim_id, name: row.name, proofURI: row.proof_uri, status: row.status }));
+  }
+
+  getAccountPayouts(account) {
+    return this.db
+      .prepare("SELECT * FROM payouts WHERE winner = ? ORDER BY block_number DESC, log_index DESC")
+      .all(ethers.utils.getAddress(account))
+      .map((row) => ({
+        bounty: row.bounty,
+        kind: row.kind,
+        reward: row.reward,
+        fee: row.fee,
+        transactionHash: row.transaction_hash,
+      }));
+  }
+}
+
+// Amounts are decimal strings without leading zeros, so a longer string is a larger amount
+function bountyFilter({ state, joinable, issuer, token, minAmount, maxAmount }) {
+  const where = [];
+  const params = {};
+  if (state) {
+    where.push("state = @state");
+    params.state = state;
+  }
+  if (joinable !== undefined) {
+    where.push("joinable = @joinable");
+    params.joinable = joinable ? 1 : 0;
+  }
+  if (issuer) {
+    where.push("issuer = @issuer");
+    params.issuer = ethers.utils.getAddress(issuer);
+  }
+  if (token) {
+    where.push("token = @token");
+    params.token = ethers.utils.getAddress(token);
+  }
+  if (minAmount !== undefined) {
+    where.push("(length(total_staked) > length(@minAmount) OR (length(total_staked) = length(@minAmount) AND total_staked >= @minAmount))");
+    params.minAmount = ethers.BigNumber.from(minAmount).toString();
+  }
+  if (maxAmount !== undefined) {
+    where.push("(length(total_staked) < length(@maxAmount) OR (length(total_staked) = length(@maxAmount) AND total_staked <= @maxAmount))");
+    params.maxAmount = ethers.BigNumber.from(maxAmount).toString();
+  }
+  return { clause: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+function contributionRow(row, staked, totalShares) {
+  const stake = ethers.BigNumber.from(totalShares || 0).isZero()
+    ? "0"
+    : ethers.BigNumber.from(row.shares).mul(staked).div(totalShares).toString();
+  return { account: row.account, shares: row.shares, stake, joined: row.joined, withdrawn: row.withdrawn };
+}
+
+// Chain order, except a bounty's creation comes first in its transaction: the clone
+// emits its issuer's Poidh__Joined from initialize, before the factory's event
+function compareEvents(a, b) {
+  return (
+    a.blockNumber - b.blockNumber ||
+    a.transactionIndex - b.transactionIndex ||
+    (b.name === "PoidhFactory__BountyCreated") - (a.name === "PoidhFactory__BountyCreated") ||
+    a.logIndex - b.logIndex
+  );
+}
+
+function bountyRow(row) {
+  return {
+    address: row.address,
+    index: row.bounty_index,
+    issuer: row.issuer,
+    token: row.token,
+    metadataURI: row.metadata_uri,
+    joinable: row.joinable === 1,
+    milestones: row.milestones,
+    state: row.state,
+    votingRound: row.voting_round,
+    totalStaked: row.total_staked,
+    totalJoined: row.total_joined,
+    totalWithdrawn: row.total_withdrawn,
+    totalPaid: row.total_paid,
+    claimsCount: row.claims_count,
+    createdBlock: row.created_block,
+    createdTransaction: row.created_transaction,
+    updatedBlock: row.updated_block,
+  };
+}
+
+module.exports = {
+  PoidhIndexer,
+  BOUNTY_EVENTS,
+};
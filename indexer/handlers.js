@@ -0,0 +1,178 @@
+const { BigNumber } = require("ethers");
+
+// =============================================================================
+// EVENT HANDLERS
+// =============================================================================
+//
+// Materialize one decoded event into the bounty tables. Handlers only read the
+// database, never the chain, so replaying `events` in order rebuilds the same state.
+//
+// Besides the lifecycle events, Poidh__Expired, Poidh__Disputed, Poidh__MilestonePaid,
+// Poidh__TipPaid, Poidh__ClaimWithdrawn, Poidh__ClaimUpdated, Poidh__BondSlashed and
+// Poidh__IssuerTransferred are followed to keep bounty states, claim statuses and stakes
+// exact. Shares and totalStaked mirror the bounty's own accounting, so stakes match account_Stake.
+
+const add = (a, b) => BigNumber.from(a).add(b).toString();
+const neg = (a) => BigNumber.from(a).mul(-1).toString();
+
+function createHandlers(db) {
+  const bounty = db.prepare("SELECT * FROM bounties WHERE address = ?");
+  const setState = db.prepare("UPDATE bounties SET state = ?, updated_block = ? WHERE address = ?");
+  const setVoteStatus = db.prepare("UPDATE votes SET status = ? WHERE bounty = ? AND round = ? AND status = 'VOTING'");
+
+  const handlers = {
+    // `milestones` is read from the bounty when the event is first indexed
+    PoidhFactory__BountyCreated: (event, { bountyAddress, index, issuer, token, metadataURI, joinable, milestones }) => {
+      db.prepare(`
+        INSERT INTO bounties (address, bounty_index, issuer, token, metadata_uri, joinable, milestones, state,
+                              created_block, created_transaction, updated_block)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'OPEN', ?, ?, ?)
+      `).run(bountyAddress, index, issuer, token, metadataURI, joinable ? 1 : 0, milestones,
+        event.blockNumber, event.transactionHash, event.blockNumber);
+    },
+
+    // Mints shares at the pool price, as Poidh._join
+    Poidh__Joined: (event, { user, amount }) => {
+      const { total_staked: staked, total_shares: totalShares } = bounty.get(event.address);
+      const shares = BigNumber.from(totalShares).isZero() || BigNumber.from(staked).isZero()
+        ? amount
+        : BigNumber.from(amount).mul(totalShares).div(staked).toString();
+
+      const current = contribution(event.address, user);
+      setContribution(event.address, user, add(current.shares, shares), add(current.joined, amount), current.withdrawn);
+      updateTotals(event, { total_staked: amount, total_shares: shares, total_joined: amount });
+    },
+
+    // Redeems all of the account's shares
+    Poidh__Withdrawn: (event, { user, amount }) => {
+      const current = contribution(event.address, user);
+      setContribution(event.address, user, "0", current.joined, add(current.withdrawn, amount));
+      updateTotals(event, { total_staked: neg(amount), total_shares: neg(current.shares), total_withdrawn: amount });
+    },
+
+    // The issuer stake moves with the role
+    Poidh__IssuerTransferred: (event, { previousIssuer, newIssuer }) => {
+      const previous = contribution(event.address, previousIssuer);
+      const next = contribution(event.address, newIssuer);
+      setContribution(event.address, previousIssuer, "0", previous.joined, previous.withdrawn);
+      setContribution(event.address, newIssuer, add(next.shares, previous.shares), next.joined, next.withdrawn);
+      db.prepare("UPDATE bounties SET issuer = ?, updated_block = ? WHERE address = ?")
+        .run(newIssuer, event.blockNumber, event.address);
+    },
+
+    Poidh__BondSlashed: (event, { amount }) => updateTotals(event, { total_staked: amount }),
+
+    Poidh__ClaimSubmitted: (event, { claimId, claimant, name, proofURI }) => {
+      db.prepare(`
+        INSERT INTO claims (bounty, claim_id, claimant, name, proof_uri, status, created_block, created_transaction)
+        VALUES (?, ?, ?, ?, ?, 'ACTIVE', ?, ?)
+      `).run(event.address, claimId, claimant, name, proofURI, event.blockNumber, event.transactionHash);
+      db.prepare("UPDATE bounties SET claims_count = claims_count + 1, updated_block = ? WHERE address = ?")
+        .run(event.blockNumber, event.address);
+    },
+
+    Poidh__ClaimWithdrawn: (event, { claimId }) => {
+      db.prepare("UPDATE claims SET status = 'WITHDRAWN' WHERE bounty = ? AND claim_id = ?").run(event.address, claimId);
+    },
+
+    Poidh__ClaimUpdated: (event, { claimId, name, proofURI }) => {
+      db.prepare("UPDATE claims SET name = ?, proof_uri = ?, status = 'AMENDED' WHERE bounty = ? AND claim_id = ?")
+        .run(name, proofURI, event.address, claimId);
+    },
+
+    Poidh__VoteStarted: (event, { claimId, deadline, round }) => {
+      db.prepare(`
+        INSERT OR REPLACE INTO votes (bounty, round, claim_id, deadline, status, started_block)
+        VALUES (?, ?, ?, ?, 'VOTING', ?)
+      `).run(event.address, round, claimId, deadline, event.blockNumber);
+      db.prepare("UPDATE bounties SET state = 'VOTING', voting_round = ?, updated_block = ? WHERE address = ?")
+        .run(round, event.blockNumber, event.address);
+    },
+
+    Poidh__VoteCast: (event, { voter, support, weight }) => {
+      const round = bounty.get(event.address).voting_round;
+      db.prepare("INSERT INTO vote_casts (bounty, round, voter, support, weight, block_number) VALUES (?, ?, ?, ?, ?, ?)")
+        .run(event.address, round, voter, support ? 1 : 0, weight, event.blockNumber);
+
+      const column = support ? "yes" : "no";
+      const vote = db.prepare("SELECT * FROM votes WHERE bounty = ? AND round = ?").get(event.address, round);
+      db.prepare(`UPDATE votes SET ${column} = ? WHERE bounty = ? AND round = ?`)
+        .run(add(vote[column], weight), event.address, round);
+    },
+
+    Poidh__VoteFailed: (event, { round }) => {
+      setVoteStatus.run("FAILED", event.address, round);
+      setState.run("OPEN", event.blockNumber, event.address);
+    },
+
+    // Single payout bounties pay out and close on payment, milestone bounties on Poidh__MilestonePaid
+    Poidh__BountyPaid: (event, { winner, reward, fee }) => {
+      const { voting_round: round, milestones, total_staked: staked } = bounty.get(event.address);
+      insertPayout(event, winner, "REWARD", reward, fee);
+      setVoteStatus.run("PASSED", event.address, round);
+      updateTotals(event, { total_paid: add(reward, fee) });
+      if (milestones === 0) {
+        updateTotals(event, { total_staked: neg(staked) });
+        setState.run("CLOSED", event.blockNumber, event.address);
+      }
+    },
+
+    // Tips come out of the same payout, emitted before its Poidh__BountyPaid
+    Poidh__TipPaid: (event, { claimant, amount }) => {
+      insertPayout(event, claimant, "TIP", amount, "0");
+      updateTotals(event, { total_paid: amount });
+    },
+
+    Poidh__MilestonePaid: (event, { milestone, amount }) => {
+      const { milestones } = bounty.get(event.address);
+      updateTotals(event, { total_staked: neg(amount) });
+      setState.run(milestone + 1 >= milestones ? "CLOSED" : "OPEN", event.blockNumber, event.address);
+    },
+
+    Poidh__Disputed: (event, { round }) => {
+      setVoteStatus.run("ABANDONED", event.address, round);
+      setState.run("DISPUTED", event.blockNumber, event.address);
+    },
+
+    Poidh__Cancelled: (event) => setState.run("CANCELLED", event.blockNumber, event.address),
+
+    Poidh__Expired: (event) => setState.run("EXPIRED", event.blockNumber, event.address),
+  };
+
+  function contribution(address, account) {
+    return db.prepare("SELECT * FROM contributions WHERE bounty = ? AND account = ?").get(address, account) ||
+      { shares: "0", joined: "0", withdrawn: "0" };
+  }
+
+  function setContribution(address, account, shares, joined, withdrawn) {
+    db.prepare(`
+      INSERT INTO contributions (bounty, account, shares, joined, withdrawn) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (bounty, account) DO UPDATE
+      SET shares = excluded.shares, joined = excluded.joined, withdrawn = excluded.withdrawn
+    `).run(address, account, shares, joined, withdrawn);
+  }
+
+  function insertPayout(event, winner, kind, reward, fee) {
+    db.prepare(`
+      INSERT INTO payouts (bounty, winner, kind, reward, fee, block_number, transaction_hash, log_index)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(event.address, winner, kind, reward, fee, event.blockNumber, event.transactionHash, event.logIndex);
+  }
+
+  // Adds each signed amount to its bounty column
+  function updateTotals(event, amounts) {
+    const current = bounty.get(event.address);
+    for (const [column, amount] of Object.entries(amounts)) {
+      db.prepare(`UPDATE bounties SET ${column} = ?, updated_block = ? WHERE address = ?`)
+        .run(add(current[column], amount), event.blockNumber, event.address);
+    }
+  }
+
+  return function apply(event) {
+    handlers[event.name](event, event.args);
+  };
+}
+
+module.exports = {
+  createHandlers,
+};
@@ -0,0 +1,8 @@
+const { PoidhIndexer, BOUNTY_EVENTS } = require("./PoidhIndexer");
+const { SCHEMA } = require("./schema");
+
+module.exports = {
+  PoidhIndexer,
+  BOUNTY_EVENTS,
+  SCHEMA,
+};
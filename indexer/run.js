@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { PoidhIndexer } = require("./PoidhIndexer");
+
+// =============================================================================
+// MAIN
+// =============================================================================
+//
+// Indexes a factory into SQLite and keeps polling for new blocks.
+//
+// Usage:
+//   RPC_URL=http://127.0.0.1:8545 DEPLOYMENT=localhost yarn indexer
+//   RPC_URL=https://mainnet.base.org POIDH_FACTORY=0x... START_BLOCK=123 INDEXER_DB=poidh.db yarn indexer
+//
+// Without POIDH_FACTORY, the factory and start block come from deployments/<DEPLOYMENT>.json
+// (written by scripts/deploy.js).
+
+function loadDeployment(network) {
+  const file = path.join(__dirname, "..", "deployments", `${network}.json`);
+  if (!fs.existsSync(file)) throw new Error(`POIDH_FACTORY must be set, or deploy to ${network} with scripts/deploy.js`);
+  return JSON.parse(fs.readFileSync(file, "utf8")).contracts.PoidhFactory;
+}
+
+// Indexer configured from the environment, synced up to the chain head and polling (also used by api/run.js)
+async function startIndexer() {
+  const { RPC_URL, POIDH_FACTORY, START_BLOCK, DEPLOYMENT, INDEXER_DB, POLL_INTERVAL, CONFIRMATIONS } = process.env;
+
+  const deployment = POIDH_FACTORY ? { address: POIDH_FACTORY, blockNumber: 0 } : loadDeployment(DEPLOYMENT || "localhost");
+  const indexer = new PoidhIndexer({
+    provider: new ethers.providers.JsonRpcProvider(RPC_URL || "http://127.0.0.1:8545"),
+    factory: deployment.address,
+    db: INDEXER_DB || "poidh.db",
+    startBlock: START_BLOCK ? Number(START_BLOCK) : deployment.blockNumber,
+    confirmations: Number(CONFIRMATIONS || 0),
+  });
+
+  console.log("Indexing factory: ", indexer.factory);
+  console.log("Database:         ", indexer.db.name);
+
+  const { from, to, events } = await indexer.sync();
+  console.log(`Indexed blocks ${from} - ${to}, ${events} events`);
+
+  indexer.start(Number(POLL_INTERVAL || 4000));
+  process.on("SIGINT", () => {
+    indexer.close();
+    process.exit(0);
+  });
+  return indexer;
+}
+
+if (require.main === module) {
+  startIndexer().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startIndexer,
+};
@@ -0,0 +1,124 @@
+// =============================================================================
+// INDEXER SCHEMA
+// =============================================================================
+//
+// `events` holds every indexed log and is the source of truth: the other tables
+// are materialized from it, and rebuilt from it after a reorg. Token amounts are
+// decimal strings (uint256 doesn't fit an SQLite integer), addresses are checksummed.
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS checkpoint (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL
+);
+
+-- Hashes of recently indexed blocks, compared against the chain to find reorgs
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  transaction_index INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  address TEXT NOT NULL,
+  name TEXT NOT NULL,
+  args TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_address ON events (address);
+
+CREATE TABLE IF NOT EXISTS bounties (
+  address TEXT PRIMARY KEY,
+  bounty_index INTEGER NOT NULL,
+  issuer TEXT NOT NULL,
+  token TEXT NOT NULL,
+  metadata_uri TEXT NOT NULL,
+  joinable INTEGER NOT NULL,
+  milestones INTEGER NOT NULL,
+  state TEXT NOT NULL,
+  voting_round INTEGER NOT NULL DEFAULT 0,
+  total_staked TEXT NOT NULL DEFAULT '0',
+  total_shares TEXT NOT NULL DEFAULT '0',
+  total_joined TEXT NOT NULL DEFAULT '0',
+  total_withdrawn TEXT NOT NULL DEFAULT '0',
+  total_paid TEXT NOT NULL DEFAULT '0',
+  claims_count INTEGER NOT NULL DEFAULT 0,
+  created_block INTEGER NOT NULL,
+  created_transaction TEXT NOT NULL,
+  updated_block INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS bounties_issuer ON bounties (issuer);
+CREATE INDEX IF NOT EXISTS bounties_state ON bounties (state);
+
+CREATE TABLE IF NOT EXISTS contributions (
+  bounty TEXT NOT NULL,
+  account TEXT NOT NULL,
+  shares TEXT NOT NULL DEFAULT '0',
+  joined TEXT NOT NULL DEFAULT '0',
+  withdrawn TEXT NOT NULL DEFAULT '0',
+  PRIMARY KEY (bounty, account)
+);
+CREATE INDEX IF NOT EXISTS contributions_account ON contributions (account);
+
+CREATE TABLE IF NOT EXISTS claims (
+  bounty TEXT NOT NULL,
+  claim_id INTEGER NOT NULL,
+  claimant TEXT NOT NULL,
+  name TEXT NOT NULL,
+  proof_uri TEXT NOT NULL,
+  status TEXT NOT NULL,
+  created_block INTEGER NOT NULL,
+  created_transaction TEXT NOT NULL,
+  PRIMARY KEY (bounty, claim_id)
+);
+CREATE INDEX IF NOT EXISTS claims_claimant ON claims (claimant);
+
+CREATE TABLE IF NOT EXISTS votes (
+  bounty TEXT NOT NULL,
+  round INTEGER NOT NULL,
+  claim_id INTEGER NOT NULL,
+  deadline INTEGER NOT NULL,
+  yes TEXT NOT NULL DEFAULT '0',
+  no TEXT NOT NULL DEFAULT '0',
+  status TEXT NOT NULL,
+  started_block INTEGER NOT NULL,
+  PRIMARY KEY (bounty, round)
+);
+
+CREATE TABLE IF NOT EXISTS vote_casts (
+  bounty TEXT NOT NULL,
+  round INTEGER NOT NULL,
+  voter TEXT NOT NULL,
+  support INTEGER NOT NULL,
+  weight TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  PRIMARY KEY (bounty, round, voter)
+);
+
+-- Winner rewards (kind REWARD) and runner-up tips (kind TIP, with a zero fee)
+CREATE TABLE IF NOT EXISTS payouts (
+  bounty TEXT NOT NULL,
+  winner TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  reward TEXT NOT NULL,
+  fee TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS payouts_bounty ON payouts (bounty);
+`;
+
+// Tables materialized from `events`, emptied before a rebuild
+const MATERIALIZED_TABLES = ["bounties", "contributions", "claims", "votes", "vote_casts", "payouts"];
+
+module.exports = {
+  SCHEMA,
+  MATERIALIZED_TABLES,
+};
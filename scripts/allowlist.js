@@ -0,0 +1,90 @@
+const { ethers } = require("hardhat");
+
+// =============================================================================
+// MERKLE ALLOWLISTS
+// =============================================================================
+//
+// Builds the claimantRoot / contributorRoot of a private bounty and the proofs
+// allowlisted addresses pass to registerClaimant / registerContributor.
+// Leaves and pair hashing match OpenZeppelin's StandardMerkleTree with an
+// ["address"] encoding, so bounties also accept roots built with that library.
+//
+// Usage:
+//   ALLOWLIST=0xabc...,0xdef... npx hardhat run scripts/allowlist.js
+
+function allowlistLeaf(address) {
+  const inner = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["address"], [address]));
+  return ethers.utils.keccak256(inner);
+}
+
+function hashPair(a, b) {
+  const [left, right] = ethers.BigNumber.from(a).lt(b) ? [a, b] : [b, a];
+  return ethers.utils.keccak256(ethers.utils.concat([left, right]));
+}
+
+function buildAllowlist(addresses) {
+  if (addresses.length === 0) {
+    throw new Error("Allowlist must not be empty");
+  }
+
+  // Sorted leaves so the same set of addresses always produces the same root
+  const leaves = addresses.map(allowlistLeaf).sort((a, b) => (ethers.BigNumber.from(a).lt(b) ? -1 : 1));
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      // An odd node is carried up unchanged
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  function getProof(address) {
+    let index = leaves.indexOf(allowlistLeaf(address));
+    if (index === -1) {
+      throw new Error(`${address} is not in the allowlist`);
+    }
+    const proof = [];
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) proof.push(layer[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+
+  return { root: layers[layers.length - 1][0], getProof };
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const addresses = (process.env.ALLOWLIST || "").split(",").map((a) => a.trim()).filter(Boolean);
+  if (addresses.length === 0) {
+    throw new Error("ALLOWLIST must be set");
+  }
+
+  const allowlist = buildAllowlist(addresses.map(ethers.utils.getAddress));
+  console.log("Root:             ", allowlist.root);
+  for (const address of addresses) {
+    console.log("  Proof for:      ", address);
+    console.log("  ", JSON.stringify(allowlist.getProof(ethers.utils.getAddress(address))));
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  allowlistLeaf,
+  buildAllowlist,
+};
@@ -1,286 +1,261 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
+const { ethers } = hre;
 
-// Constants
-const sleep = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
-const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
-const divDec = (amount, decimals = 18) => amount / 10 ** decimals;
-const ADDRESS_ZERO = "0x0000000000000000000000000000000000000000";
+// =============================================================================
+// DEPLOYMENT PIPELINE
+// =============================================================================
+//
+// Deploys and configures PoidhFactory from the network's entry in deploy.config.js,
+// recording every deployed contract and settings transaction to
+// deployments/<network>.json. Steps already in the manifest, or already matching
+// the chain, are skipped, so the script can be rerun after a failure or a config change.
+//
+// Usage:
+//   yarn hardhat node
+//   yarn hardhat run scripts/deploy.js --network localhost
+//   yarn hardhat run scripts/deploy.js --network mainnet
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const LOCAL_CHAIN_ID = 31337;
 
 // =============================================================================
-// CONFIGURATION - UPDATE THESE FOR YOUR DEPLOYMENT
+// CONFIGURATION
 // =============================================================================
 
-// Treasury address - receives 2.5% fee on bounty payouts
-const TREASURY_ADDRESS = "0x7a8C895E7826F66e1094532cB435Da725dc3868f"; // TODO: Set your treasury address
+function loadConfig(network) {
+  const config = require("../deploy.config")[network];
+  if (!config) throw new Error(`No deployment config for network ${network}, add it to deploy.config.js`);
+  if (!config.treasury) throw new Error(`treasury must be set for network ${network} in deploy.config.js`);
+  return { confirmations: 1, ...config };
+}
 
-// Deployed Contract Addresses (paste after deployment)
-const POIDH = "0xEDcdb8Da975aD6fb1eeE821914C078b98F85b88D";
-const POIDH_FACTORY = "0xe55E41a8803273Eed41661164857D28F968acDEc";
+// =============================================================================
+// MANIFEST
+// =============================================================================
 
-// Contract Variables
-let poidhFactory;
-let poidh;
+function manifestPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
 
-async function getContracts() {
-  if (POIDH_FACTORY) {
-    poidhFactory = await ethers.getContractAt(
-      "contracts/PoidhFactory.sol:PoidhFactory",
-      POIDH_FACTORY
-    );
-    if (POIDH) {
-      poidh = await ethers.getContractAt("contracts/Poidh.sol:Poidh", POIDH);
-    }
+function readManifest(network, chainId, dir = DEPLOYMENTS_DIR) {
+  const file = manifestPath(network, dir);
+  if (!fs.existsSync(file)) return { network, chainId, contracts: {}, settings: {} };
+
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (manifest.chainId !== chainId) {
+    throw new Error(`${file} is for chain ${manifest.chainId}, connected to chain ${chainId}`);
   }
+  return manifest;
+}
+
+// Written after every step, so a failed run resumes from the last completed one
+function writeManifest(manifest, dir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(manifestPath(manifest.network, dir), JSON.stringify(manifest, null, 2) + "\n");
+}
 
-  console.log("Contracts Retrieved");
+function receiptInfo(receipt) {
+  return { transactionHash: receipt.transactionHash, blockNumber: receipt.blockNumber };
 }
 
 // =============================================================================
 // DEPLOY FUNCTIONS
 // =============================================================================
 
-async function deployPoidhFactory() {
-  console.log("Starting PoidhFactory Deployment");
+async function deployPoidhFactory(ctx) {
+  const { manifest, config, chainId } = ctx;
+  const deployed = manifest.contracts.PoidhFactory;
 
-  if (!TREASURY_ADDRESS) {
-    throw new Error("TREASURY_ADDRESS must be set before deployment");
+  if (deployed) {
+    if ((await ethers.provider.getCode(deployed.address)) !== "0x") {
+      console.log("PoidhFactory already deployed at:", deployed.address);
+      return ethers.getContractAt("contracts/PoidhFactory.sol:PoidhFactory", deployed.address, ctx.deployer);
+    }
+    // A restarted local node loses its contracts, anywhere else the manifest is wrong
+    if (chainId !== LOCAL_CHAIN_ID) {
+      throw new Error(`No code at PoidhFactory ${deployed.address} from ${manifestPath(manifest.network, ctx.dir)}`);
+    }
+    console.log("Local chain was reset, redeploying");
+    manifest.contracts = {};
+    manifest.settings = {};
   }
 
-  const poidhFactoryArtifact = await ethers.getContractFactory("PoidhFactory");
-  const poidhFactoryContract = await poidhFactoryArtifact.deploy(
-    TREASURY_ADDRESS,
-    { gasPrice: ethers.gasPrice }
-  );
-  poidhFactory = await poidhFactoryContract.deployed();
-  await sleep(5000);
+  console.log("Starting PoidhFactory Deployment");
+  const poidhFactoryArtifact = await ethers.getContractFactory("PoidhFactory", ctx.deployer);
+  const poidhFactory = await poidhFactoryArtifact.deploy(config.treasury);
+  const receipt = await poidhFactory.deployTransaction.wait(config.confirmations);
 
-  // Get the poidh implementation address
+  // The factory constructor deploys the Poidh implementation in the same transaction
   const poidhAddress = await poidhFactory.implementation();
-  poidh = await ethers.getContractAt("contracts/Poidh.sol:Poidh", poidhAddress);
+  manifest.contracts.PoidhFactory = { address: poidhFactory.address, args: [config.treasury], ...receiptInfo(receipt) };
+  manifest.contracts.Poidh = { address: poidhAddress, args: [], deployedBy: "PoidhFactory", ...receiptInfo(receipt) };
+  writeManifest(manifest, ctx.dir);
 
   console.log("PoidhFactory Deployed at:", poidhFactory.address);
   console.log("Poidh Implementation at:", poidhAddress);
+  return poidhFactory;
 }
 
-async function verifyPoidhFactory() {
-  console.log("Starting PoidhFactory Verification");
-  await hre.run("verify:verify", {
-    address: poidhFactory.address,
-    contract: "contracts/PoidhFactory.sol:PoidhFactory",
-    constructorArguments: [TREASURY_ADDRESS],
-  });
-  console.log("PoidhFactory Verified");
-}
+async function verifyContracts(ctx) {
+  const { manifest, config, chainId } = ctx;
+  if (!config.verify) return;
+  if (chainId === LOCAL_CHAIN_ID) {
+    console.log("Skipping verification on a local chain");
+    return;
+  }
 
-async function verifyImplementation() {
-  console.log("Starting Poidh Implementation Verification");
-  const implAddress = await poidhFactory.implementation();
-  await hre.run("verify:verify", {
-    address: implAddress,
-    contract: "contracts/Poidh.sol:Poidh",
-    constructorArguments: [],
-  });
-  console.log("Poidh Implementation Verified");
+  for (const name of ["PoidhFactory", "Poidh"]) {
+    const deployed = manifest.contracts[name];
+    if (deployed.verified) continue;
+
+    console.log(`Starting ${name} Verification`);
+    try {
+      await hre.run("verify:verify", {
+        address: deployed.address,
+        contract: `contracts/${name}.sol:${name}`,
+        constructorArguments: deployed.args,
+      });
+    } catch (error) {
+      if (!/already verified/i.test(error.message)) throw error;
+    }
+    deployed.verified = true;
+    writeManifest(manifest, ctx.dir);
+    console.log(`${name} Verified`);
+  }
 }
 
 // =============================================================================
 // CONFIGURATION FUNCTIONS
 // =============================================================================
 
-async function setTreasury(newTreasury) {
-  console.log("Setting Treasury to:", newTreasury);
-  const tx = await poidhFactory.setTreasury(newTreasury);
-  await tx.wait();
-  console.log("Treasury updated to:", await poidhFactory.treasury());
-}
+// Sends a setter only when the chain differs from the config, recording the transaction
+async function applySetting(ctx, name, current, value, send) {
+  if (String(current).toLowerCase() === String(value).toLowerCase()) {
+    console.log(`${name} already set to:`, String(value));
+    return;
+  }
 
-async function setImplementation(newImplementation) {
-  console.log("Setting Implementation to:", newImplementation);
-  const tx = await poidhFactory.setImplementation(newImplementation);
-  await tx.wait();
-  console.log(
-    "Implementation updated to:",
-    await poidhFactory.implementation()
-  );
-}
+  const owner = await ctx.poidhFactory.owner();
+  if (owner !== ctx.deployer.address) {
+    throw new Error(`Cannot update ${name}, deployer ${ctx.deployer.address} is not the factory owner ${owner}`);
+  }
 
-async function transferOwnership(newOwner) {
-  console.log("Transferring ownership to:", newOwner);
-  const tx = await poidhFactory.transferOwnership(newOwner);
-  await tx.wait();
-  console.log("Ownership transferred to:", await poidhFactory.owner());
+  console.log(`Setting ${name} to:`, String(value));
+  const receipt = await (await send()).wait(ctx.config.confirmations);
+  ctx.manifest.settings[name] = { value, ...receiptInfo(receipt) };
+  writeManifest(ctx.manifest, ctx.dir);
 }
 
-async function renounceOwnership() {
-  console.log("Renouncing ownership...");
-  const tx = await poidhFactory.renounceOwnership();
-  await tx.wait();
-  console.log("Ownership renounced. New owner:", await poidhFactory.owner());
-}
+async function configurePoidhFactory(ctx) {
+  const { config, poidhFactory } = ctx;
 
-// =============================================================================
-// BOUNTY FUNCTIONS (for testing)
-// =============================================================================
+  await applySetting(ctx, "treasury", await poidhFactory.treasury(), config.treasury, () =>
+    poidhFactory.setTreasury(config.treasury)
+  );
 
-async function createBounty(metadataURI, joinable, valueInEth) {
-  console.log("Creating Bounty...");
-  console.log("  Metadata:", metadataURI);
-  console.log("  Joinable:", joinable);
-  console.log("  Value:", valueInEth, "ETH");
+  if (config.treasuryFee !== undefined) {
+    await applySetting(ctx, "treasuryFee", await poidhFactory.treasuryFee(), config.treasuryFee, () =>
+      poidhFactory.setTreasuryFee(config.treasuryFee)
+    );
+  }
 
-  const value = ethers.utils.parseEther(valueInEth);
-  const tx = await poidhFactory.createBounty(metadataURI, joinable, { value });
-  const receipt = await tx.wait();
+  if (config.referrerShare !== undefined) {
+    await applySetting(ctx, "referrerShare", await poidhFactory.referrerShare(), config.referrerShare, () =>
+      poidhFactory.setReferrerShare(config.referrerShare)
+    );
+  }
 
-  const event = receipt.events?.find(
-    (e) => e.event === "PoidhFactory__BountyCreated"
-  );
-  const bountyAddress = event?.args?.bountyAddress;
+  if (config.votingPeriod) {
+    const current = [await poidhFactory.minVotingPeriod(), await poidhFactory.maxVotingPeriod()];
+    await applySetting(ctx, "votingPeriod", current, config.votingPeriod, () =>
+      poidhFactory.setVotingPeriodBounds(...config.votingPeriod)
+    );
+  }
+
+  for (const [creator, fee] of Object.entries(config.creatorFees || {})) {
+    const current = (await poidhFactory.creator_HasCustomFee(creator))
+      ? await poidhFactory.creator_TreasuryFee(creator)
+      : null;
+    await applySetting(ctx, `creatorFee:${creator}`, current, fee, () =>
+      poidhFactory.setCreatorFee(creator, fee !== null, fee || 0)
+    );
+  }
 
-  console.log("Bounty Created at:", bountyAddress);
-  return bountyAddress;
+  // Last, every other setting needs the deployer to still own the factory
+  if (config.owner) {
+    await applySetting(ctx, "owner", await poidhFactory.owner(), config.owner, () =>
+      poidhFactory.transferOwnership(config.owner)
+    );
+  }
 }
 
 // =============================================================================
 // PRINT FUNCTIONS
 // =============================================================================
 
-async function printDeployment() {
+async function printDeployment(ctx) {
+  const { manifest, poidhFactory } = ctx;
   console.log("\n==================== POIDH DEPLOYMENT ====================\n");
 
-  console.log("--- Configuration ---");
-  console.log("Treasury:         ", TREASURY_ADDRESS || "NOT SET");
-
-  console.log("\n--- Deployed Contracts ---");
-  if (poidhFactory) {
-    console.log("PoidhFactory:     ", poidhFactory.address);
-    console.log("Implementation:   ", await poidhFactory.implementation());
-    console.log("Treasury:         ", await poidhFactory.treasury());
-    console.log("Owner:            ", await poidhFactory.owner());
-    console.log(
-      "Bounties Count:   ",
-      (await poidhFactory.getBountiesCount()).toString()
-    );
-  } else {
-    console.log("PoidhFactory:     ", POIDH_FACTORY || "NOT DEPLOYED");
+  console.log("--- Deployed Contracts ---");
+  console.log("Manifest:         ", manifestPath(manifest.network, ctx.dir));
+  for (const [name, deployed] of Object.entries(manifest.contracts)) {
+    console.log(`${name}:`.padEnd(18), deployed.address, "block", deployed.blockNumber);
   }
 
   console.log("\n--- Contract Settings ---");
-  if (poidh) {
-    console.log(
-      "Treasury Fee:     ",
-      (await poidh.TREASURY_FEE()).toString(),
-      "/ 1000 (2.5%)"
-    );
-    console.log(
-      "Voting Period:    ",
-      (await poidh.VOTING_PERIOD()).toString(),
-      "seconds (2 days)"
-    );
-  }
-
-  console.log(
-    "\n===========================================================\n"
-  );
-}
-
-async function printFactoryState() {
-  console.log("\n--- Factory State ---");
-  console.log("Implementation:   ", await poidhFactory.implementation());
   console.log("Treasury:         ", await poidhFactory.treasury());
   console.log("Owner:            ", await poidhFactory.owner());
+  console.log("Treasury Fee:     ", (await poidhFactory.treasuryFee()).toString(), "/ 1000");
+  console.log("Referrer Share:   ", (await poidhFactory.referrerShare()).toString(), "% of the fee");
   console.log(
-    "Bounties Count:   ",
-    (await poidhFactory.getBountiesCount()).toString()
+    "Voting Period:    ",
+    (await poidhFactory.minVotingPeriod()).toString(),
+    "-",
+    (await poidhFactory.maxVotingPeriod()).toString(),
+    "seconds allowed"
   );
+  console.log("Bounties Count:   ", (await poidhFactory.getBountiesCount()).toString());
 
-  const count = await poidhFactory.getBountiesCount();
-  if (count.gt(0)) {
-    console.log("\n--- Recent Bounties ---");
-    const limit = Math.min(count.toNumber(), 5);
-    const bounties = await poidhFactory.getBounties(limit, 0);
-    for (let i = 0; i < bounties.length; i++) {
-      console.log(`  [${i}]:`, bounties[i]);
-    }
-  }
-  console.log("");
+  console.log("\n===========================================================\n");
 }
 
 // =============================================================================
 // MAIN
 // =============================================================================
 
-async function main() {
-  const [wallet] = await ethers.getSigners();
-  console.log("Using wallet:", wallet.address);
-  console.log(
-    "Account balance:",
-    ethers.utils.formatEther(await wallet.getBalance()),
-    "ETH"
-  );
-  console.log("");
-
-  await getContracts();
-
-  //===================================================================
-  // 1. Deploy PoidhFactory (includes Poidh implementation)
-  //===================================================================
-
-  console.log("Starting Deployment...");
-  // await deployPoidhFactory();
-  await printDeployment();
-
-  //===================================================================
-  // 2. Verify Contracts on Etherscan/Basescan
-  //===================================================================
-
-  // console.log("Starting Verification...");
-  // await verifyPoidhFactory();
-  // await verifyImplementation();
-  // console.log("Verification Complete");
+// Runs every step for the current network and returns the manifest
+async function deploy({ network = hre.network.name, config = loadConfig(network), dir = DEPLOYMENTS_DIR } = {}) {
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = readManifest(network, chainId, dir);
+  const ctx = { network, chainId, config, dir, deployer, manifest };
 
-  //===================================================================
-  // 3. Configuration (optional)
-  //===================================================================
-
-  // Update treasury address (only owner)
-  // await setTreasury("0xNEW_TREASURY_ADDRESS");
-
-  // Deploy and set new implementation (only owner)
-  // const NewPoidh = await ethers.getContractFactory("Poidh");
-  // const newImpl = await NewPoidh.deploy();
-  // await newImpl.deployed();
-  // await setImplementation(newImpl.address);
-
-  //===================================================================
-  // 4. Transfer Ownership (optional)
-  //===================================================================
-
-  // Transfer to multisig or DAO
-  // await transferOwnership("0xMULTISIG_ADDRESS");
-
-  // Or renounce ownership (irreversible!)
-  // await renounceOwnership();
-
-  //===================================================================
-  // 5. Test Bounty Creation (optional)
-  //===================================================================
-
-  // Create a test bounty
-  // await createBounty("ipfs://QmTestMetadata", true, "0.01");
+  console.log("Using wallet:", deployer.address);
+  console.log("Account balance:", ethers.utils.formatEther(await deployer.getBalance()), "ETH");
+  console.log("");
 
-  //===================================================================
-  // Print Current State
-  //===================================================================
+  ctx.poidhFactory = await deployPoidhFactory(ctx);
+  await configurePoidhFactory(ctx);
+  await verifyContracts(ctx);
+  await printDeployment(ctx);
+  return manifest;
+}
 
-  // await printDeployment();
-  // await printFactoryState();
+if (require.main === module) {
+  deploy()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = {
+  loadConfig,
+  manifestPath,
+  readManifest,
+  deploy,
+};
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+
+// =============================================================================
+// SDK ABIS
+// =============================================================================
+//
+// Copies the contract ABIs from the Hardhat artifacts into sdk/abi/, which is
+// committed so the SDK, indexer and API load from a fresh checkout or as a
+// package. Rerun after changing a contract's interface; the SDK tests fail
+// while the committed ABIs differ from the compiled ones.
+//
+// Usage:
+//   yarn abi
+
+const ARTIFACTS = path.join(__dirname, "..", "artifacts", "contracts");
+const ABI_DIR = path.join(__dirname, "..", "sdk", "abi");
+
+const CONTRACTS = {
+  PoidhFactory: "PoidhFactory.sol/PoidhFactory.json",
+  Poidh: "Poidh.sol/Poidh.json",
+};
+
+function compiledAbi(name) {
+  return JSON.parse(fs.readFileSync(path.join(ARTIFACTS, CONTRACTS[name]), "utf8")).abi;
+}
+
+function exportAbis() {
+  for (const name of Object.keys(CONTRACTS)) {
+    const file = path.join(ABI_DIR, `${name}.json`);
+    fs.writeFileSync(file, JSON.stringify(compiledAbi(name), null, 2) + "\n");
+    console.log("Wrote", path.relative(process.cwd(), file));
+  }
+}
+
+if (require.main === module) {
+  try {
+    exportAbis();
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  CONTRACTS,
+  compiledAbi,
+  exportAbis,
+};
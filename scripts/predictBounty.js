@@ -0,0 +1,30 @@
+const { toSalt, predictBountyAddress } = require("../sdk/address");
+
+// =============================================================================
+// DETERMINISTIC BOUNTY ADDRESSES
+// =============================================================================
+//
+// Prints the address createBountyDeterministic deploys to, without a node,
+// using the SDK's predictBountyAddress.
+//
+// Usage:
+//   FACTORY=0x... IMPLEMENTATION=0x... ISSUER=0x... SALT=my-bounty node scripts/predictBounty.js
+
+async function main() {
+  const { FACTORY, IMPLEMENTATION, ISSUER, SALT } = process.env;
+  if (!FACTORY || !IMPLEMENTATION || !ISSUER || !SALT) {
+    throw new Error("FACTORY, IMPLEMENTATION, ISSUER and SALT must be set");
+  }
+
+  console.log("Salt:             ", toSalt(SALT));
+  console.log("Bounty address:   ", predictBountyAddress(FACTORY, IMPLEMENTATION, ISSUER, SALT));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
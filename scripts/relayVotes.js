@@ -0,0 +1,139 @@
+const { ethers } = require("hardhat");
+
+// =============================================================================
+// EIP-712 SIGNED VOTES
+// =============================================================================
+//
+// Contributors sign a Vote message off-chain, a relayer submits it with
+// voteBySig / batchVoteBySig and pays the gas.
+//
+// Usage against a local node:
+//   npx hardhat node
+//   BOUNTY_ADDRESS=0x... SUPPORT=true npx hardhat run scripts/relayVotes.js --network localhost
+//
+// The first signer relays, every other signer with voting weight in the bounty signs.
+
+const VOTE_TYPES = {
+  Vote: [
+    { name: "bounty", type: "address" },
+    { name: "round", type: "uint256" },
+    { name: "support", type: "bool" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Signatures stay valid for one hour unless a deadline is passed
+const DEFAULT_SIGNATURE_TTL = 60 * 60;
+
+async function getVoteDomain(bounty) {
+  const { chainId } = await bounty.provider.getNetwork();
+  return {
+    name: "Poidh",
+    version: "1",
+    chainId,
+    verifyingContract: bounty.address,
+  };
+}
+
+async function signVote(signer, bounty, support, deadline) {
+  const voter = await signer.getAddress();
+  if (deadline === undefined) {
+    const block = await bounty.provider.getBlock("latest");
+    deadline = block.timestamp + DEFAULT_SIGNATURE_TTL;
+  }
+
+  const message = {
+    bounty: bounty.address,
+    round: (await bounty.currentVote()).votingRound,
+    support,
+    nonce: await bounty.nonces(voter),
+    deadline,
+  };
+  const signature = await signer._signTypedData(
+    await getVoteDomain(bounty),
+    VOTE_TYPES,
+    message
+  );
+
+  return { voter, support, deadline, signature };
+}
+
+// Signs for every voter who still has weight in the current round: own stake
+// that isn't delegated away, or weight delegated to it
+async function signPendingVotes(bounty, voters, support) {
+  const issuer = await bounty.issuer();
+  const round = (await bounty.currentVote()).votingRound;
+
+  const signedVotes = [];
+  for (const voter of voters) {
+    if (voter.address === issuer) continue;
+    if ((await bounty.getVotingWeight(voter.address)).eq(0)) continue;
+    if (await bounty.account_Round_HasVoted(voter.address, round)) continue;
+
+    signedVotes.push(await signVote(voter, bounty, support));
+  }
+  return signedVotes;
+}
+
+async function relayVotes(relayer, bounty, signedVotes) {
+  const tx =
+    signedVotes.length === 1
+      ? await bounty.connect(relayer).voteBySig(signedVotes[0])
+      : await bounty.connect(relayer).batchVoteBySig(signedVotes);
+  return await tx.wait();
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const bountyAddress = process.env.BOUNTY_ADDRESS;
+  if (!bountyAddress) {
+    throw new Error("BOUNTY_ADDRESS must be set");
+  }
+  const support = process.env.SUPPORT !== "false";
+
+  const [relayer, ...voters] = await ethers.getSigners();
+  const bounty = await ethers.getContractAt("contracts/Poidh.sol:Poidh", bountyAddress);
+  const round = (await bounty.currentVote()).votingRound;
+
+  console.log("Relayer:          ", relayer.address);
+  console.log("Bounty:           ", bounty.address);
+  console.log("Round:            ", round.toString());
+  console.log("Support:          ", support);
+
+  const signedVotes = await signPendingVotes(bounty, voters, support);
+  for (const { voter } of signedVotes) {
+    console.log("  Signed by:      ", voter);
+  }
+
+  if (signedVotes.length === 0) {
+    console.log("No votes to relay");
+    return;
+  }
+
+  const receipt = await relayVotes(relayer, bounty, signedVotes);
+  const vote = await bounty.currentVote();
+  console.log("Relayed", signedVotes.length, "votes in tx:", receipt.transactionHash);
+  console.log("Yes Weight:       ", ethers.utils.formatEther(vote.yes));
+  console.log("No Weight:        ", ethers.utils.formatEther(vote.no));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  VOTE_TYPES,
+  getVoteDomain,
+  signVote,
+  signPendingVotes,
+  relayVotes,
+};
@@ -0,0 +1,167 @@
+const { ethers } = require("ethers");
+const { POIDH_FACTORY_ABI, POIDH_ABI } = require("./abi");
+const { BOUNTY_STATES, bountyParams } = require("./params");
+const { decodeError } = require("./errors");
+
+// =============================================================================
+// POIDH CLIENT
+// =============================================================================
+//
+// Wraps a PoidhFactory and its bounties for one signer (or a provider, for
+// reads). Transactions return the ethers TransactionResponse, reverts are
+// rethrown as the typed errors of ./errors.
+//
+//   const client = new PoidhClient(FACTORY_ADDRESS, signer);
+//   const bounty = await client.createBounty("ipfs://...", true, {}, { value });
+//   await (await client.submitClaim(bounty, "PR #123", "ipfs://proof")).wait();
+
+class PoidhClient {
+  constructor(factory, signerOrProvider) {
+    this.signerOrProvider = signerOrProvider || factory.signer || factory.provider;
+    this.factory = new ethers.Contract(
+      typeof factory === "string" ? factory : factory.address,
+      POIDH_FACTORY_ABI,
+      this.signerOrProvider
+    );
+  }
+
+  // Same factory, another signer
+  connect(signerOrProvider) {
+    return new PoidhClient(this.factory.address, signerOrProvider);
+  }
+
+  // Bounty contract for an address (or another bounty contract), connected to the client's signer
+  bounty(bounty) {
+    const address = typeof bounty === "string" ? bounty : bounty.address;
+    return new ethers.Contract(address, POIDH_ABI, this.signerOrProvider);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              FACTORY
+  //////////////////////////////////////////////////////////////*/
+
+  // Deploys a bounty and returns its contract once mined. `params` is a partial
+  // BountyParams, ETH bounties are funded with `overrides.value`.
+  async createBounty(metadataURI, joinable, params = {}, overrides = {}) {
+    const tx = await this._send(() =>
+      this.factory.createBounty(metadataURI, joinable, bountyParams(params), overrides)
+    );
+    return this._createdBounty(tx);
+  }
+
+  // Same as createBounty, deployed to factory.predictBountyAddress(signer, salt)
+  async createBountyDeterministic(salt, metadataURI, joinable, params = {}, overrides = {}) {
+    const tx = await this._send(() =>
+      this.factory.createBountyDeterministic(salt, metadataURI, joinable, bountyParams(params), overrides)
+    );
+    return this._createdBounty(tx);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              BOUNTY
+  //////////////////////////////////////////////////////////////*/
+
+  // Adds `amount` to the pool, in ETH or in the bounty's token (approve the bounty first)
+  async join(bounty, amount, overrides = {}) {
+    const contract = this.bounty(bounty);
+    if ((await contract.token()) === ethers.constants.AddressZero) {
+      return this._send(() => contract.join({ ...overrides, value: amount }));
+    }
+    return this._send(() => contract.joinWithToken(amount, overrides));
+  }
+
+  // Withdraws the signer's stake, or refunds `account` once the bounty is cancelled or expired
+  async withdraw(bounty, account) {
+    const contract = this.bounty(bounty);
+    const target = account || (await this.signerOrProvider.getAddress());
+    return this._send(() => contract.withdraw(target));
+  }
+
+  // Submits a claim, sending the ETH claim bond unless `overrides.value` is set
+  // (token bonds need an approval of the bounty)
+  async submitClaim(bounty, name, proofURI, overrides = {}) {
+    const contract = this.bounty(bounty);
+    if (overrides.value === undefined && (await contract.token()) === ethers.constants.AddressZero) {
+      overrides = { ...overrides, value: await contract.claimBond() };
+    }
+    return this._send(() => contract.submitClaim(name, proofURI, overrides));
+  }
+
+  async startVote(bounty, claimId) {
+    return this._send(() => this.bounty(bounty).startVote(claimId));
+  }
+
+  async vote(bounty, support) {
+    return this._send(() => this.bounty(bounty).vote(support));
+  }
+
+  async resolveVote(bounty) {
+    return this._send(() => this.bounty(bounty).resolveVote());
+  }
+
+  async cancel(bounty) {
+    return this._send(() => this.bounty(bounty).cancel());
+  }
+
+  // Snapshot of a bounty, with the state and vote decoded
+  async getBountyState(bounty) {
+    const contract = this.bounty(bounty);
+    const [issuer, token, metadataURI, joinable, state, expiry, totalStaked, totalShares, totalPayouts, claimsCount, vote] =
+      await Promise.all([
+        contract.issuer(),
+        contract.token(),
+        contract.metadataURI(),
+        contract.joinable(),
+        contract.state(),
+        contract.expiry(),
+        contract.totalStaked(),
+        contract.totalShares(),
+        contract.totalPayouts(),
+        contract.getClaimsCount(),
+        contract.currentVote(),
+      ]);
+
+    return {
+      address: contract.address,
+      issuer,
+      token,
+      metadataURI,
+      joinable,
+      state: BOUNTY_STATES[state],
+      expiry: expiry.toNumber(),
+      totalStaked,
+      totalShares,
+      totalPayouts,
+      claimsCount: claimsCount.toNumber(),
+      currentVote: {
+        claimId: vote.claimId.toNumber(),
+        yes: vote.yes,
+        no: vote.no,
+        deadline: vote.deadline.toNumber(),
+        votingRound: vote.votingRound.toNumber(),
+      },
+    };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              INTERNAL
+  //////////////////////////////////////////////////////////////*/
+
+  async _createdBounty(tx) {
+    const receipt = await tx.wait();
+    const event = receipt.events.find((e) => e.event === "PoidhFactory__BountyCreated");
+    return this.bounty(event.args.bountyAddress);
+  }
+
+  async _send(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      throw decodeError(error);
+    }
+  }
+}
+
+module.exports = {
+  PoidhClient,
+};
@@ -0,0 +1,14 @@
+// =============================================================================
+// CONTRACT ABIS
+// =============================================================================
+//
+// Committed copies of the compiled ABIs, so the SDK loads without a Hardhat
+// build. `yarn abi` regenerates them after a contract change.
+
+const POIDH_FACTORY_ABI = require("./abi/PoidhFactory.json");
+const POIDH_ABI = require("./abi/Poidh.json");
+
+module.exports = {
+  POIDH_FACTORY_ABI,
+  POIDH_ABI,
+};
@@ -0,0 +1,36 @@
+const { ethers } = require("ethers");
+
+// =============================================================================
+// DETERMINISTIC BOUNTY ADDRESSES
+// =============================================================================
+//
+// Computes the address createBountyDeterministic deploys to, without a node.
+// Matches PoidhFactory.predictBountyAddress: an EIP-1167 clone of the factory's
+// implementation, deployed with CREATE2 from the factory under
+// keccak256(abi.encode(issuer, salt)).
+
+// EIP-1167 minimal proxy creation code around the 20-byte implementation address
+const CLONE_PREFIX = "0x3d602d80600a3d3981f3363d3d373d3d3d363d73";
+const CLONE_SUFFIX = "0x5af43d82803e903d91602b57fd5bf3";
+
+// Accepts a bytes32 hex string, or any other string hashed into one
+function toSalt(salt) {
+  return ethers.utils.isHexString(salt, 32) ? salt : ethers.utils.id(salt);
+}
+
+function bountySalt(issuer, salt) {
+  return ethers.utils.keccak256(
+    ethers.utils.defaultAbiCoder.encode(["address", "bytes32"], [issuer, toSalt(salt)])
+  );
+}
+
+function predictBountyAddress(factory, implementation, issuer, salt) {
+  const initCode = ethers.utils.concat([CLONE_PREFIX, implementation, CLONE_SUFFIX]);
+  return ethers.utils.getCreate2Address(factory, bountySalt(issuer, salt), ethers.utils.keccak256(initCode));
+}
+
+module.exports = {
+  toSalt,
+  bountySalt,
+  predictBountyAddress,
+};
@@ -0,0 +1,89 @@
+const { ethers } = require("ethers");
+const { POIDH_FACTORY_ABI, POIDH_ABI } = require("./abi");
+
+// =============================================================================
+// TYPED ERRORS
+// =============================================================================
+//
+// Every custom error of PoidhFactory and Poidh gets its own subclass of
+// PoidhError, named after the Solidity error:
+//
+//   try {
+//     await client.resolveVote(bounty);
+//   } catch (error) {
+//     if (error instanceof errors.Poidh__VotingNotEnded) { ... }
+//   }
+
+class PoidhError extends Error {
+  constructor(errorName, args, data, cause) {
+    super(args.length > 0 ? `${errorName}(${args.map(String).join(", ")})` : errorName);
+    this.name = errorName;
+    this.errorName = errorName;
+    this.args = args;
+    this.data = data;  // raw revert data
+    this.cause = cause;
+  }
+}
+
+const INTERFACES = [new ethers.utils.Interface(POIDH_FACTORY_ABI), new ethers.utils.Interface(POIDH_ABI)];
+
+const errors = {};
+for (const iface of INTERFACES) {
+  for (const fragment of Object.values(iface.errors)) {
+    if (errors[fragment.name]) continue;
+    // Computed key so each class gets the Solidity error's name
+    errors[fragment.name] = {
+      [fragment.name]: class extends PoidhError {
+        constructor(args, data, cause) {
+          super(fragment.name, args, data, cause);
+        }
+      },
+    }[fragment.name];
+  }
+}
+
+// Finds the revert data in the error shapes of ethers and JSON-RPC providers
+function findRevertData(error, depth = 0) {
+  if (error === null || error === undefined || depth > 5) return null;
+  if (typeof error === "string") {
+    return /^0x[0-9a-fA-F]{8}/.test(error) ? error : null;
+  }
+  if (typeof error !== "object") return null;
+
+  for (const key of ["data", "error", "cause"]) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data) return data;
+  }
+  if (typeof error.body === "string") {
+    try {
+      return findRevertData(JSON.parse(error.body), depth + 1);
+    } catch (_) {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Returns the typed error for a reverted call, or the original error if it isn't a Poidh custom error
+function decodeError(error) {
+  if (error instanceof PoidhError) return error;
+
+  const data = findRevertData(error);
+  if (!data) return error;
+
+  for (const iface of INTERFACES) {
+    try {
+      const parsed = iface.parseError(data);
+      return new errors[parsed.name](Array.from(parsed.args), data, error);
+    } catch (_) {
+      // Not one of this contract's errors
+    }
+  }
+  return error;
+}
+
+module.exports = {
+  PoidhError,
+  errors,
+  decodeError,
+};
@@ -0,0 +1,21 @@
+const { PoidhClient } = require("./PoidhClient");
+const { PoidhError, errors, decodeError } = require("./errors");
+const { BOUNTY_STATES, CLAIM_STATUSES, DEFAULT_BOUNTY_PARAMS, bountyParams } = require("./params");
+const { POIDH_FACTORY_ABI, POIDH_ABI } = require("./abi");
+const { toSalt, bountySalt, predictBountyAddress } = require("./address");
+
+module.exports = {
+  PoidhClient,
+  PoidhError,
+  errors,
+  decodeError,
+  BOUNTY_STATES,
+  CLAIM_STATUSES,
+  DEFAULT_BOUNTY_PARAMS,
+  bountyParams,
+  toSalt,
+  bountySalt,
+  predictBountyAddress,
+  POIDH_FACTORY_ABI,
+  POIDH_ABI,
+};
@@ -0,0 +1,42 @@
+const { ethers } = require("ethers");
+
+// Bounty states, in the order of Poidh.State
+const BOUNTY_STATES = ["OPEN", "VOTING", "CLOSED", "CANCELLED", "EXPIRED", "DISPUTED"];
+
+// Claim statuses, in the order of Poidh.ClaimStatus
+const CLAIM_STATUSES = ["ACTIVE", "WITHDRAWN", "AMENDED"];
+
+// Default createBounty params: ETH, single payout, factory-default voting rules, no optional features
+const DEFAULT_BOUNTY_PARAMS = Object.freeze({
+  token: ethers.constants.AddressZero,
+  amount: 0,
+  expiry: 0,
+  votingPeriod: 0,
+  quorum: 0,
+  passThreshold: 0,
+  arbitrator: ethers.constants.AddressZero,
+  milestones: [],
+  claimBond: 0,
+  claimAllowlist: false,
+  joinAllowlist: false,
+  claimantRoot: ethers.constants.HashZero,
+  contributorRoot: ethers.constants.HashZero,
+  referrer: ethers.constants.AddressZero,
+});
+
+// Fills a partial BountyParams with the defaults
+function bountyParams(overrides = {}) {
+  for (const key of Object.keys(overrides)) {
+    if (!(key in DEFAULT_BOUNTY_PARAMS)) {
+      throw new Error(`Unknown bounty param: ${key}`);
+    }
+  }
+  return { ...DEFAULT_BOUNTY_PARAMS, ...overrides };
+}
+
+module.exports = {
+  BOUNTY_STATES,
+  CLAIM_STATUSES,
+  DEFAULT_BOUNTY_PARAMS,
+  bountyParams,
+};
@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+// =============================================================================
+// BOUNTY LIFECYCLE TASKS
+// =============================================================================
+//
+// Operate bounties from the command line instead of editing scripts/deploy.js.
+// Against a local node:
+//   npx hardhat node
+//   npx hardhat poidh:create --factory 0x... --amount 1 --joinable --network localhost
+//   npx hardhat poidh:inspect --bounty 0x... --network localhost
+//
+// Amounts are in whole units of the bounty currency (ETH or the token's decimals).
+// Transactions are sent by --from (an unlocked or configured account), or the first signer.
+// The SDK is required inside each action so the config loads before contracts are compiled.
+
+const ETH = "0x0000000000000000000000000000000000000000";
+
+// Factory recorded by scripts/deploy.js for the current network, if any
+function deployedFactory(hre) {
+  const file = path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+  if (!fs.existsSync(file)) return undefined;
+  const { PoidhFactory } = JSON.parse(fs.readFileSync(file, "utf8")).contracts;
+  return PoidhFactory && PoidhFactory.address;
+}
+
+async function getClient(hre, factory, from) {
+  const { PoidhClient } = require("../sdk");
+  const signer = from ? await hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+  return new PoidhClient(factory, signer);
+}
+
+// Client for an existing bounty, bound to the factory that deployed it
+async function getBountyClient(hre, bounty, from) {
+  const { POIDH_ABI } = require("../sdk");
+  const contract = new hre.ethers.Contract(bounty, POIDH_ABI, hre.ethers.provider);
+  const client = await getClient(hre, await contract.factory(), from);
+  return { client, bounty: client.bounty(bounty) };
+}
+
+async function getDecimals(hre, token) {
+  if (token === ETH) return 18;
+  const erc20 = await hre.ethers.getContractAt(
+    "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+    token
+  );
+  return erc20.decimals();
+}
+
+async function approve(hre, signer, token, spender, amount) {
+  const erc20 = await hre.ethers.getContractAt(
+    "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20",
+    token,
+    signer
+  );
+  if ((await erc20.allowance(await signer.getAddress(), spender)).lt(amount)) {
+    console.log("Approving:        ", spender);
+    await (await erc20.approve(spender, amount)).wait();
+  }
+}
+
+// Waits for a transaction, rethrowing Poidh custom errors as readable task errors
+async function send(promise) {
+  const { PoidhError } = require("../sdk");
+  try {
+    const tx = await promise;
+    return tx.wait ? await tx.wait() : tx;
+  } catch (error) {
+    if (error instanceof PoidhError) throw new HardhatPluginError("poidh", error.message, error);
+    throw error;
+  }
+}
+
+async function printBounty(hre, client, bounty) {
+  const { CLAIM_STATUSES } = require("../sdk");
+  const state = await client.getBountyState(bounty);
+  const decimals = await getDecimals(hre, state.token);
+  const format = (amount) => hre.ethers.utils.formatUnits(amount, decimals);
+
+  console.log("\n--- Bounty ---");
+  console.log("Address:          ", state.address);
+  console.log("Issuer:           ", state.issuer);
+  console.log("Token:            ", state.token === ETH ? "ETH" : state.token);
+  console.log("Metadata:         ", state.metadataURI);
+  console.log("Joinable:         ", state.joinable);
+  console.log("State:            ", state.state);
+  console.log("Expiry:           ", state.expiry === 0 ? "never" : new Date(state.expiry * 1000).toISOString());
+  console.log("Total Staked:     ", format(state.totalStaked));
+  console.log("Unclaimed Payouts:", format(state.totalPayouts));
+
+  if (state.state === "VOTING") {
+    console.log("\n--- Current Vote ---");
+    console.log("Claim:            ", state.currentVote.claimId);
+    console.log("Round:            ", state.currentVote.votingRound);
+    console.log("Yes:              ", format(state.currentVote.yes));
+    console.log("No:               ", format(state.currentVote.no));
+    console.log("Deadline:         ", new Date(state.currentVote.deadline * 1000).toISOString());
+  }
+
+  console.log(`\n--- Claims (${state.claimsCount}) ---`);
+  for (let i = 0; i < state.claimsCount; i++) {
+    const claim = await bounty.getClaim(i);
+    console.log(`  [${i}]:`, claim.claimant, CLAIM_STATUSES[claim.status], claim.name, claim.proofURI);
+  }
+  console.log("");
+}
+
+// =============================================================================
+// TASKS
+// =============================================================================
+
+task("poidh:create", "Creates a bounty")
+  .addOptionalParam("factory", "PoidhFactory address, defaults to POIDH_FACTORY or the deployment manifest", process.env.POIDH_FACTORY)
+  .addOptionalParam("metadata", "IPFS URI of the bounty details", "ipfs://metadata")
+  .addOptionalParam("amount", "Issuer stake", "0")
+  .addOptionalParam("token", "ERC-20 the bounty is denominated in", ETH)
+  .addOptionalParam("params", "Other BountyParams fields as JSON, e.g. '{\"quorum\":25}'", "{}")
+  .addFlag("joinable", "Let others join (open bounty)")
+  .addOptionalParam("from", "Sending account")
+  .setAction(async (args, hre) => {
+    args.factory = args.factory || deployedFactory(hre);
+    if (!args.factory) throw new HardhatPluginError("poidh", "--factory or POIDH_FACTORY must be set, or deploy with scripts/deploy.js");
+
+    const client = await getClient(hre, args.factory, args.from);
+    const amount = hre.ethers.utils.parseUnits(args.amount, await getDecimals(hre, args.token));
+    const params = { ...JSON.parse(args.params), token: args.token };
+
+    let overrides = {};
+    if (args.token === ETH) {
+      overrides = { value: amount };
+    } else {
+      params.amount = amount;
+      await approve(hre, client.signerOrProvider, args.token, args.factory, amount);
+    }
+
+    const bounty = await send(client.createBounty(args.metadata, args.joinable, params, overrides));
+    console.log("Bounty Created at:", bounty.address);
+    await printBounty(hre, client, bounty);
+    return bounty.address;
+  });
+
+task("poidh:join", "Adds funds to a bounty")
+  .addParam("bounty", "Bounty address")
+  .addParam("amount", "Amount to add")
+  .addOptionalParam("from", "Sending account")
+  .setAction(async (args, hre) => {
+    const { client, bounty } = await getBountyClient(hre, args.bounty, args.from);
+    const token = await bounty.token();
+    const amount = hre.ethers.utils.parseUnits(args.amount, await getDecimals(hre, token));
+
+    if (token !== ETH) await approve(hre, client.signerOrProvider, token, bounty.address, amount);
+    await send(client.join(bounty, amount));
+    console.log("Joined with:      ", args.amount);
+    await printBounty(hre, client, bounty);
+  });
+
+task("poidh:claim", "Submits a claim, paying the claim bond if the bounty requires one")
+  .addParam("bounty", "Bounty address")
+  .addParam("name", "Short title of the claim")
+  .addParam("proof", "IPFS URI of the proof")
+  .addOptionalParam("from", "Sending account")
+  .setAction(async (args, hre) => {
+    const { client, bounty } = await getBountyClient(hre, args.bounty, args.from);
+    const token = await bounty.token();
+    if (token !== ETH) {
+      const bond = await bounty.claimBond();
+      if (bond.gt(0)) await approve(hre, client.signerOrProvider, token, bounty.address, bond);
+    }
+
+    await send(client.submitClaim(bounty, args.name, args.proof));
+    console.log("Claim Submitted:  ", (await bounty.getClaimsCount()).sub(1).toString());
+  });
+
+task("poidh:start-vote", "Puts a claim to a vote (issuer only)")
+  .addParam("bounty", "Bounty address")
+  .addParam("claim", "Claim ID", undefined, types.int)
+  .addOptionalParam("from", "Sending account")
+  .setAction(async (args, hre) => {
+    const { client, bounty } = await getBountyClient(hre, args.bounty, args.from);
+    await send(client.startVote(bounty, args.claim));
+    await printBounty(hre, client, bounty);
+  });
+
+task("poidh:vote", "Votes on the current claim")
+  .addParam("bounty", "Bounty address")
+  .addParam("support", "true = yes, false = no", undefined, types.boolean)
+  .addOptionalParam("from", "Sending account")
+  .setAction(async (args, hre) => {
+    const { client, bounty } = await getBountyClient(hre, args.bounty, args.from);
+    await send(client.vote(bounty, args.support));
+    console.log("Voted:            ", args.support ? "yes" : "no");
+    await printBounty(hre, client, bounty);
+  });
+
+task("poidh:resolve", "Resolves the current vote")
+  .addParam("bounty", "Bounty address")
+  .addOptionalParam("from", "Sending account")
+  .setAction(async (args, hre) => {
+    const { client, bounty } = await getBountyClient(hre, args.bounty, args.from);
+    await send(client.resolveVote(bounty));
+    await printBounty(hre, client, bounty);
+  });
+
+task("poidh:cancel", "Cancels a bounty (issuer only)")
+  .addParam("bounty", "Bounty address")
+  .addOptionalParam("from", "Sending account")
+  .setAction(async (args, hre) => {
+    const { client, bounty } = await getBountyClient(hre, args.bounty, args.from);
+    await send(client.cancel(bounty));
+    await printBounty(hre, client, bounty);
+  });
+
+task("poidh:refund-all", "Refunds every funder of a cancelled or expired bounty")
+  .addParam("bounty", "Bounty address")
+  .addOptionalParam("from", "Sending account")
+  .setAction(async (args, hre) => {
+    const { BOUNTY_STATES } = require("../sdk");
+    const { client, bounty } = await getBountyClient(hre, args.bounty, args.from);
+    const state = BOUNTY_STATES[await bounty.state()];
+    if (state !== "CANCELLED" && state !== "EXPIRED") {
+      throw new HardhatPluginError("poidh", `Bounty is ${state}, refunds need a CANCELLED or EXPIRED bounty`);
+    }
+
+    // Everyone who ever joined, plus the issuer (the issuer stake can move with the role)
+    const joins = await bounty.queryFilter(bounty.filters.Poidh__Joined());
+    const accounts = [...new Set([...joins.map((e) => e.args.user), await bounty.issuer()])];
+
+    const refunded = [];
+    for (const account of accounts) {
+      if ((await bounty.account_Shares(account)).isZero()) continue;
+      await send(client.withdraw(bounty, account));
+      console.log("Refunded:         ", account);
+      refunded.push(account);
+    }
+    console.log("Refunds:          ", refunded.length);
+    return refunded;
+  });
+
+task("poidh:inspect", "Prints a bounty's state, vote and claims")
+  .addParam("bounty", "Bounty address")
+  .setAction(async (args, hre) => {
+    const { client, bounty } = await getBountyClient(hre, args.bounty);
+    await printBounty(hre, client, bounty);
+    return client.getBountyState(bounty);
+  });
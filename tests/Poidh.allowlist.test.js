@@ -0,0 +1,197 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { buildAllowlist } = require("../scripts/allowlist");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Allowlist Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let worker1;
+  let worker2;
+  let outsider;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, worker1, worker2, outsider] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                          ISSUER-MANAGED LISTS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Issuer-managed", function () {
+    it("should leave bounties public by default", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      expect(await bounty.claimAllowlist()).to.be.false;
+      expect(await bounty.joinAllowlist()).to.be.false;
+
+      await bounty.connect(outsider).join({ value: ONE_ETH });
+      await bounty.connect(outsider).submitClaim("Work", "ipfs://proof");
+    });
+
+    it("should only accept claims from allowlisted claimants", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimAllowlist: true });
+      await expect(bounty.connect(worker1).submitClaim("Work", "ipfs://proof"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotAllowlisted");
+
+      await expect(bounty.connect(issuer).setClaimants([worker1.address, worker2.address], true))
+        .to.emit(bounty, "Poidh__ClaimantAllowed")
+        .withArgs(worker1.address, true)
+        .and.to.emit(bounty, "Poidh__ClaimantAllowed")
+        .withArgs(worker2.address, true);
+
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      expect(await bounty.account_CanClaim(worker2.address)).to.be.true;
+      expect(await bounty.account_CanClaim(outsider.address)).to.be.false;
+    });
+
+    it("should only accept contributions from allowlisted contributors", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { joinAllowlist: true });
+      await expect(bounty.connect(contributor1).join({ value: ONE_ETH }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotAllowlisted");
+
+      await bounty.connect(issuer).setContributors([contributor1.address], true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      expect(await bounty.account_Stake(contributor1.address)).to.equal(ONE_ETH);
+
+      // Claims stay public unless restricted separately
+      await bounty.connect(outsider).submitClaim("Work", "ipfs://proof");
+    });
+
+    it("should let the issuer top up a private bounty", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { joinAllowlist: true });
+      await bounty.connect(issuer).join({ value: ONE_ETH });
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH.mul(2));
+    });
+
+    it("should restrict token joins", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.mint(contributor1.address, 100e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+
+      const bounty = await createBounty(issuer, 0, true, { token: usdc.address, amount: 100e6, joinAllowlist: true });
+      await usdc.connect(contributor1).approve(bounty.address, 100e6);
+
+      await expect(bounty.connect(contributor1).joinWithToken(100e6))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotAllowlisted");
+      await bounty.connect(issuer).setContributors([contributor1.address], true);
+      await bounty.connect(contributor1).joinWithToken(100e6);
+    });
+
+    it("should revoke access without touching existing stakes or claims", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimAllowlist: true, joinAllowlist: true });
+      await bounty.connect(issuer).setClaimants([worker1.address], true);
+      await bounty.connect(issuer).setContributors([contributor1.address], true);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+
+      await expect(bounty.connect(issuer).setContributors([contributor1.address], false))
+        .to.emit(bounty, "Poidh__ContributorAllowed")
+        .withArgs(contributor1.address, false);
+      await bounty.connect(issuer).setClaimants([worker1.address], false);
+
+      await expect(bounty.connect(contributor1).join({ value: ONE_ETH }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotAllowlisted");
+      await expect(bounty.connect(worker1).submitClaim("More", "ipfs://more"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotAllowlisted");
+
+      expect(await bounty.getClaimsCount()).to.equal(1);
+      await bounty.connect(contributor1).withdraw(contributor1.address);
+    });
+
+    it("should only allow the issuer to manage the lists", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimAllowlist: true, joinAllowlist: true });
+
+      await expect(bounty.connect(outsider).setClaimants([outsider.address], true))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+      await expect(bounty.connect(outsider).setContributors([outsider.address], true))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+      await expect(bounty.connect(outsider).setAllowlistRoots(ethers.constants.HashZero, ethers.constants.HashZero))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                            MERKLE LISTS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Merkle", function () {
+    it("should register claimants with a valid proof", async function () {
+      const allowlist = buildAllowlist([worker1.address, worker2.address, contributor1.address]);
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimAllowlist: true, claimantRoot: allowlist.root });
+      expect(await bounty.claimantRoot()).to.equal(allowlist.root);
+
+      await expect(bounty.connect(worker2).registerClaimant(allowlist.getProof(worker2.address)))
+        .to.emit(bounty, "Poidh__ClaimantAllowed")
+        .withArgs(worker2.address, true);
+      await bounty.connect(worker2).submitClaim("Work", "ipfs://proof");
+    });
+
+    it("should register contributors with a valid proof", async function () {
+      const allowlist = buildAllowlist([contributor1.address, contributor2.address]);
+      const bounty = await createBounty(issuer, ONE_ETH, true, { joinAllowlist: true, contributorRoot: allowlist.root });
+
+      await bounty.connect(contributor2).registerContributor(allowlist.getProof(contributor2.address));
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      expect(await bounty.account_CanJoin(contributor2.address)).to.be.true;
+    });
+
+    it("should reject invalid proofs", async function () {
+      const allowlist = buildAllowlist([worker1.address, worker2.address]);
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimAllowlist: true, claimantRoot: allowlist.root });
+
+      await expect(bounty.connect(outsider).registerClaimant(allowlist.getProof(worker1.address)))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidProof");
+      await expect(bounty.connect(outsider).registerClaimant([]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidProof");
+
+      // Claimant proofs don't register contributors
+      await expect(bounty.connect(worker1).registerContributor(allowlist.getProof(worker1.address)))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidProof");
+    });
+
+    it("should let the issuer rotate roots", async function () {
+      const first = buildAllowlist([worker1.address]);
+      const second = buildAllowlist([worker2.address, outsider.address]);
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimAllowlist: true, claimantRoot: first.root });
+      await bounty.connect(worker1).registerClaimant(first.getProof(worker1.address));
+
+      await expect(bounty.connect(issuer).setAllowlistRoots(second.root, ethers.constants.HashZero))
+        .to.emit(bounty, "Poidh__AllowlistRootsUpdated")
+        .withArgs(second.root, ethers.constants.HashZero);
+
+      await bounty.connect(worker2).registerClaimant(second.getProof(worker2.address));
+      await bounty.connect(worker2).submitClaim("Work", "ipfs://proof");
+      // Earlier registrations stay valid
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+    });
+
+    it("should combine Merkle registration with issuer-managed entries", async function () {
+      const allowlist = buildAllowlist([worker1.address]);
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimAllowlist: true, claimantRoot: allowlist.root });
+
+      await bounty.connect(issuer).setClaimants([worker2.address], true);
+      await bounty.connect(worker1).registerClaimant(allowlist.getProof(worker1.address));
+
+      await bounty.connect(worker1).submitClaim("A", "ipfs://a");
+      await bounty.connect(worker2).submitClaim("B", "ipfs://b");
+      expect(await bounty.getClaimsCount()).to.equal(2);
+    });
+  });
+});
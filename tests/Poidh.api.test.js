@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+const { PoidhIndexer } = require("../indexer");
+const { createServer, OPENAPI } = require("../api");
+
+describe("Poidh API Tests", function () {
+  let factory;
+  let client;
+  let indexer;
+  let server;
+  let baseURL;
+  let treasury;
+  let issuer;
+  let otherIssuer;
+  let contributor1;
+  let worker1;
+  let outsider;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, otherIssuer, contributor1, worker1, outsider] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory, issuer);
+
+    indexer = new PoidhIndexer({
+      provider: ethers.provider,
+      factory: factory.address,
+      startBlock: factory.deployTransaction.blockNumber,
+    });
+    server = createServer(indexer);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    indexer.close();
+  });
+
+  async function get(path) {
+    const response = await fetch(baseURL + path);
+    return { status: response.status, body: await response.json() };
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              BOUNTIES
+  //////////////////////////////////////////////////////////////*/
+
+  describe("GET /bounties", function () {
+    let solo;
+    let open;
+    let cancelled;
+    let other;
+
+    beforeEach(async function () {
+      solo = await client.createBounty("ipfs://solo", false, {}, { value: ONE_ETH });
+      open = await client.createBounty("ipfs://open", true, {}, { value: ONE_ETH.mul(3) });
+      cancelled = await client.createBounty("ipfs://cancelled", true, {}, { value: ONE_ETH });
+      other = await client.connect(otherIssuer).createBounty("ipfs://other", true, {}, { value: ONE_ETH.mul(2) });
+      await client.cancel(cancelled);
+      await indexer.sync();
+    });
+
+    it("should page bounties newest first", async function () {
+      const { status, body } = await get("/bounties?limit=2&offset=1");
+      expect(status).to.equal(200);
+      expect(body.total).to.equal(4);
+      expect(body.limit).to.equal(2);
+      expect(body.offset).to.equal(1);
+      expect(body.items.map((b) => b.address)).to.deep.equal([cancelled.address, open.address]);
+
+      const { body: all } = await get("/bounties");
+      expect(all.limit).to.equal(20);
+      expect(all.items.map((b) => b.metadataURI)).to.deep.equal(["ipfs://other", "ipfs://cancelled", "ipfs://open", "ipfs://solo"]);
+    });
+
+    it("should filter by state, joinable and issuer", async function () {
+      const addresses = async (query) => (await get(`/bounties?${query}`)).body.items.map((b) => b.address);
+
+      expect(await addresses("state=CANCELLED")).to.deep.equal([cancelled.address]);
+      expect(await addresses("joinable=false")).to.deep.equal([solo.address]);
+      expect(await addresses(`issuer=${otherIssuer.address.toLowerCase()}`)).to.deep.equal([other.address]);
+      expect(await addresses(`state=OPEN&joinable=true&issuer=${issuer.address}`)).to.deep.equal([open.address]);
+      expect((await get("/bounties?state=EXPIRED")).body).to.deep.equal({ items: [], total: 0, limit: 20, offset: 0 });
+    });
+
+    it("should filter by amount and token", async function () {
+      const addresses = async (query) => (await get(`/bounties?${query}`)).body.items.map((b) => b.address);
+
+      expect(await addresses(`minAmount=${ONE_ETH.mul(2)}`)).to.deep.equal([other.address, open.address]);
+      expect(await addresses(`maxAmount=${ONE_ETH}`)).to.deep.equal([cancelled.address, solo.address]);
+      expect(await addresses(`minAmount=${ONE_ETH.add(1)}&maxAmount=${ONE_ETH.mul(2)}`)).to.deep.equal([other.address]);
+      expect(await addresses("minAmount=999")).to.have.length(4);
+      expect(await addresses(`token=${ethers.constants.AddressZero}`)).to.have.length(4);
+      expect(await addresses(`token=${outsider.address}`)).to.deep.equal([]);
+    });
+
+    it("should reject invalid parameters", async function () {
+      for (const [query, error] of [
+        ["state=open", "Invalid state: open"],
+        ["joinable=yes", "Invalid joinable: yes"],
+        ["issuer=0x1234", "Invalid issuer: 0x1234"],
+        ["minAmount=1.5", "Invalid minAmount: 1.5"],
+        ["limit=0", "Invalid limit: 0"],
+        ["limit=101", "Invalid limit: 101"],
+        ["offset=-1", "Invalid offset: -1"],
+        ["sort=amount", "Unknown query parameter: sort"],
+      ]) {
+        const { status, body } = await get(`/bounties?${query}`);
+        expect(status).to.equal(400);
+        expect(body.error).to.include(error);
+      }
+    });
+  });
+
+  describe("GET /bounties/{address}", function () {
+    it("should return claims, contributors and the vote history", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      await client.connect(worker1).submitClaim(bounty, "First", "ipfs://first");
+      await client.connect(worker1).submitClaim(bounty, "Second", "ipfs://second");
+
+      await client.startVote(bounty, 0);
+      await client.connect(contributor1).vote(bounty, false);
+      await time.increase(TWO_DAYS + 1);
+      await client.resolveVote(bounty);
+      await client.startVote(bounty, 1);
+      await client.connect(contributor1).vote(bounty, true);
+      await indexer.sync();
+
+      const { status, body } = await get(`/bounties/${bounty.address.toLowerCase()}`);
+      expect(status).to.equal(200);
+      expect(body).to.include({ address: bounty.address, state: "VOTING", votingRound: 2, claimsCount: 2 });
+      expect(body.totalStaked).to.equal(ONE_ETH.mul(2).toString());
+      expect(body.claims.map((claim) => claim.name)).to.deep.equal(["First", "Second"]);
+
+      for (const { account, stake } of body.contributors) {
+        expect(stake).to.equal((await bounty.account_Stake(account)).toString());
+      }
+      expect(body.contributors.map((c) => c.account)).to.deep.equal([issuer.address, contributor1.address]);
+
+      expect(body.votes.map(({ round, claimId, status }) => ({ round, claimId, status }))).to.deep.equal([
+        { round: 1, claimId: 0, status: "FAILED" },
+        { round: 2, claimId: 1, status: "VOTING" },
+      ]);
+      expect(body.votes[0].casts).to.deep.equal([{ voter: contributor1.address, support: false, weight: ONE_ETH.toString() }]);
+      expect(body.payouts).to.deep.equal([]);
+    });
+
+    it("should 404 bounties that aren't indexed", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      expect((await get(`/bounties/${bounty.address}`)).status).to.equal(404);
+
+      await indexer.sync();
+      expect((await get(`/bounties/${bounty.address}`)).status).to.equal(200);
+      expect(await get("/bounties/not-an-address")).to.deep.equal({ status: 400, body: { error: "Invalid address: not-an-address" } });
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              ACCOUNTS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("GET /accounts/{address}", function () {
+    it("should return an account's portfolio", async function () {
+      const issued = await client.connect(contributor1).createBounty("ipfs://own", true, {}, { value: ONE_ETH });
+      const funded = await client.createBounty("ipfs://funded", true, {}, { value: ONE_ETH });
+      const claimed = await client.createBounty("ipfs://claimed", true, {}, { value: ONE_ETH });
+      await client.connect(contributor1).join(funded, ONE_ETH.mul(2));
+      await client.connect(contributor1).submitClaim(claimed, "Work", "ipfs://proof");
+      await client.startVote(claimed, 0);
+      await time.increase(TWO_DAYS + 1);
+      await client.resolveVote(claimed);
+      await indexer.sync();
+
+      const { status, body } = await get(`/accounts/${contributor1.address}`);
+      expect(status).to.equal(200);
+      expect(body.address).to.equal(contributor1.address);
+      expect(body.issued.map((b) => b.address)).to.deep.equal([issued.address]);
+      expect(body.contributions.map(({ bounty, stake }) => ({ bounty, stake }))).to.deep.equal([
+        { bounty: funded.address, stake: ONE_ETH.mul(2).toString() },
+        { bounty: issued.address, stake: ONE_ETH.toString() },
+      ]);
+      expect(body.claims).to.deep.equal([
+        { bounty: claimed.address, claimId: 0, name: "Work", proofURI: "ipfs://proof", status: "ACTIVE" },
+      ]);
+      expect(body.payouts).to.have.length(1);
+      expect(body.payouts[0].bounty).to.equal(claimed.address);
+
+      const empty = await get(`/accounts/${outsider.address}`);
+      expect(empty.body).to.deep.equal({ address: outsider.address, issued: [], contributions: [], claims: [], payouts: [] });
+    });
+
+    it("should include tips paid to runner-up claims", async function () {
+      const bounty = await client.createBounty("ipfs://tipped", true, {}, { value: ONE_ETH });
+      await client.connect(worker1).submitClaim(bounty, "Winner", "ipfs://winner");
+      await client.connect(contributor1).submitClaim(bounty, "Runner-up", "ipfs://runner-up");
+      await bounty.connect(issuer).setTips([1], [1000]);
+      await client.startVote(bounty, 0);
+      await time.increase(TWO_DAYS + 1);
+      await client.resolveVote(bounty);
+      await indexer.sync();
+
+      const fee = ONE_ETH.mul(25).div(1000);
+      const tip = ONE_ETH.sub(fee).div(10);
+      const { body } = await get(`/accounts/${contributor1.address}`);
+      expect(body.payouts).to.have.length(1);
+      expect(body.payouts[0]).to.include({ bounty: bounty.address, kind: "TIP", reward: tip.toString(), fee: "0" });
+
+      const detail = (await get(`/bounties/${bounty.address}`)).body;
+      expect(detail.totalPaid).to.equal(ONE_ETH.toString());
+      expect(detail.payouts.map(({ kind, reward }) => ({ kind, reward }))).to.deep.equal([
+        { kind: "TIP", reward: tip.toString() },
+        { kind: "REWARD", reward: ONE_ETH.sub(fee).sub(tip).toString() },
+      ]);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              SERVER
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Server", function () {
+    it("should report the indexed block", async function () {
+      expect((await get("/status")).body).to.deep.equal({ factory: factory.address, blockNumber: null, blockHash: null });
+
+      await indexer.sync();
+      const block = await ethers.provider.getBlock("latest");
+      expect((await get("/status")).body).to.deep.equal({ factory: factory.address, blockNumber: block.number, blockHash: block.hash });
+    });
+
+    it("should serve its OpenAPI schema, covering every response field", async function () {
+      const { status, body } = await get("/openapi.json");
+      expect(status).to.equal(200);
+      expect(body).to.deep.equal(JSON.parse(JSON.stringify(OPENAPI)));
+      expect(Object.keys(body.paths)).to.deep.equal(["/status", "/bounties", "/bounties/{address}", "/accounts/{address}"]);
+
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await client.connect(worker1).submitClaim(bounty, "Work", "ipfs://proof");
+      await client.startVote(bounty, 0);
+      await indexer.sync();
+
+      const { schemas } = body.components;
+      const detail = (await get(`/bounties/${bounty.address}`)).body;
+      const documented = [...Object.keys(schemas.Bounty.properties), ...Object.keys(schemas.BountyDetail.allOf[1].properties)];
+      expect(documented).to.include.members(Object.keys(detail));
+      expect(Object.keys(schemas.Claim.properties)).to.include.members(Object.keys(detail.claims[0]));
+      expect(Object.keys(schemas.Contributor.properties)).to.include.members(Object.keys(detail.contributors[0]));
+      expect(Object.keys(schemas.Vote.properties)).to.include.members(Object.keys(detail.votes[0]));
+      expect(Object.keys(schemas.BountyPage.properties)).to.include.members(Object.keys((await get("/bounties")).body));
+    });
+
+    it("should answer unknown routes and methods with JSON errors", async function () {
+      expect(await get("/claims")).to.deep.equal({ status: 404, body: { error: "Not found: /claims" } });
+
+      const response = await fetch(`${baseURL}/bounties`, { method: "POST" });
+      expect(response.status).to.equal(405);
+      expect(response.headers.get("allow")).to.equal("GET");
+      expect(response.headers.get("access-control-allow-origin")).to.equal("*");
+      expect(await response.json()).to.deep.equal({ error: "Method not allowed: POST" });
+    });
+  });
+});
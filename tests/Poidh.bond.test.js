@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Claim Bond Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let worker;
+  let spammer;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const BOND = ethers.utils.parseEther("0.01");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  const BondStatus = { NONE: 0, LOCKED: 1, REFUNDED: 2, SLASHED: 3 };
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, worker, spammer] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, { claimBond: BOND, ...overrides }, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              LOCKING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Locking", function () {
+    it("should lock the bond on submission", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      expect(await bounty.claimBond()).to.equal(BOND);
+
+      await expect(bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: BOND }))
+        .to.emit(bounty, "Poidh__BondLocked")
+        .withArgs(0, worker.address, BOND);
+
+      const [status, amount] = await bounty.getClaimBond(0);
+      expect(status).to.equal(BondStatus.LOCKED);
+      expect(amount).to.equal(BOND);
+      expect(await bounty.totalBonds()).to.equal(BOND);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH);
+    });
+
+    it("should require the exact bond", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await expect(bounty.connect(worker).submitClaim("Work", "ipfs://proof"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidBond");
+      await expect(bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: BOND.mul(2) }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidBond");
+    });
+
+    it("should keep claims free without a bond", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimBond: 0 });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+
+      const [status, amount] = await bounty.getClaimBond(0);
+      expect(status).to.equal(BondStatus.NONE);
+      expect(amount).to.equal(0);
+      await expect(bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: 1 }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidBond");
+    });
+
+    it("should lock token bonds for token bounties", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 1000e6);
+      await usdc.mint(worker.address, 10e6);
+      await usdc.connect(issuer).approve(factory.address, 1000e6);
+
+      const bounty = await createBounty(issuer, 0, true, { token: usdc.address, amount: 1000e6, claimBond: 5e6 });
+      await usdc.connect(worker).approve(bounty.address, 5e6);
+
+      await expect(bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: 1 }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidCurrency");
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+
+      expect(await usdc.balanceOf(worker.address)).to.equal(5e6);
+      expect(await bounty.totalBonds()).to.equal(5e6);
+      expect(await usdc.balanceOf(bounty.address)).to.equal(1005e6);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              REFUNDS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Refunds", function () {
+    it("should refund bonds after the bounty closes", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: BOND });
+      await bounty.connect(spammer).submitClaim("Other", "ipfs://other", { value: BOND });
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      await bounty.claimPayout(worker.address);
+      await bounty.claimPayout(treasury.address);
+
+      // Payout leaves the bonds untouched
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(BOND.mul(2));
+
+      const before = await spammer.getBalance();
+      await expect(bounty.connect(contributor1).refundBond(1))
+        .to.emit(bounty, "Poidh__BondRefunded")
+        .withArgs(1, spammer.address, BOND);
+      expect((await spammer.getBalance()).sub(before)).to.equal(BOND);
+
+      await bounty.refundBond(0);
+      expect((await bounty.getClaimBond(0)).status).to.equal(BondStatus.REFUNDED);
+      expect(await bounty.totalBonds()).to.equal(0);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should refund bonds after cancellation", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: BOND });
+      await bounty.connect(issuer).cancel();
+
+      await bounty.refundBond(0);
+      await bounty.withdraw(issuer.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should not refund while the bounty is active", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: BOND });
+
+      await expect(bounty.refundBond(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BondNotRefundable");
+      await bounty.connect(issuer).startVote(0);
+      await expect(bounty.refundBond(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BondNotRefundable");
+    });
+
+    it("should not refund twice or refund missing bonds", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: BOND });
+      await bounty.connect(issuer).cancel();
+      await bounty.refundBond(0);
+
+      await expect(bounty.refundBond(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BondNotLocked");
+      await expect(bounty.refundBond(1))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidClaimId");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              SLASHING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Slashing", function () {
+    it("should move a slashed bond into the pool", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(spammer).submitClaim("Spam", "ipfs://spam", { value: BOND });
+
+      await expect(bounty.connect(issuer).slashBond(0))
+        .to.emit(bounty, "Poidh__BondSlashed")
+        .withArgs(0, BOND);
+
+      expect((await bounty.getClaimBond(0)).status).to.equal(BondStatus.SLASHED);
+      expect(await bounty.totalBonds()).to.equal(0);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH.mul(2).add(BOND));
+      expect(await bounty.account_Stake(contributor1.address)).to.equal(ONE_ETH.add(BOND.div(2)));
+    });
+
+    it("should refund slashed bonds to funders pro rata on cancel", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(spammer).submitClaim("Spam", "ipfs://spam", { value: BOND });
+      await bounty.connect(issuer).slashBond(0);
+      await bounty.connect(issuer).cancel();
+
+      await expect(bounty.withdraw(issuer.address)).to.changeEtherBalance(issuer, ONE_ETH.add(BOND.div(2)));
+      await expect(bounty.withdraw(contributor1.address)).to.changeEtherBalance(contributor1, ONE_ETH.add(BOND.div(2)));
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should slash into the pool on a bounty without a treasury", async function () {
+      const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+      const feeless = await PoidhFactory.deploy(ethers.constants.AddressZero);
+      const bounty = await new PoidhClient(feeless, issuer).createBounty("ipfs://metadata", true, { claimBond: BOND }, { value: ONE_ETH });
+      await bounty.connect(spammer).submitClaim("Spam", "ipfs://spam", { value: BOND });
+
+      await bounty.connect(issuer).slashBond(0);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH.add(BOND));
+      expect(await bounty.account_Stake(issuer.address)).to.equal(ONE_ETH.add(BOND));
+    });
+
+    it("should pay slashed bonds out with the bounty", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(spammer).submitClaim("Spam", "ipfs://spam", { value: BOND });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof", { value: BOND });
+      await bounty.connect(issuer).slashBond(0);
+
+      await bounty.connect(issuer).startVote(1);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      await bounty.claimPayout(worker.address);
+      await bounty.claimPayout(treasury.address);
+      await bounty.refundBond(1);
+
+      await expect(bounty.refundBond(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BondNotLocked");
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should only allow the issuer to slash while OPEN", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(spammer).submitClaim("Spam", "ipfs://spam", { value: BOND });
+
+      await expect(bounty.connect(contributor1).slashBond(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+
+      await bounty.connect(issuer).startVote(0);
+      await expect(bounty.connect(issuer).slashBond(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+
+    it("should not slash a claim without a bond or twice", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(spammer).submitClaim("Spam", "ipfs://spam", { value: BOND });
+      await bounty.connect(issuer).slashBond(0);
+
+      await expect(bounty.connect(issuer).slashBond(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BondNotLocked");
+      await expect(bounty.connect(issuer).slashBond(1))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidClaimId");
+    });
+  });
+});
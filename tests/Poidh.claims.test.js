@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Claim Management Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let worker1;
+  let worker2;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const BOND = ethers.utils.parseEther("0.01");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+  const THIRTY_DAYS = 30 * 24 * 60 * 60;
+
+  const ClaimStatus = { ACTIVE: 0, WITHDRAWN: 1, AMENDED: 2 };
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, worker1, worker2] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              UPDATING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("updateClaim", function () {
+    it("should start claims as active", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+
+      const claim = await bounty.getClaim(0);
+      expect(claim.status).to.equal(ClaimStatus.ACTIVE);
+      expect((await bounty.claims(0)).status).to.equal(ClaimStatus.ACTIVE);
+    });
+
+    it("should replace the name and proof in place", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://wrong");
+
+      await expect(bounty.connect(worker1).updateClaim(0, "Work v2", "ipfs://right"))
+        .to.emit(bounty, "Poidh__ClaimUpdated")
+        .withArgs(0, worker1.address, "Work v2", "ipfs://right");
+
+      const claim = await bounty.getClaim(0);
+      expect(claim.claimant).to.equal(worker1.address);
+      expect(claim.name).to.equal("Work v2");
+      expect(claim.proofURI).to.equal("ipfs://right");
+      expect(claim.status).to.equal(ClaimStatus.AMENDED);
+      expect(await bounty.getClaimsCount()).to.equal(1);
+    });
+
+    it("should pay out an amended claim", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://wrong");
+      await bounty.connect(worker1).updateClaim(0, "Work", "ipfs://right");
+
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+      await expect(bounty.resolveVote())
+        .to.emit(bounty, "Poidh__BountyPaid");
+      expect(await bounty.state()).to.equal(2); // CLOSED
+    });
+
+    it("should only allow the claimant to update", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+
+      await expect(bounty.connect(worker2).updateClaim(0, "Stolen", "ipfs://stolen"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyClaimant");
+      await expect(bounty.connect(issuer).updateClaim(0, "Edited", "ipfs://edited"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyClaimant");
+      await expect(bounty.connect(worker1).updateClaim(1, "Work", "ipfs://proof"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidClaimId");
+    });
+
+    it("should not allow updates while the claim is under vote", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await expect(bounty.connect(worker1).updateClaim(0, "Swap", "ipfs://swap"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+      await expect(bounty.connect(worker1).withdrawClaim(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+
+    it("should allow updates again after a failed vote", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await bounty.connect(contributor1).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      await bounty.connect(worker1).updateClaim(0, "Work", "ipfs://fixed");
+      expect((await bounty.getClaim(0)).proofURI).to.equal("ipfs://fixed");
+    });
+
+    it("should not allow updates after the bounty is closed", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).cancel();
+
+      await expect(bounty.connect(worker1).updateClaim(0, "Work", "ipfs://late"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              WITHDRAWING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("withdrawClaim", function () {
+    it("should mark the claim as withdrawn", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+
+      await expect(bounty.connect(worker1).withdrawClaim(0))
+        .to.emit(bounty, "Poidh__ClaimWithdrawn")
+        .withArgs(0, worker1.address);
+      expect((await bounty.getClaim(0)).status).to.equal(ClaimStatus.WITHDRAWN);
+    });
+
+    it("should reject votes on a withdrawn claim", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(worker2).submitClaim("Other", "ipfs://other");
+      await bounty.connect(worker1).withdrawClaim(0);
+
+      await expect(bounty.connect(issuer).startVote(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__WithdrawnClaim");
+      await expect(bounty.connect(issuer).startSplitVote([1, 0], [5000, 5000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__WithdrawnClaim");
+      await bounty.connect(issuer).startVote(1);
+    });
+
+    it("should not allow updating or withdrawing a withdrawn claim", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(worker1).withdrawClaim(0);
+
+      await expect(bounty.connect(worker1).updateClaim(0, "Back", "ipfs://back"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__WithdrawnClaim");
+      await expect(bounty.connect(worker1).withdrawClaim(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__WithdrawnClaim");
+    });
+
+    it("should only allow the claimant to withdraw", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+
+      await expect(bounty.connect(issuer).withdrawClaim(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyClaimant");
+      await expect(bounty.connect(worker1).withdrawClaim(1))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidClaimId");
+    });
+
+    it("should keep the bond locked until the bounty ends", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { claimBond: BOND });
+      await bounty.connect(worker1).submitClaim("Spam", "ipfs://spam", { value: BOND });
+      await bounty.connect(worker1).withdrawClaim(0);
+
+      // Withdrawing does not dodge slashing
+      await bounty.connect(issuer).slashBond(0);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH.add(BOND));
+
+      await bounty.connect(worker2).submitClaim("Work", "ipfs://proof", { value: BOND });
+      await bounty.connect(worker2).withdrawClaim(1);
+      await expect(bounty.refundBond(1))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BondNotRefundable");
+      await bounty.connect(issuer).cancel();
+      await bounty.refundBond(1);
+    });
+
+    it("should not allow disputing or awarding a withdrawn claim", async function () {
+      const MockArbitrator = await ethers.getContractFactory("MockArbitrator");
+      const arbitrator = await MockArbitrator.deploy(contributor1.address);
+      const bounty = await createBounty(issuer, ONE_ETH, true, { arbitrator: arbitrator.address });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(worker2).submitClaim("Other", "ipfs://other");
+      await bounty.connect(worker1).withdrawClaim(0);
+      await time.increase(THIRTY_DAYS);
+
+      await expect(bounty.connect(worker1).dispute(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__WithdrawnClaim");
+
+      await bounty.connect(worker2).dispute(1);
+      await expect(arbitrator.connect(contributor1).award(bounty.address, 0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__WithdrawnClaim");
+      await arbitrator.connect(contributor1).award(bounty.address, 1);
+    });
+  });
+});
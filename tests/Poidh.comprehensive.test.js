@@ -1,9 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient, bountyParams } = require("../sdk");
 
 describe("Poidh Comprehensive Tests", function () {
   let factory;
+  let client;
   let treasury;
   let issuer;
   let contributor1;
@@ -27,14 +29,11 @@ describe("Poidh Comprehensive Tests", function () {
     const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
     factory = await PoidhFactory.deploy(treasury.address);
     await factory.deployed();
+    client = new PoidhClient(factory);
   });
 
   async function createBounty(signer, value, joinable) {
-    const tx = await factory.connect(signer).createBounty("ipfs://metadata", joinable, { value });
-    const receipt = await tx.wait();
-    const event = receipt.events.find(e => e.event === "PoidhFactory__BountyCreated");
-    const bountyAddress = event.args.bountyAddress;
-    return await ethers.getContractAt("Poidh", bountyAddress);
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, {}, { value });
   }
 
   // Helper to get contract balance
@@ -85,6 +84,8 @@ describe("Poidh Comprehensive Tests", function () {
         const fee = ONE_ETH.mul(25).div(1000); // 2.5%
         const reward = ONE_ETH.sub(fee);
 
+        await bounty.claimPayout(worker1.address);
+        await bounty.claimPayout(treasury.address);
         const workerBalAfter = await getBalance(worker1.address);
         expect(workerBalAfter.sub(workerBalBefore)).to.equal(reward);
 
@@ -112,6 +113,9 @@ describe("Poidh Comprehensive Tests", function () {
         // Verify worker1 got paid
         const fee = ONE_ETH.mul(25).div(1000);
         const reward = ONE_ETH.sub(fee);
+        expect(await bounty.account_Payout(worker1.address)).to.equal(reward);
+        await bounty.claimPayout(worker1.address);
+        await bounty.claimPayout(treasury.address);
         expect(await getBalance(bounty.address)).to.equal(0);
       });
     });
@@ -206,6 +210,7 @@ describe("Poidh Comprehensive Tests", function () {
         const fee = THREE_ETH.mul(25).div(1000);
         const reward = THREE_ETH.sub(fee);
 
+        await bounty.claimPayout(worker1.address);
         const worker1BalAfter = await getBalance(worker1.address);
         expect(worker1BalAfter.sub(worker1BalBefore)).to.equal(reward);
         expect(await bounty.state()).to.equal(2); // CLOSED
@@ -290,6 +295,7 @@ describe("Poidh Comprehensive Tests", function () {
         const fee = TWO_ETH.mul(25).div(1000);
         const reward = TWO_ETH.sub(fee);
 
+        await bounty.claimPayout(worker1.address);
         const worker1BalAfter = await getBalance(worker1.address);
         expect(worker1BalAfter.sub(worker1BalBefore)).to.equal(reward);
       });
@@ -643,6 +649,7 @@ describe("Poidh Comprehensive Tests", function () {
 
       const worker2BalBefore = await getBalance(worker2.address);
       await bounty.resolveVote();
+      await bounty.claimPayout(worker2.address);
       const worker2BalAfter = await getBalance(worker2.address);
 
       // Worker2 (claim 1) gets paid
@@ -717,7 +724,10 @@ describe("Poidh Comprehensive Tests", function () {
       const workerBalBefore = await getBalance(worker1.address);
 
       await bounty.resolveVote();
+      expect(await getBalance(bounty.address)).to.equal(await bounty.totalPayouts());
 
+      await bounty.claimPayout(worker1.address);
+      await bounty.claimPayout(treasury.address);
       const workerBalAfter = await getBalance(worker1.address);
       const bountyBalAfter = await getBalance(bounty.address);
 
@@ -849,6 +859,7 @@ describe("Poidh Comprehensive Tests", function () {
 
       const workerBalBefore = await getBalance(worker1.address);
       await bounty.resolveVote();
+      await bounty.claimPayout(worker1.address);
       const workerBalAfter = await getBalance(worker1.address);
 
       const fee = LARGE.mul(25).div(1000);
@@ -975,7 +986,7 @@ describe("Poidh Comprehensive Tests", function () {
 
     it("should emit correct events on bounty creation", async function () {
       await expect(
-        factory.connect(issuer).createBounty("ipfs://test", true, { value: ONE_ETH })
+        factory.connect(issuer).createBounty("ipfs://test", true, bountyParams(), { value: ONE_ETH })
       ).to.emit(factory, "PoidhFactory__BountyCreated");
     });
 
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Delegation Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let delegatee;
+  let worker;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, delegatee, worker] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, {}, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              DELEGATING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Delegate", function () {
+    it("should move voting weight to the delegate", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+
+      await expect(bounty.connect(contributor1).delegate(delegatee.address))
+        .to.emit(bounty, "Poidh__DelegateChanged")
+        .withArgs(contributor1.address, ethers.constants.AddressZero, delegatee.address)
+        .and.to.emit(bounty, "Poidh__DelegatedWeightChanged")
+        .withArgs(delegatee.address, 0, ONE_ETH);
+
+      expect(await bounty.account_Delegate(contributor1.address)).to.equal(delegatee.address);
+      expect(await bounty.account_DelegatedWeight(delegatee.address)).to.equal(ONE_ETH);
+      expect(await bounty.getVotingWeight(delegatee.address)).to.equal(ONE_ETH);
+      expect(await bounty.getVotingWeight(contributor1.address)).to.equal(0);
+    });
+
+    it("should track joins and withdrawals of a delegator", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).delegate(delegatee.address);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      expect(await bounty.account_DelegatedWeight(delegatee.address)).to.equal(ONE_ETH);
+
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      expect(await bounty.account_DelegatedWeight(delegatee.address)).to.equal(ONE_ETH.mul(2));
+
+      await bounty.connect(contributor1).withdraw(contributor1.address);
+      expect(await bounty.account_DelegatedWeight(delegatee.address)).to.equal(0);
+    });
+
+    it("should re-delegate from one delegate to another", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(delegatee.address);
+
+      await expect(bounty.connect(contributor1).delegate(contributor2.address))
+        .to.emit(bounty, "Poidh__DelegateChanged")
+        .withArgs(contributor1.address, delegatee.address, contributor2.address);
+
+      expect(await bounty.account_DelegatedWeight(delegatee.address)).to.equal(0);
+      expect(await bounty.account_DelegatedWeight(contributor2.address)).to.equal(ONE_ETH);
+    });
+
+    it("should restore own weight on undelegate", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(delegatee.address);
+
+      await expect(bounty.connect(contributor1).undelegate())
+        .to.emit(bounty, "Poidh__DelegateChanged")
+        .withArgs(contributor1.address, delegatee.address, ethers.constants.AddressZero);
+
+      expect(await bounty.getVotingWeight(contributor1.address)).to.equal(ONE_ETH);
+      expect(await bounty.getVotingWeight(delegatee.address)).to.equal(0);
+    });
+
+    it("should reject invalid delegates", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+
+      await expect(bounty.connect(contributor1).delegate(contributor1.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidDelegate");
+      await expect(bounty.connect(contributor1).delegate(ethers.constants.AddressZero))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidDelegate");
+      await expect(bounty.connect(contributor1).delegate(issuer.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidDelegate");
+      await expect(bounty.connect(issuer).delegate(delegatee.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidDelegate");
+      await expect(bounty.connect(contributor1).undelegate())
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidDelegate");
+    });
+
+    it("should not allow changing delegation while voting", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(delegatee.address);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await expect(bounty.connect(contributor1).undelegate())
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+      await expect(bounty.connect(contributor2).delegate(delegatee.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                          VOTING WITH DELEGATION
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Voting", function () {
+    it("should count delegated weight in the delegate's vote", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH.mul(2) });
+      await bounty.connect(contributor1).delegate(contributor2.address);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await expect(bounty.connect(contributor2).vote(false))
+        .to.emit(bounty, "Poidh__VoteCast")
+        .withArgs(contributor2.address, false, ONE_ETH.mul(3));
+    });
+
+    it("should allow a delegate without stake to vote", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(delegatee.address);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await bounty.connect(delegatee).vote(true);
+      expect((await bounty.currentVote()).yes).to.equal(ONE_ETH);
+    });
+
+    it("should not let a delegator vote with delegated stake", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(delegatee.address);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await expect(bounty.connect(contributor1).vote(true))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NoStakeInBounty");
+    });
+
+    it("should not pass delegated weight along a chain", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(contributor2.address);
+      await bounty.connect(contributor2).delegate(delegatee.address);
+
+      // contributor2 keeps contributor1's weight but not its own
+      expect(await bounty.getVotingWeight(contributor2.address)).to.equal(ONE_ETH);
+      expect(await bounty.getVotingWeight(delegatee.address)).to.equal(ONE_ETH);
+    });
+
+    it("should allow early resolution when delegated stake is fully cast", async function () {
+      const bounty = await createBounty(issuer, 0, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(delegatee.address);
+      await bounty.connect(contributor2).delegate(delegatee.address);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await expect(bounty.resolveVote())
+        .to.be.revertedWithCustomError(bounty, "Poidh__VotingNotEnded");
+
+      await bounty.connect(delegatee).vote(true);
+      await bounty.resolveVote();
+      expect(await bounty.state()).to.equal(2); // CLOSED
+    });
+
+    it("should keep delegation across voting rounds", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(delegatee.address);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+
+      await bounty.connect(issuer).startVote(0);
+      await bounty.connect(delegatee).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      await bounty.connect(issuer).startVote(0);
+      await expect(bounty.connect(delegatee).vote(true))
+        .to.emit(bounty, "Poidh__VoteCast")
+        .withArgs(delegatee.address, true, ONE_ETH);
+    });
+  });
+});
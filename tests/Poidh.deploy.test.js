@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { deploy, loadConfig, manifestPath, readManifest } = require("../scripts/deploy");
+
+describe("Poidh Deployment Tests", function () {
+  let deployer;
+  let treasury;
+  let creator;
+  let multisig;
+  let dir;
+
+  // The pipeline prints every step, keep the test output clean
+  let log;
+  before(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+  after(function () {
+    console.log = log;
+  });
+
+  beforeEach(async function () {
+    [deployer, treasury, creator, multisig] = await ethers.getSigners();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "poidh-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function run(overrides = {}) {
+    return deploy({ network: "test", config: { treasury: treasury.address, confirmations: 1, ...overrides }, dir });
+  }
+
+  function saved() {
+    return JSON.parse(fs.readFileSync(manifestPath("test", dir), "utf8"));
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              DEPLOYMENT
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Deployment", function () {
+    it("should deploy the factory and record it in the manifest", async function () {
+      const manifest = await run();
+      const { PoidhFactory, Poidh } = manifest.contracts;
+
+      expect(saved()).to.deep.equal(manifest);
+      expect(manifest.chainId).to.equal(31337);
+      expect(PoidhFactory.args).to.deep.equal([treasury.address]);
+
+      const factory = await ethers.getContractAt("PoidhFactory", PoidhFactory.address);
+      expect(await factory.treasury()).to.equal(treasury.address);
+      expect(await factory.owner()).to.equal(deployer.address);
+      expect(await factory.implementation()).to.equal(Poidh.address);
+      expect(Poidh.deployedBy).to.equal("PoidhFactory");
+
+      const receipt = await ethers.provider.getTransactionReceipt(PoidhFactory.transactionHash);
+      expect(receipt.contractAddress).to.equal(PoidhFactory.address);
+      expect(receipt.blockNumber).to.equal(PoidhFactory.blockNumber);
+      expect(Poidh.transactionHash).to.equal(PoidhFactory.transactionHash);
+    });
+
+    it("should send nothing when rerun", async function () {
+      const first = await run({ treasuryFee: 10, referrerShare: 50 });
+      const block = await ethers.provider.getBlockNumber();
+
+      const second = await run({ treasuryFee: 10, referrerShare: 50 });
+      expect(await ethers.provider.getBlockNumber()).to.equal(block);
+      expect(second).to.deep.equal(first);
+    });
+
+    it("should redeploy when a local chain lost the contracts", async function () {
+      fs.writeFileSync(manifestPath("test", dir), JSON.stringify({
+        network: "test",
+        chainId: 31337,
+        contracts: { PoidhFactory: { address: ethers.Wallet.createRandom().address, args: [] } },
+        settings: { treasuryFee: { value: 10 } },
+      }));
+
+      const manifest = await run();
+      expect(await ethers.provider.getCode(manifest.contracts.PoidhFactory.address)).to.not.equal("0x");
+      expect(manifest.settings).to.deep.equal({});
+    });
+
+    it("should reject a manifest from another chain", async function () {
+      fs.writeFileSync(manifestPath("test", dir), JSON.stringify({ network: "test", chainId: 8453, contracts: {} }));
+
+      await expect(run()).to.be.rejectedWith("is for chain 8453, connected to chain 31337");
+      expect(() => readManifest("test", 8453, dir)).to.not.throw();
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              SETTINGS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Settings", function () {
+    it("should apply and record settings that differ from the chain", async function () {
+      const manifest = await run({ treasuryFee: 10, referrerShare: 20, votingPeriod: [3600, 86400] });
+      const factory = await ethers.getContractAt("PoidhFactory", manifest.contracts.PoidhFactory.address);
+
+      expect(await factory.treasuryFee()).to.equal(10);
+      expect(await factory.minVotingPeriod()).to.equal(3600);
+      expect(await factory.maxVotingPeriod()).to.equal(86400);
+
+      // referrerShare already defaults to 20, no transaction needed
+      expect(Object.keys(manifest.settings)).to.deep.equal(["treasuryFee", "votingPeriod"]);
+      expect(manifest.settings.treasuryFee.value).to.equal(10);
+      const receipt = await ethers.provider.getTransactionReceipt(manifest.settings.treasuryFee.transactionHash);
+      expect(receipt.to).to.equal(factory.address);
+    });
+
+    it("should only send the settings changed since the last run", async function () {
+      const first = await run({ treasuryFee: 10 });
+      const second = await run({ treasuryFee: 10, treasury: creator.address });
+      const factory = await ethers.getContractAt("PoidhFactory", second.contracts.PoidhFactory.address);
+
+      expect(await factory.treasury()).to.equal(creator.address);
+      expect(second.contracts).to.deep.equal(first.contracts);
+      expect(second.settings.treasuryFee).to.deep.equal(first.settings.treasuryFee);
+      expect(second.settings.treasury.blockNumber).to.be.greaterThan(first.settings.treasuryFee.blockNumber);
+    });
+
+    it("should set and restore creator fees", async function () {
+      let manifest = await run({ creatorFees: { [creator.address]: 0 } });
+      const factory = await ethers.getContractAt("PoidhFactory", manifest.contracts.PoidhFactory.address);
+      expect(await factory.getTreasuryFee(creator.address)).to.equal(0);
+
+      manifest = await run({ creatorFees: { [creator.address]: null } });
+      expect(await factory.creator_HasCustomFee(creator.address)).to.be.false;
+      expect(await factory.getTreasuryFee(creator.address)).to.equal(25);
+      expect(manifest.settings[`creatorFee:${creator.address}`].value).to.equal(null);
+    });
+
+    it("should transfer ownership last and refuse later changes", async function () {
+      const manifest = await run({ treasuryFee: 10, owner: multisig.address });
+      const factory = await ethers.getContractAt("PoidhFactory", manifest.contracts.PoidhFactory.address);
+
+      expect(await factory.owner()).to.equal(multisig.address);
+      expect(Object.keys(manifest.settings)).to.deep.equal(["treasuryFee", "owner"]);
+
+      await run({ treasuryFee: 10, owner: multisig.address });
+      await expect(run({ treasuryFee: 20, owner: multisig.address }))
+        .to.be.rejectedWith(`Cannot update treasuryFee, deployer ${deployer.address} is not the factory owner ${multisig.address}`);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              CONFIG
+  //////////////////////////////////////////////////////////////*/
+
+  describe("loadConfig", function () {
+    it("should read deploy.config.js", async function () {
+      const config = loadConfig("mainnet");
+      expect(config.treasury).to.equal("0x7a8C895E7826F66e1094532cB435Da725dc3868f");
+      expect(config.confirmations).to.equal(2);
+      expect(loadConfig("localhost").confirmations).to.equal(1);
+
+      expect(() => loadConfig("goerli")).to.throw("No deployment config for network goerli");
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { PoidhClient, bountyParams, toSalt, predictBountyAddress } = require("../sdk");
+
+describe("Poidh Deterministic Address Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let other;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const SALT = ethers.utils.id("my-bounty");
+
+  beforeEach(async function () {
+    [treasury, issuer, other] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createDeterministic(signer, salt, value, overrides = {}) {
+    return client.connect(signer).createBountyDeterministic(salt, "ipfs://metadata", true, overrides, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              CREATION
+  //////////////////////////////////////////////////////////////*/
+
+  describe("createBountyDeterministic", function () {
+    it("should deploy to the predicted address", async function () {
+      const predicted = await factory.predictBountyAddress(issuer.address, SALT);
+      expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+      await expect(factory.connect(issuer).createBountyDeterministic(SALT, "ipfs://metadata", true, bountyParams(), { value: ONE_ETH }))
+        .to.emit(factory, "PoidhFactory__BountyCreated")
+        .withArgs(predicted, issuer.address, ethers.constants.AddressZero, "ipfs://metadata", true, 0);
+
+      const bounty = await ethers.getContractAt("Poidh", predicted);
+      expect(await factory.isBounty(predicted)).to.be.true;
+      expect(await factory.allBounties(0)).to.equal(predicted);
+      expect(await bounty.issuer()).to.equal(issuer.address);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH);
+      expect(await factory.token_TotalFunded(ethers.constants.AddressZero)).to.equal(ONE_ETH);
+    });
+
+    it("should scope salts to the issuer", async function () {
+      const issuerBounty = await createDeterministic(issuer, SALT, ONE_ETH);
+      const otherBounty = await createDeterministic(other, SALT, ONE_ETH);
+
+      expect(issuerBounty.address).to.not.equal(otherBounty.address);
+      expect(otherBounty.address).to.equal(await factory.predictBountyAddress(other.address, SALT));
+    });
+
+    it("should not reuse a salt", async function () {
+      await createDeterministic(issuer, SALT, ONE_ETH);
+      await expect(createDeterministic(issuer, SALT, ONE_ETH))
+        .to.be.revertedWith("ERC1167: create2 failed");
+
+      const next = await createDeterministic(issuer, ethers.utils.id("my-bounty-2"), ONE_ETH);
+      expect(await factory.getBountiesCount()).to.equal(2);
+      expect(await next.issuer()).to.equal(issuer.address);
+    });
+
+    it("should leave the address free when creation fails", async function () {
+      await expect(createDeterministic(issuer, SALT, ONE_ETH, { votingPeriod: 1 }))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__InvalidVotingPeriod");
+
+      const bounty = await createDeterministic(issuer, SALT, ONE_ETH);
+      expect(bounty.address).to.equal(await factory.predictBountyAddress(issuer.address, SALT));
+    });
+
+    it("should fund token bounties at the predicted address", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+
+      const predicted = await factory.predictBountyAddress(issuer.address, SALT);
+      await createDeterministic(issuer, SALT, 0, { token: usdc.address, amount: 100e6 });
+
+      const bounty = await ethers.getContractAt("Poidh", predicted);
+      expect(await usdc.balanceOf(predicted)).to.equal(100e6);
+      expect(await bounty.totalStaked()).to.equal(100e6);
+    });
+
+    it("should add ETH sent to the predicted address to the issuer's stake", async function () {
+      const predicted = await factory.predictBountyAddress(issuer.address, SALT);
+      await other.sendTransaction({ to: predicted, value: ONE_ETH });
+
+      const bounty = await createDeterministic(issuer, SALT, ONE_ETH);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH.mul(2));
+      expect(await bounty.account_Stake(issuer.address)).to.equal(ONE_ETH.mul(2));
+      expect(await factory.token_TotalFunded(ethers.constants.AddressZero)).to.equal(ONE_ETH.mul(2));
+
+      await bounty.connect(issuer).cancel();
+      await expect(bounty.withdraw(issuer.address)).to.changeEtherBalance(issuer, ONE_ETH.mul(2));
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should add tokens sent to the predicted address to the issuer's stake", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.mint(other.address, 50e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+
+      const predicted = await factory.predictBountyAddress(issuer.address, SALT);
+      await usdc.connect(other).transfer(predicted, 50e6);
+      const bounty = await createDeterministic(issuer, SALT, 0, { token: usdc.address, amount: 100e6 });
+
+      const [joined] = await bounty.queryFilter(bounty.filters.Poidh__Joined());
+      expect(joined.args.user).to.equal(issuer.address);
+      expect(joined.args.amount).to.equal(150e6);
+      expect(await bounty.totalStaked()).to.equal(150e6);
+
+      await bounty.connect(issuer).cancel();
+      await bounty.withdraw(issuer.address);
+      expect(await usdc.balanceOf(issuer.address)).to.equal(150e6);
+      expect(await usdc.balanceOf(predicted)).to.equal(0);
+    });
+
+    it("should move predictions with the implementation", async function () {
+      const before = await factory.predictBountyAddress(issuer.address, SALT);
+
+      const Poidh = await ethers.getContractFactory("Poidh");
+      const implementation = await Poidh.deploy();
+      await factory.connect(treasury).setImplementation(implementation.address);
+
+      const after = await factory.predictBountyAddress(issuer.address, SALT);
+      expect(after).to.not.equal(before);
+      expect((await createDeterministic(issuer, SALT, ONE_ETH)).address).to.equal(after);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              JS HELPER
+  //////////////////////////////////////////////////////////////*/
+
+  describe("predictBountyAddress helper", function () {
+    it("should match the factory offline", async function () {
+      const implementation = await factory.implementation();
+
+      for (const account of [issuer, other]) {
+        expect(predictBountyAddress(factory.address, implementation, account.address, SALT))
+          .to.equal(await factory.predictBountyAddress(account.address, SALT));
+      }
+    });
+
+    it("should hash string salts", async function () {
+      expect(toSalt("my-bounty")).to.equal(SALT);
+      expect(toSalt(SALT)).to.equal(SALT);
+
+      const predicted = predictBountyAddress(factory.address, await factory.implementation(), issuer.address, "my-bounty");
+      const bounty = await createDeterministic(issuer, toSalt("my-bounty"), ONE_ETH);
+      expect(bounty.address).to.equal(predicted);
+    });
+  });
+});
@@ -0,0 +1,353 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Dispute Tests", function () {
+  let factory;
+  let client;
+  let arbitrator;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let worker1;
+  let worker2;
+  let arbiterOwner;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+  const THIRTY_DAYS = 30 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, worker1, worker2, arbiterOwner] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+
+    const MockArbitrator = await ethers.getContractFactory("MockArbitrator");
+    arbitrator = await MockArbitrator.deploy(arbiterOwner.address);
+    await arbitrator.deployed();
+  });
+
+  async function createBounty(signer, value, joinable, arbitratorAddress = arbitrator.address) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, { arbitrator: arbitratorAddress }, { value });
+  }
+
+  // Open bounty with two claims where contributor1 outvotes the issuer's choice
+  async function createContestedBounty() {
+    const bounty = await createBounty(issuer, ONE_ETH, true);
+    await bounty.connect(contributor1).join({ value: ONE_ETH.mul(2) });
+    await bounty.connect(worker1).submitClaim("First", "ipfs://1");
+    await bounty.connect(worker2).submitClaim("Second", "ipfs://2");
+    return bounty;
+  }
+
+  async function failVotes(bounty, rounds) {
+    for (let i = 0; i < rounds; i++) {
+      await bounty.connect(issuer).startVote(1);
+      await bounty.connect(contributor1).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+    }
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            CONFIGURATION
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Configuration", function () {
+    it("should store the arbitrator", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      expect(await bounty.arbitrator()).to.equal(arbitrator.address);
+      expect(await bounty.lastIssuerActivity()).to.equal(await time.latest());
+    });
+
+    it("should reject the issuer as arbitrator", async function () {
+      const impl = await ethers.getContractAt("Poidh", await factory.implementation());
+      await expect(createBounty(issuer, ONE_ETH, true, issuer.address))
+        .to.be.revertedWithCustomError(impl, "Poidh__InvalidArbitrator");
+    });
+
+    it("should not allow disputes without an arbitrator", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, ethers.constants.AddressZero);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await time.increase(THIRTY_DAYS);
+
+      await expect(bounty.connect(worker1).dispute(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NoArbitrator");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              DISPUTING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Dispute", function () {
+    it("should allow a dispute after repeated failed votes", async function () {
+      const bounty = await createContestedBounty();
+      await failVotes(bounty, 2);
+
+      await expect(bounty.connect(worker1).dispute(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__DisputeNotAllowed");
+
+      await failVotes(bounty, 1);
+      await expect(bounty.connect(worker1).dispute(0))
+        .to.emit(bounty, "Poidh__Disputed")
+        .withArgs(0, worker1.address, 4);
+      expect(await bounty.state()).to.equal(5); // DISPUTED
+    });
+
+    it("should allow a dispute after issuer inactivity", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS - 10);
+
+      await expect(bounty.connect(worker1).dispute(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__DisputeNotAllowed");
+
+      await time.increase(10);
+      await bounty.connect(worker1).dispute(0);
+      expect(await bounty.state()).to.equal(5);
+    });
+
+    it("should reset the inactivity period when the issuer starts a vote", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS - TWO_DAYS);
+      await failVotes(bounty, 1);
+
+      await expect(bounty.connect(worker1).dispute(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__DisputeNotAllowed");
+    });
+
+    it("should allow a dispute during a vote once enough rounds failed", async function () {
+      const bounty = await createContestedBounty();
+      await failVotes(bounty, 3);
+      await bounty.connect(issuer).startVote(1);
+
+      await bounty.connect(worker1).dispute(0);
+      expect(await bounty.state()).to.equal(5);
+      await expect(bounty.connect(contributor1).vote(true))
+        .to.be.revertedWithCustomError(bounty, "Poidh__VotingNotActive");
+    });
+
+    it("should not allow a dispute once the vote deadline has passed", async function () {
+      // A 30-day vote ends exactly when the issuer becomes inactive
+      const bounty = await client.connect(issuer).createBounty(
+        "ipfs://metadata", true, { arbitrator: arbitrator.address, votingPeriod: THIRTY_DAYS }, { value: ONE_ETH }
+      );
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker1).submitClaim("First", "ipfs://1");
+      await bounty.connect(worker2).submitClaim("Spam", "ipfs://2");
+      await bounty.connect(issuer).startVote(0);
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(THIRTY_DAYS);
+
+      await expect(bounty.connect(worker2).dispute(1))
+        .to.be.revertedWithCustomError(bounty, "Poidh__VotingEnded");
+
+      await bounty.resolveVote();
+      expect(await bounty.state()).to.equal(2); // CLOSED
+    });
+
+    it("should only allow the claimant to dispute", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS);
+
+      await expect(bounty.connect(worker2).dispute(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyClaimant");
+      await expect(bounty.connect(contributor1).dispute(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyClaimant");
+      await expect(bounty.connect(worker1).dispute(5))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidClaimId");
+    });
+
+    it("should lock funds and block other actions while disputed", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+
+      await expect(bounty.connect(contributor1).withdraw(contributor1.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__CannotWithdraw");
+      await expect(bounty.connect(issuer).cancel())
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+      await expect(bounty.connect(issuer).startVote(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+      await expect(bounty.connect(contributor1).join({ value: ONE_ETH }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+      await expect(bounty.connect(worker2).dispute(1))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+
+    it("should not allow disputing a closed bounty", async function () {
+      const bounty = await createContestedBounty();
+      await bounty.connect(issuer).startVote(0);
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      await time.increase(THIRTY_DAYS);
+
+      await expect(bounty.connect(worker2).dispute(1))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              RULINGS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Ruling", function () {
+    it("should pay out the awarded claim", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+
+      const total = ONE_ETH.mul(3);
+      const fee = total.mul(25).div(1000);
+      const workerBefore = await worker1.getBalance();
+
+      await expect(arbitrator.connect(arbiterOwner).award(bounty.address, 0))
+        .to.emit(bounty, "Poidh__DisputeRuled")
+        .withArgs(true, 0)
+        .and.to.emit(bounty, "Poidh__BountyPaid")
+        .withArgs(worker1.address, total.sub(fee), fee);
+
+      expect(await bounty.state()).to.equal(2); // CLOSED
+      await bounty.claimPayout(worker1.address);
+      await bounty.claimPayout(treasury.address);
+      expect((await worker1.getBalance()).sub(workerBefore)).to.equal(total.sub(fee));
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should pay the whole remaining pool of a milestone bounty and close it", async function () {
+      const bounty = await client
+        .connect(issuer)
+        .createBounty("ipfs://metadata", true, { arbitrator: arbitrator.address, milestones: [3000, 3000, 4000] }, { value: ONE_ETH });
+      await bounty.connect(contributor1).join({ value: ONE_ETH.mul(2) });
+      await bounty.connect(worker1).submitClaim("First", "ipfs://1");
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+
+      const total = ONE_ETH.mul(3);
+      const fee = total.mul(25).div(1000);
+      await expect(arbitrator.connect(arbiterOwner).award(bounty.address, 0))
+        .to.emit(bounty, "Poidh__MilestonePaid")
+        .withArgs(2, total)
+        .and.to.emit(bounty, "Poidh__BountyPaid")
+        .withArgs(worker1.address, total.sub(fee), fee);
+
+      expect(await bounty.state()).to.equal(2); // CLOSED
+      expect(await bounty.totalStaked()).to.equal(0);
+      await expect(bounty.connect(worker1).dispute(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+
+    it("should allow awarding a different claim than the disputed one", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+
+      await arbitrator.connect(arbiterOwner).award(bounty.address, 1);
+      const [claimIds] = await bounty.getProposedSplit();
+      expect(claimIds.map(Number)).to.deep.equal([1]);
+    });
+
+    it("should cancel the bounty and enable refunds", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+
+      await expect(arbitrator.connect(arbiterOwner).cancel(bounty.address))
+        .to.emit(bounty, "Poidh__DisputeRuled")
+        .withArgs(false, 0)
+        .and.to.emit(bounty, "Poidh__Cancelled");
+      expect(await bounty.state()).to.equal(3); // CANCELLED
+
+      await bounty.withdraw(issuer.address);
+      await bounty.withdraw(contributor1.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should only accept rulings from the arbitrator", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+
+      await expect(bounty.connect(issuer).ruleDispute(true, 0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyArbitrator");
+      await expect(bounty.connect(worker1).ruleDispute(true, 0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyArbitrator");
+    });
+
+    it("should reject rulings without a dispute", async function () {
+      const bounty = await createContestedBounty();
+      await expect(arbitrator.connect(arbiterOwner).award(bounty.address, 0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotDisputed");
+    });
+
+    it("should reject awarding an invalid claim", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+
+      await expect(arbitrator.connect(arbiterOwner).award(bounty.address, 2))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidClaimId");
+    });
+
+    it("should accept rulings from an EOA arbitrator", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false, arbiterOwner.address);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+
+      await bounty.connect(arbiterOwner).ruleDispute(true, 0);
+      expect(await bounty.state()).to.equal(2);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                            RULING DEADLINE
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Ruling Deadline", function () {
+    it("should let anyone cancel a dispute the arbitrator never rules on", async function () {
+      const bond = ethers.utils.parseEther("0.1");
+      const bounty = await client.connect(issuer).createBounty(
+        "ipfs://metadata", true, { arbitrator: arbitrator.address, claimBond: bond }, { value: ONE_ETH }
+      );
+      await bounty.connect(contributor1).join({ value: ONE_ETH.mul(2) });
+      await bounty.connect(worker1).submitClaim("First", "ipfs://1", { value: bond });
+      await bounty.connect(worker2).submitClaim("Second", "ipfs://2", { value: bond });
+      await time.increase(THIRTY_DAYS);
+      await bounty.connect(worker1).dispute(0);
+      expect(await bounty.disputedAt()).to.equal(await time.latest());
+
+      // The mock arbitrator stays silent
+      await time.increase(THIRTY_DAYS - 10);
+      await expect(bounty.connect(contributor1).cancelDispute())
+        .to.be.revertedWithCustomError(bounty, "Poidh__RulingPeriodNotOver");
+
+      await time.increase(10);
+      await expect(bounty.connect(contributor1).cancelDispute())
+        .to.emit(bounty, "Poidh__Cancelled");
+      expect(await bounty.state()).to.equal(3); // CANCELLED
+
+      await expect(arbitrator.connect(arbiterOwner).award(bounty.address, 0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotDisputed");
+
+      await bounty.withdraw(issuer.address);
+      await bounty.withdraw(contributor1.address);
+      await bounty.refundBond(0);
+      await bounty.refundBond(1);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should not cancel a bounty that isn't disputed", async function () {
+      const bounty = await createContestedBounty();
+      await time.increase(THIRTY_DAYS * 2);
+
+      await expect(bounty.cancelDispute())
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotDisputed");
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient, bountyParams } = require("../sdk");
+
+describe("Poidh Expiry Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let worker;
+  let keeper;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const HALF_ETH = ethers.utils.parseEther("0.5");
+  const ONE_WEEK = 7 * 24 * 60 * 60;
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, worker, keeper] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, expiry) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, { expiry }, { value });
+  }
+
+  async function expiryIn(seconds) {
+    return (await time.latest()) + seconds;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            CONFIGURATION
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Configuration", function () {
+    it("should store expiry timestamp", async function () {
+      const expiry = await expiryIn(ONE_WEEK);
+      const bounty = await createBounty(issuer, ONE_ETH, true, expiry);
+      expect(await bounty.expiry()).to.equal(expiry);
+    });
+
+    it("should default to no expiry", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, 0);
+      expect(await bounty.expiry()).to.equal(0);
+
+      await time.increase(ONE_WEEK * 52);
+      await expect(bounty.connect(keeper).expire())
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotExpired");
+    });
+
+    it("should reject expiry in the past", async function () {
+      const impl = await ethers.getContractAt("Poidh", await factory.implementation());
+      const past = (await time.latest()) - 1;
+      await expect(
+        factory.connect(issuer).createBounty("ipfs://metadata", true, bountyParams({ expiry: past }), { value: ONE_ETH })
+      ).to.be.revertedWithCustomError(impl, "Poidh__InvalidExpiry");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              EXPIRING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Expire", function () {
+    it("should not allow expiring before expiry", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(ONE_WEEK));
+      await expect(bounty.connect(keeper).expire())
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotExpired");
+    });
+
+    it("should allow anyone to expire after expiry", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(ONE_WEEK));
+      await time.increase(ONE_WEEK);
+
+      await expect(bounty.connect(keeper).expire())
+        .to.emit(bounty, "Poidh__Expired");
+      expect(await bounty.state()).to.equal(4); // EXPIRED
+    });
+
+    it("should not allow expiring a cancelled bounty", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(ONE_WEEK));
+      await bounty.connect(issuer).cancel();
+      await time.increase(ONE_WEEK);
+
+      await expect(bounty.connect(keeper).expire())
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+
+    it("should not allow expiring during voting", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(TWO_DAYS));
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS);
+
+      await expect(bounty.connect(keeper).expire())
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+
+    it("should allow expiring after a failed vote past expiry", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(TWO_DAYS));
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await bounty.connect(contributor1).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      await bounty.connect(keeper).expire();
+      expect(await bounty.state()).to.equal(4);
+    });
+
+    it("should not allow starting a vote after expiry", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(ONE_WEEK));
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await time.increase(ONE_WEEK);
+
+      await expect(bounty.connect(issuer).startVote(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyExpired");
+    });
+
+    it("should block joins, claims and cancel once expired", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(ONE_WEEK));
+      await time.increase(ONE_WEEK);
+      await bounty.connect(keeper).expire();
+
+      await expect(bounty.connect(contributor1).join({ value: ONE_ETH }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+      await expect(bounty.connect(worker).submitClaim("Work", "ipfs://proof"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+      await expect(bounty.connect(issuer).cancel())
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              REFUNDS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Refunds", function () {
+    it("should refund every funder including the issuer", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(ONE_WEEK));
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: HALF_ETH });
+
+      await time.increase(ONE_WEEK);
+      await bounty.connect(keeper).expire();
+
+      const issuerBefore = await issuer.getBalance();
+      const c1Before = await contributor1.getBalance();
+      const c2Before = await contributor2.getBalance();
+
+      await expect(bounty.connect(keeper).withdraw(issuer.address))
+        .to.emit(bounty, "Poidh__Withdrawn")
+        .withArgs(issuer.address, ONE_ETH);
+      await bounty.connect(keeper).withdraw(contributor1.address);
+      await bounty.connect(keeper).withdraw(contributor2.address);
+
+      expect((await issuer.getBalance()).sub(issuerBefore)).to.equal(ONE_ETH);
+      expect((await contributor1.getBalance()).sub(c1Before)).to.equal(ONE_ETH);
+      expect((await contributor2.getBalance()).sub(c2Before)).to.equal(HALF_ETH);
+      expect(await bounty.totalStaked()).to.equal(0);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should refund solo bounty issuer after expiry", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false, await expiryIn(ONE_WEEK));
+      await time.increase(ONE_WEEK);
+      await bounty.connect(keeper).expire();
+
+      await bounty.connect(keeper).withdraw(issuer.address);
+      expect(await bounty.account_Stake(issuer.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should not allow double refund after expiry", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(ONE_WEEK));
+      await time.increase(ONE_WEEK);
+      await bounty.connect(keeper).expire();
+      await bounty.connect(keeper).withdraw(issuer.address);
+
+      await expect(bounty.connect(keeper).withdraw(issuer.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NoFundsToWithdraw");
+    });
+
+    it("should keep issuer locked before expiry is triggered", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, await expiryIn(ONE_WEEK));
+      await time.increase(ONE_WEEK);
+
+      await expect(bounty.connect(issuer).withdraw(issuer.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__CannotWithdraw");
+    });
+  });
+});
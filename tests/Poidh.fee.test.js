@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Treasury Fee Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let partner;
+  let worker;
+  let outsider;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, partner, worker, outsider] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  // Pays a solo bounty out to `worker` and returns what the treasury received
+  async function payOut(bounty) {
+    await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+    await bounty.connect(issuer).startVote(0);
+    await time.increase(TWO_DAYS + 1);
+
+    const before = await treasury.getBalance();
+    await bounty.connect(outsider).resolveVote();
+    if ((await bounty.account_Payout(treasury.address)).gt(0)) {
+      await bounty.connect(outsider).claimPayout(treasury.address);
+    }
+    return (await treasury.getBalance()).sub(before);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              DEFAULT FEE
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Default fee", function () {
+    it("should start at 2.5% with a 5% cap", async function () {
+      expect(await factory.treasuryFee()).to.equal(25);
+      expect(await factory.MAX_TREASURY_FEE()).to.equal(50);
+      expect(await factory.getTreasuryFee(issuer.address)).to.equal(25);
+
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      expect(await bounty.treasuryFee()).to.equal(25);
+      expect(await payOut(bounty)).to.equal(ONE_ETH.mul(25).div(1000));
+    });
+
+    it("should let the owner update the fee", async function () {
+      await expect(factory.connect(treasury).setTreasuryFee(10))
+        .to.emit(factory, "PoidhFactory__FeeUpdated")
+        .withArgs(25, 10);
+      expect(await factory.treasuryFee()).to.equal(10);
+
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      expect(await bounty.treasuryFee()).to.equal(10);
+      expect(await payOut(bounty)).to.equal(ONE_ETH.mul(10).div(1000));
+    });
+
+    it("should allow the maximum and zero but nothing above the cap", async function () {
+      await factory.connect(treasury).setTreasuryFee(50);
+      await expect(factory.connect(treasury).setTreasuryFee(51))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__InvalidFee");
+
+      await factory.connect(treasury).setTreasuryFee(0);
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      expect(await payOut(bounty)).to.equal(0);
+    });
+
+    it("should keep the fee existing bounties were created with", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await factory.connect(treasury).setTreasuryFee(50);
+
+      expect(await bounty.treasuryFee()).to.equal(25);
+      expect(await payOut(bounty)).to.equal(ONE_ETH.mul(25).div(1000));
+    });
+
+    it("should only allow the owner to set fees", async function () {
+      await expect(factory.connect(issuer).setTreasuryFee(0))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(factory.connect(issuer).setCreatorFee(issuer.address, true, 0))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              CREATOR FEES
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Creator fees", function () {
+    it("should make a creator's bounties fee-free", async function () {
+      await expect(factory.connect(treasury).setCreatorFee(partner.address, true, 0))
+        .to.emit(factory, "PoidhFactory__CreatorFeeUpdated")
+        .withArgs(partner.address, true, 0);
+      expect(await factory.getTreasuryFee(partner.address)).to.equal(0);
+      expect(await factory.getTreasuryFee(issuer.address)).to.equal(25);
+
+      const bounty = await createBounty(partner, ONE_ETH, false);
+      expect(await bounty.treasuryFee()).to.equal(0);
+
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(partner).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+
+      const before = await worker.getBalance();
+      await bounty.connect(outsider).resolveVote();
+      await bounty.connect(outsider).claimPayout(worker.address);
+      expect((await worker.getBalance()).sub(before)).to.equal(ONE_ETH);
+    });
+
+    it("should apply a reduced tier", async function () {
+      await factory.connect(treasury).setCreatorFee(issuer.address, true, 10);
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+
+      expect(await payOut(bounty)).to.equal(ONE_ETH.mul(10).div(1000));
+    });
+
+    it("should keep custom rates when the default changes", async function () {
+      await factory.connect(treasury).setCreatorFee(issuer.address, true, 10);
+      await factory.connect(treasury).setTreasuryFee(40);
+
+      expect(await factory.getTreasuryFee(issuer.address)).to.equal(10);
+      expect(await factory.getTreasuryFee(partner.address)).to.equal(40);
+    });
+
+    it("should put a creator back on the default", async function () {
+      await factory.connect(treasury).setCreatorFee(issuer.address, true, 0);
+      await expect(factory.connect(treasury).setCreatorFee(issuer.address, false, 10))
+        .to.emit(factory, "PoidhFactory__CreatorFeeUpdated")
+        .withArgs(issuer.address, false, 0);
+
+      expect(await factory.creator_HasCustomFee(issuer.address)).to.be.false;
+      expect(await factory.getTreasuryFee(issuer.address)).to.equal(25);
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      expect(await bounty.treasuryFee()).to.equal(25);
+    });
+
+    it("should cap creator rates", async function () {
+      await expect(factory.connect(treasury).setCreatorFee(issuer.address, true, 51))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__InvalidFee");
+    });
+
+    it("should not charge a fee when the treasury is unset", async function () {
+      await factory.connect(treasury).setTreasury(ethers.constants.AddressZero);
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      expect(await bounty.treasuryFee()).to.equal(25);
+
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+
+      const before = await worker.getBalance();
+      await bounty.connect(outsider).resolveVote();
+      await bounty.connect(outsider).claimPayout(worker.address);
+      expect((await worker.getBalance()).sub(before)).to.equal(ONE_ETH);
+    });
+  });
+});
@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+const { PoidhIndexer } = require("../indexer");
+
+describe("Poidh Indexer Tests", function () {
+  let factory;
+  let client;
+  let indexer;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let worker1;
+  let worker2;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, worker1, worker2] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory, issuer);
+
+    indexer = newIndexer();
+  });
+
+  afterEach(function () {
+    indexer.close();
+  });
+
+  function newIndexer(options = {}) {
+    return new PoidhIndexer({
+      provider: ethers.provider,
+      factory: factory.address,
+      startBlock: factory.deployTransaction.blockNumber,
+      ...options,
+    });
+  }
+
+  // Vote started by the issuer, voted yes by contributor1 and resolved after the deadline
+  async function payOut(bounty, claimId = 0, bountyIssuer = issuer) {
+    await client.connect(bountyIssuer).startVote(bounty, claimId);
+    await client.connect(contributor1).vote(bounty, true);
+    await time.increase(TWO_DAYS + 1);
+    await client.resolveVote(bounty);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              LIFECYCLE
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Lifecycle", function () {
+    it("should index a bounty from creation to payout", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      await client.connect(worker1).submitClaim(bounty, "Work", "ipfs://proof");
+      await payOut(bounty);
+
+      const { events } = await indexer.sync();
+      expect(events).to.equal(7);
+
+      const indexed = indexer.getBounty(bounty.address);
+      expect(indexed).to.include({
+        address: bounty.address,
+        index: 0,
+        issuer: issuer.address,
+        token: ethers.constants.AddressZero,
+        metadataURI: "ipfs://metadata",
+        joinable: true,
+        state: "CLOSED",
+        totalJoined: ONE_ETH.mul(2).toString(),
+        totalPaid: ONE_ETH.mul(2).toString(),
+        claimsCount: 1,
+      });
+
+      expect(indexer.getContributions(bounty.address)).to.deep.equal([
+        { account: issuer.address, shares: ONE_ETH.toString(), stake: "0", joined: ONE_ETH.toString(), withdrawn: "0" },
+        { account: contributor1.address, shares: ONE_ETH.toString(), stake: "0", joined: ONE_ETH.toString(), withdrawn: "0" },
+      ]);
+      expect(indexer.getClaims(bounty.address)[0]).to.include({
+        claimId: 0,
+        claimant: worker1.address,
+        name: "Work",
+        proofURI: "ipfs://proof",
+        status: "ACTIVE",
+      });
+
+      const [vote] = indexer.getVotes(bounty.address);
+      expect(vote).to.include({ round: 1, claimId: 0, yes: ONE_ETH.toString(), no: "0", status: "PASSED" });
+      expect(vote.casts).to.deep.equal([{ voter: contributor1.address, support: true, weight: ONE_ETH.toString() }]);
+
+      const [payout] = indexer.getPayouts(bounty.address);
+      const fee = ONE_ETH.mul(2).mul(25).div(1000);
+      expect(payout).to.include({ winner: worker1.address, kind: "REWARD", reward: ONE_ETH.mul(2).sub(fee).toString(), fee: fee.toString() });
+    });
+
+    it("should track failed votes, cancels and refunds", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      await client.connect(worker1).submitClaim(bounty, "Work", "ipfs://proof");
+      await client.connect(worker2).submitClaim(bounty, "Other work", "ipfs://proof2");
+      await bounty.connect(worker2).withdrawClaim(1);
+
+      await client.startVote(bounty, 0);
+      await client.connect(contributor1).vote(bounty, false);
+      await time.increase(TWO_DAYS + 1);
+      await client.resolveVote(bounty);
+      await indexer.sync();
+
+      expect(indexer.getBounty(bounty.address).state).to.equal("OPEN");
+      expect(indexer.getVotes(bounty.address)[0]).to.include({ no: ONE_ETH.toString(), status: "FAILED" });
+      expect(indexer.getClaims(bounty.address).map((claim) => claim.status)).to.deep.equal(["ACTIVE", "WITHDRAWN"]);
+
+      await client.cancel(bounty);
+      await client.withdraw(bounty, contributor1.address);
+      await indexer.sync();
+
+      const indexed = indexer.getBounty(bounty.address);
+      expect(indexed.state).to.equal("CANCELLED");
+      expect(indexed.totalWithdrawn).to.equal(ONE_ETH.toString());
+      expect(indexer.getContributions(bounty.address)[1]).to.deep.equal({
+        account: contributor1.address,
+        shares: "0",
+        stake: "0",
+        joined: ONE_ETH.toString(),
+        withdrawn: ONE_ETH.toString(),
+      });
+    });
+
+    it("should reopen milestone bounties until the last tranche", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, { milestones: [5000, 5000] }, { value: ONE_ETH });
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      await client.connect(worker1).submitClaim(bounty, "Work", "ipfs://proof");
+
+      await payOut(bounty);
+      await indexer.sync();
+      expect(indexer.getBounty(bounty.address)).to.include({ milestones: 2, state: "OPEN", votingRound: 1 });
+
+      await payOut(bounty);
+      await indexer.sync();
+      expect(indexer.getBounty(bounty.address)).to.include({ state: "CLOSED", votingRound: 2 });
+      expect(indexer.getVotes(bounty.address).map((vote) => vote.status)).to.deep.equal(["PASSED", "PASSED"]);
+    });
+
+    it("should track stakes as the bounty computes them", async function () {
+      const bond = ethers.utils.parseEther("0.1");
+      const params = { milestones: [3000, 7000], claimBond: bond };
+      const bounty = await client.createBounty("ipfs://metadata", true, params, { value: ONE_ETH });
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      await client.connect(worker1).submitClaim(bounty, "Work", "ipfs://proof");
+      await client.connect(worker2).submitClaim(bounty, "Spam", "ipfs://spam");
+      await bounty.connect(issuer).slashBond(1);
+
+      // Join after a partial payout, at the new share price
+      await payOut(bounty);
+      await client.connect(contributor2).join(bounty, ONE_ETH);
+      await bounty.connect(issuer).proposeIssuer(contributor2.address);
+      await bounty.connect(contributor2).acceptIssuer();
+      await indexer.sync();
+
+      const indexed = indexer.getBounty(bounty.address);
+      expect(indexed.issuer).to.equal(contributor2.address);
+      expect(indexed.totalStaked).to.equal((await bounty.totalStaked()).toString());
+      for (const { account, stake } of indexer.getContributions(bounty.address)) {
+        expect(stake).to.equal((await bounty.account_Stake(account)).toString());
+      }
+      expect(indexer.getContributions(bounty.address)[0]).to.include({ account: issuer.address, stake: "0" });
+
+      await payOut(bounty, 0, contributor2);
+      await indexer.sync();
+      expect(indexer.getBounty(bounty.address)).to.include({ state: "CLOSED", totalStaked: "0" });
+    });
+
+    it("should ignore bounties of other factories", async function () {
+      const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+      const otherFactory = await PoidhFactory.deploy(treasury.address);
+      const other = await new PoidhClient(otherFactory, issuer).createBounty("ipfs://other", true, {}, { value: ONE_ETH });
+      await client.connect(contributor1).join(other, ONE_ETH);
+
+      const bounty = await client.createBounty("ipfs://metadata", false, {}, { value: ONE_ETH });
+      await indexer.sync();
+
+      expect(indexer.getBounties().map((b) => b.address)).to.deep.equal([bounty.address]);
+      expect(indexer.getBounty(other.address)).to.equal(null);
+    });
+
+    it("should filter and page bounties", async function () {
+      const bounties = [];
+      for (let i = 0; i < 3; i++) {
+        bounties.push(await client.createBounty(`ipfs://${i}`, true, {}, { value: ONE_ETH }));
+      }
+      await client.connect(contributor1).createBounty("ipfs://3", true, {}, { value: ONE_ETH });
+      await client.cancel(bounties[1]);
+      await indexer.sync();
+
+      expect(indexer.getBounties().map((b) => b.index)).to.deep.equal([3, 2, 1, 0]);
+      expect(indexer.getBounties({ limit: 2, offset: 1 }).map((b) => b.index)).to.deep.equal([2, 1]);
+      expect(indexer.getBounties({ state: "OPEN", issuer: issuer.address }).map((b) => b.index)).to.deep.equal([2, 0]);
+      expect(indexer.getBounties({ state: "CANCELLED" })[0].address).to.equal(bounties[1].address);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              SYNC
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Sync", function () {
+    it("should index the same state in small batches", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      await client.connect(worker1).submitClaim(bounty, "Work", "ipfs://proof");
+      await payOut(bounty);
+
+      const batched = newIndexer({ batchSize: 2 });
+      await Promise.all([indexer.sync(), batched.sync()]);
+
+      expect(batched.getBounties()).to.deep.equal(indexer.getBounties());
+      expect(batched.getVotes(bounty.address)).to.deep.equal(indexer.getVotes(bounty.address));
+      batched.close();
+    });
+
+    it("should backfill from a node without historical state", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, { milestones: [5000, 5000] }, { value: ONE_ETH });
+      await ethers.provider.send("hardhat_mine", ["0x100"]);
+
+      // Non-archive nodes only answer calls at recent blocks
+      const head = await ethers.provider.getBlockNumber();
+      const provider = new Proxy(ethers.provider, {
+        get(target, property) {
+          if (property === "call") {
+            return async (transaction, blockTag = "latest") => {
+              const block = await target._getBlockTag(blockTag);
+              if (block !== "latest" && block < head - 128) throw new Error("missing trie node");
+              return target.call(transaction, blockTag);
+            };
+          }
+          const value = target[property];
+          return typeof value === "function" ? value.bind(target) : value;
+        },
+      });
+
+      const backfill = newIndexer({ provider });
+      await backfill.sync();
+      expect(backfill.getBounty(bounty.address)).to.include({ milestones: 2, state: "OPEN" });
+      backfill.close();
+    });
+
+    it("should leave unconfirmed blocks for the next sync", async function () {
+      const confirmed = newIndexer({ confirmations: 2 });
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+
+      const head = await ethers.provider.getBlockNumber();
+      expect((await confirmed.sync()).to).to.equal(head - 2);
+      expect(confirmed.getBounty(bounty.address)).to.equal(null);
+
+      await ethers.provider.send("hardhat_mine", ["0x2"]);
+      await confirmed.sync();
+      expect(confirmed.getBounty(bounty.address).totalJoined).to.equal(ONE_ETH.mul(2).toString());
+      confirmed.close();
+    });
+
+    it("should resume from the checkpoint after a restart", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "poidh-indexer-"));
+      const db = path.join(dir, "poidh.db");
+
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      let restarted = newIndexer({ db });
+      const first = await restarted.sync();
+      restarted.close();
+
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      restarted = newIndexer({ db });
+      const second = await restarted.sync();
+
+      expect(second.from).to.equal(first.to + 1);
+      expect(second.events).to.equal(1);
+      expect(restarted.getBounty(bounty.address).totalJoined).to.equal(ONE_ETH.mul(2).toString());
+      expect(restarted.db.prepare("SELECT COUNT(*) AS count FROM events").get().count).to.equal(3);
+
+      restarted.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should poll until stopped", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      indexer.start(10);
+      while (!indexer.getBounty(bounty.address)) await new Promise((resolve) => setTimeout(resolve, 10));
+      indexer.stop();
+
+      expect(indexer.getCheckpoint().blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              REORGS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Reorgs", function () {
+    it("should roll back orphaned blocks and rebuild", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await indexer.sync();
+      const fork = await ethers.provider.getBlockNumber();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      await client.connect(worker1).submitClaim(bounty, "Orphaned", "ipfs://orphaned");
+      await indexer.sync();
+      expect(indexer.getBounty(bounty.address).claimsCount).to.equal(1);
+
+      // Replace the last two blocks with a longer fork
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await client.connect(worker2).submitClaim(bounty, "Canonical", "ipfs://canonical");
+      await client.connect(contributor2).join(bounty, ONE_ETH.mul(3));
+      await client.connect(contributor2).join(bounty, ONE_ETH);
+
+      const { reorg, events } = await indexer.sync();
+      expect(reorg).to.equal(fork);
+      expect(events).to.equal(3);
+
+      const indexed = indexer.getBounty(bounty.address);
+      expect(indexed.totalJoined).to.equal(ONE_ETH.mul(5).toString());
+      expect(indexer.getClaims(bounty.address).map((claim) => claim.name)).to.deep.equal(["Canonical"]);
+      expect(indexer.getContributions(bounty.address).map((c) => c.account)).to.deep.equal([issuer.address, contributor2.address]);
+      expect(indexer.getCheckpoint().blockHash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("should roll back bounties created on the orphaned fork", async function () {
+      await indexer.sync();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+      const orphaned = await client.createBounty("ipfs://orphaned", true, {}, { value: ONE_ETH });
+      await indexer.sync();
+      expect(indexer.getBounties()).to.have.length(1);
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await ethers.provider.send("hardhat_mine", ["0x2"]);
+      await indexer.sync();
+
+      expect(indexer.getBounty(orphaned.address)).to.equal(null);
+      expect(indexer.getContributions(orphaned.address)).to.deep.equal([]);
+    });
+
+    it("should refuse reorgs deeper than it keeps", async function () {
+      const shallow = newIndexer({ reorgDepth: 1 });
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+      await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await ethers.provider.send("hardhat_mine", ["0x5"]);
+      await shallow.sync();
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await ethers.provider.send("hardhat_mine", ["0x8"]);
+      await expect(shallow.sync()).to.be.rejectedWith("Reorg deeper than the 1 blocks kept");
+      shallow.close();
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Issuer Transfer Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let newIssuer;
+  let contributor1;
+  let delegatee;
+  let worker;
+  let signer1;
+  let signer2;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, newIssuer, contributor1, delegatee, worker, signer1, signer2] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              HANDOFF
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Handoff", function () {
+    it("should transfer the role in two steps", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+
+      await expect(bounty.connect(issuer).proposeIssuer(newIssuer.address))
+        .to.emit(bounty, "Poidh__IssuerProposed")
+        .withArgs(issuer.address, newIssuer.address);
+      expect(await bounty.pendingIssuer()).to.equal(newIssuer.address);
+      expect(await bounty.issuer()).to.equal(issuer.address);
+
+      await expect(bounty.connect(newIssuer).acceptIssuer())
+        .to.emit(bounty, "Poidh__IssuerTransferred")
+        .withArgs(issuer.address, newIssuer.address);
+      expect(await bounty.issuer()).to.equal(newIssuer.address);
+      expect(await bounty.pendingIssuer()).to.equal(ethers.constants.AddressZero);
+      expect(await bounty.lastIssuerActivity()).to.equal(await time.latest());
+    });
+
+    it("should hand issuer powers to the new issuer only", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+      await bounty.connect(newIssuer).acceptIssuer();
+
+      await expect(bounty.connect(issuer).startVote(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+      await expect(bounty.connect(issuer).cancel())
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+      await bounty.connect(newIssuer).startVote(0);
+    });
+
+    it("should only let the pending issuer accept", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await expect(bounty.connect(newIssuer).acceptIssuer())
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyPendingIssuer");
+
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+      await expect(bounty.connect(contributor1).acceptIssuer())
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyPendingIssuer");
+      await expect(bounty.connect(contributor1).proposeIssuer(contributor1.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+    });
+
+    it("should let the issuer replace or withdraw a proposal", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+      await bounty.connect(issuer).proposeIssuer(ethers.constants.AddressZero);
+
+      await expect(bounty.connect(newIssuer).acceptIssuer())
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyPendingIssuer");
+    });
+
+    it("should reject the current issuer or the arbitrator", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { arbitrator: signer1.address });
+
+      await expect(bounty.connect(issuer).proposeIssuer(issuer.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidIssuer");
+      await expect(bounty.connect(issuer).proposeIssuer(signer1.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidIssuer");
+    });
+
+    it("should only transfer while OPEN", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+      await bounty.connect(issuer).startVote(0);
+
+      await expect(bounty.connect(newIssuer).acceptIssuer())
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+      await expect(bounty.connect(issuer).proposeIssuer(contributor1.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                          STAKE & VOTING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Stake and voting", function () {
+    it("should move the issuer stake to the new issuer", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+      await bounty.connect(newIssuer).acceptIssuer();
+
+      expect(await bounty.account_Shares(issuer.address)).to.equal(0);
+      expect(await bounty.account_Stake(newIssuer.address)).to.equal(ONE_ETH);
+      expect(await bounty.totalShares()).to.equal(ONE_ETH);
+
+      // Stake stays locked while OPEN, the previous issuer has nothing left to withdraw
+      await expect(bounty.connect(newIssuer).withdraw(newIssuer.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__CannotWithdraw");
+      await expect(bounty.connect(issuer).withdraw(issuer.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NoFundsToWithdraw");
+    });
+
+    it("should refund the issuer stake to the new issuer after cancellation", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+      await bounty.connect(newIssuer).acceptIssuer();
+      await bounty.connect(newIssuer).cancel();
+
+      await expect(bounty.withdraw(newIssuer.address))
+        .to.emit(bounty, "Poidh__Withdrawn")
+        .withArgs(newIssuer.address, ONE_ETH);
+    });
+
+    it("should merge a contributor's stake and exclude it from voting", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(newIssuer).join({ value: ONE_ETH });
+      await bounty.connect(newIssuer).delegate(delegatee.address);
+
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+      await expect(bounty.connect(newIssuer).acceptIssuer())
+        .to.emit(bounty, "Poidh__DelegateChanged")
+        .withArgs(newIssuer.address, delegatee.address, ethers.constants.AddressZero);
+
+      expect(await bounty.account_Shares(newIssuer.address)).to.equal(ONE_ETH.mul(2));
+      expect(await bounty.account_DelegatedWeight(delegatee.address)).to.equal(0);
+
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(newIssuer).startVote(0);
+      await expect(bounty.connect(newIssuer).vote(true))
+        .to.be.revertedWithCustomError(bounty, "Poidh__IssuerCannotVote");
+      await expect(bounty.connect(delegatee).vote(true))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NoStakeInBounty");
+      await expect(bounty.connect(contributor1).vote(true))
+        .to.emit(bounty, "Poidh__VoteCast")
+        .withArgs(contributor1.address, true, ONE_ETH);
+    });
+
+    it("should not strand weight delegated to the new issuer", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).delegate(newIssuer.address);
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+
+      await expect(bounty.connect(newIssuer).acceptIssuer())
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidIssuer");
+
+      // Delegating to the pending issuer is rejected outright
+      await bounty.connect(contributor1).undelegate();
+      await expect(bounty.connect(contributor1).delegate(newIssuer.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidDelegate");
+
+      await bounty.connect(newIssuer).acceptIssuer();
+      expect(await bounty.account_DelegatedWeight(newIssuer.address)).to.equal(0);
+      expect(await bounty.getVotingWeight(contributor1.address)).to.equal(ONE_ETH);
+    });
+
+    it("should let the previous issuer take part as a regular contributor", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(issuer).proposeIssuer(newIssuer.address);
+      await bounty.connect(newIssuer).acceptIssuer();
+
+      await bounty.connect(issuer).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(newIssuer).startVote(0);
+      await bounty.connect(issuer).vote(true);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      expect(await bounty.state()).to.equal(2); // CLOSED
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                          CONTRACT ISSUERS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Contract issuers", function () {
+    it("should let a multisig take over and run the bounty", async function () {
+      const MockMultisig = await ethers.getContractFactory("MockMultisig");
+      const multisig = await MockMultisig.deploy([signer1.address, signer2.address], 2);
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).proposeIssuer(multisig.address);
+
+      const accept = bounty.interface.encodeFunctionData("acceptIssuer");
+      await multisig.connect(signer1).execute(bounty.address, accept);
+      expect(await bounty.issuer()).to.equal(issuer.address);
+      await multisig.connect(signer2).execute(bounty.address, accept);
+      expect(await bounty.issuer()).to.equal(multisig.address);
+
+      const cancel = bounty.interface.encodeFunctionData("cancel");
+      await multisig.connect(signer1).execute(bounty.address, cancel);
+      await multisig.connect(signer2).execute(bounty.address, cancel);
+      expect(await bounty.state()).to.equal(3); // CANCELLED
+
+      await bounty.withdraw(multisig.address);
+      expect(await ethers.provider.getBalance(multisig.address)).to.equal(ONE_ETH);
+    });
+  });
+});
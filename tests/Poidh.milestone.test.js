@@ -0,0 +1,207 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Milestone Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let worker1;
+  let worker2;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, worker1, worker2] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, milestones) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, { milestones }, { value });
+  }
+
+  async function passVote(bounty, claimId) {
+    await bounty.connect(issuer).startVote(claimId);
+    await bounty.connect(contributor1).vote(true);
+    await time.increase(TWO_DAYS + 1);
+    return bounty.resolveVote();
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            CONFIGURATION
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Configuration", function () {
+    it("should store milestones", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, [2000, 3000, 5000]);
+      expect((await bounty.getMilestones()).map(Number)).to.deep.equal([2000, 3000, 5000]);
+      expect(await bounty.currentMilestone()).to.equal(0);
+    });
+
+    it("should reject milestones not summing to 100%", async function () {
+      const impl = await ethers.getContractAt("Poidh", await factory.implementation());
+      await expect(createBounty(issuer, ONE_ETH, true, [5000, 4000]))
+        .to.be.revertedWithCustomError(impl, "Poidh__InvalidMilestones");
+      await expect(createBounty(issuer, ONE_ETH, true, [10000, 0]))
+        .to.be.revertedWithCustomError(impl, "Poidh__InvalidMilestones");
+      await expect(createBounty(issuer, ONE_ETH, true, Array.from({ length: 11 }, () => 1000)))
+        .to.be.revertedWithCustomError(impl, "Poidh__InvalidMilestones");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              TRANCHES
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Tranches", function () {
+    it("should release only the current tranche and reopen", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, [2500, 7500]);
+      await bounty.connect(contributor1).join({ value: ONE_ETH.mul(3) });
+      await bounty.connect(worker1).submitClaim("Phase 1", "ipfs://1");
+
+      const tranche = ONE_ETH; // 25% of 4 ETH
+      const fee = tranche.mul(25).div(1000);
+      const workerBefore = await worker1.getBalance();
+
+      await expect(passVote(bounty, 0))
+        .to.emit(bounty, "Poidh__MilestonePaid")
+        .withArgs(0, tranche)
+        .and.to.emit(bounty, "Poidh__BountyPaid")
+        .withArgs(worker1.address, tranche.sub(fee), fee);
+
+      await bounty.claimPayout(worker1.address);
+      await bounty.claimPayout(treasury.address);
+      expect((await worker1.getBalance()).sub(workerBefore)).to.equal(tranche.sub(fee));
+      expect(await bounty.state()).to.equal(0); // OPEN
+      expect(await bounty.currentMilestone()).to.equal(1);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH.mul(3));
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(ONE_ETH.mul(3));
+    });
+
+    it("should close after the final tranche", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, [2500, 7500]);
+      await bounty.connect(contributor1).join({ value: ONE_ETH.mul(3) });
+      await bounty.connect(worker1).submitClaim("Phase 1", "ipfs://1");
+      await bounty.connect(worker2).submitClaim("Phase 2", "ipfs://2");
+
+      await passVote(bounty, 0);
+      await expect(passVote(bounty, 1))
+        .to.emit(bounty, "Poidh__MilestonePaid")
+        .withArgs(1, ONE_ETH.mul(3));
+
+      expect(await bounty.state()).to.equal(2); // CLOSED
+      expect(await bounty.totalStaked()).to.equal(0);
+      await bounty.claimPayout(worker1.address);
+      await bounty.claimPayout(worker2.address);
+      await bounty.claimPayout(treasury.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should require a fresh vote for each tranche", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, [5000, 5000]);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://1");
+
+      await passVote(bounty, 0);
+      await bounty.connect(issuer).startVote(0);
+      expect((await bounty.currentVote()).votingRound).to.equal(2);
+      await expect(bounty.connect(contributor1).vote(true))
+        .to.emit(bounty, "Poidh__VoteCast");
+    });
+
+    it("should keep tranche ratios after a withdrawal between milestones", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, [5000, 2500, 2500]);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH.mul(2) });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://1");
+
+      await passVote(bounty, 0); // releases 2 ETH, 2 ETH left
+      await bounty.connect(contributor2).withdraw(contributor2.address); // refunds 1 ETH
+
+      await expect(passVote(bounty, 0))
+        .to.emit(bounty, "Poidh__MilestonePaid")
+        .withArgs(1, ONE_ETH.div(2));
+    });
+
+    it("should mint shares at the pool price when joining after a tranche", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, [5000, 5000]);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://1");
+      await passVote(bounty, 0); // 2 shares back 1 ETH
+
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      expect(await bounty.account_Shares(contributor2.address)).to.equal(ONE_ETH.mul(2));
+      expect(await bounty.account_Stake(contributor2.address)).to.equal(ONE_ETH);
+      expect(await bounty.account_Stake(contributor1.address)).to.equal(ONE_ETH.div(2));
+
+      await bounty.connect(contributor2).withdraw(contributor2.address);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(ONE_ETH.add(await bounty.totalPayouts()));
+    });
+
+    it("should split a tranche between several winners", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH.mul(2), false, [5000, 5000]);
+      await bounty.connect(worker1).submitClaim("A", "ipfs://1");
+      await bounty.connect(worker2).submitClaim("B", "ipfs://2");
+
+      await bounty.connect(issuer).startSplitVote([0, 1], [5000, 5000]);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      await bounty.claimPayout(worker1.address);
+      await bounty.claimPayout(worker2.address);
+      await bounty.claimPayout(treasury.address);
+
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(ONE_ETH);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              REFUNDS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Refunds", function () {
+    it("should refund the remainder pro-rata after cancellation", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, [4000, 6000]);
+      await bounty.connect(contributor1).join({ value: ONE_ETH.mul(3) });
+      await bounty.connect(worker1).submitClaim("Phase 1", "ipfs://1");
+      await passVote(bounty, 0); // releases 1.6 ETH, 2.4 ETH left
+
+      await bounty.connect(issuer).cancel();
+
+      await expect(bounty.withdraw(issuer.address))
+        .to.emit(bounty, "Poidh__Withdrawn")
+        .withArgs(issuer.address, ethers.utils.parseEther("0.6"));
+      await expect(bounty.withdraw(contributor1.address))
+        .to.emit(bounty, "Poidh__Withdrawn")
+        .withArgs(contributor1.address, ethers.utils.parseEther("1.8"));
+
+      expect(await bounty.totalStaked()).to.equal(0);
+      expect(await bounty.totalShares()).to.equal(0);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(await bounty.totalPayouts());
+    });
+
+    it("should leave no dust with uneven stakes", async function () {
+      const bounty = await createBounty(issuer, 7, true, [3333, 6667]);
+      await bounty.connect(contributor1).join({ value: 11 });
+      await bounty.connect(contributor2).join({ value: 13 });
+      await bounty.connect(worker1).submitClaim("Phase 1", "ipfs://1");
+      await passVote(bounty, 0);
+      await bounty.connect(issuer).cancel();
+
+      await bounty.withdraw(contributor1.address);
+      await bounty.withdraw(issuer.address);
+      await bounty.withdraw(contributor2.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(await bounty.totalPayouts());
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Payout Claim Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let worker1;
+  let worker2;
+  let outsider;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+  const FEE = ONE_ETH.mul(25).div(1000);
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, worker1, worker2, outsider] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  async function passVote(bounty, claimId) {
+    await bounty.connect(issuer).startVote(claimId);
+    await time.increase(TWO_DAYS + 1);
+    return bounty.connect(outsider).resolveVote();
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              CREDITING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Crediting", function () {
+    it("should credit the winner and treasury instead of sending", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+
+      const before = await worker1.getBalance();
+      await passVote(bounty, 0);
+
+      expect(await worker1.getBalance()).to.equal(before);
+      expect(await bounty.account_Payout(worker1.address)).to.equal(ONE_ETH.sub(FEE));
+      expect(await bounty.account_Payout(treasury.address)).to.equal(FEE);
+      expect(await bounty.totalPayouts()).to.equal(ONE_ETH);
+      expect(await bounty.totalStaked()).to.equal(0);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(ONE_ETH);
+    });
+
+    it("should accumulate credits across milestones", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false, { milestones: [5000, 5000] });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+
+      await passVote(bounty, 0);
+      await passVote(bounty, 0);
+
+      expect(await bounty.account_Payout(worker1.address)).to.equal(ONE_ETH.sub(FEE));
+      await bounty.claimPayout(worker1.address);
+      await bounty.claimPayout(treasury.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should close even when the winner rejects ETH", async function () {
+      const MockRevertingClaimant = await ethers.getContractFactory("MockRevertingClaimant");
+      const claimant = await MockRevertingClaimant.deploy();
+
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await claimant.submitClaim(bounty.address, "Work", "ipfs://proof");
+      await bounty.connect(worker2).submitClaim("Other", "ipfs://other");
+
+      await bounty.connect(issuer).startSplitVote([0, 1], [5000, 5000]);
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.connect(outsider).resolveVote();
+      expect(await bounty.state()).to.equal(2); // CLOSED
+
+      await expect(bounty.claimPayout(claimant.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__TransferFailed");
+      await bounty.claimPayout(worker2.address);
+      await bounty.claimPayout(treasury.address);
+
+      // The rejected payout stays claimable, bonds and stakes are unaffected
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(await bounty.account_Payout(claimant.address));
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              CLAIMING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("claimPayout", function () {
+    it("should let anyone send an account its payout", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await passVote(bounty, 0);
+
+      const before = await worker1.getBalance();
+      await expect(bounty.connect(outsider).claimPayout(worker1.address))
+        .to.emit(bounty, "Poidh__PayoutClaimed")
+        .withArgs(worker1.address, ONE_ETH.sub(FEE));
+
+      expect((await worker1.getBalance()).sub(before)).to.equal(ONE_ETH.sub(FEE));
+      expect(await bounty.account_Payout(worker1.address)).to.equal(0);
+      expect(await bounty.totalPayouts()).to.equal(FEE);
+    });
+
+    it("should revert without a payout or on a second claim", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+
+      await expect(bounty.claimPayout(worker1.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NoPayout");
+
+      await passVote(bounty, 0);
+      await bounty.claimPayout(worker1.address);
+      await expect(bounty.claimPayout(worker1.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NoPayout");
+    });
+
+    it("should pay token payouts", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+
+      const bounty = await createBounty(issuer, 0, false, { token: usdc.address, amount: 100e6 });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await passVote(bounty, 0);
+
+      await bounty.claimPayout(worker1.address);
+      await bounty.claimPayout(treasury.address);
+      expect(await usdc.balanceOf(worker1.address)).to.equal(97.5e6);
+      expect(await usdc.balanceOf(treasury.address)).to.equal(2.5e6);
+      expect(await usdc.balanceOf(bounty.address)).to.equal(0);
+    });
+
+    it("should keep payouts apart from refunds after cancellation", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { milestones: [5000, 5000] });
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await passVote(bounty, 0);
+      await bounty.connect(issuer).cancel();
+
+      await bounty.withdraw(issuer.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(ONE_ETH.div(2));
+
+      await bounty.claimPayout(worker1.address);
+      await bounty.claimPayout(treasury.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Referral Fee Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let frontend;
+  let worker;
+  let outsider;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+  const FEE = ONE_ETH.mul(25).div(1000);
+
+  beforeEach(async function () {
+    [treasury, issuer, frontend, worker, outsider] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  async function passVote(bounty) {
+    await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+    await bounty.connect(issuer).startVote(0);
+    await time.increase(TWO_DAYS + 1);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              CREDITING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Crediting", function () {
+    it("should snapshot the referrer and share at creation", async function () {
+      expect(await factory.referrerShare()).to.equal(20);
+
+      const bounty = await createBounty(issuer, ONE_ETH, false, { referrer: frontend.address });
+      expect(await bounty.referrer()).to.equal(frontend.address);
+      expect(await bounty.referrerShare()).to.equal(20);
+
+      await factory.connect(treasury).setReferrerShare(50);
+      expect(await bounty.referrerShare()).to.equal(20);
+    });
+
+    it("should split the fee between treasury and referrer", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false, { referrer: frontend.address });
+      await passVote(bounty);
+
+      const referrerFee = FEE.mul(20).div(100);
+      const treasuryBefore = await treasury.getBalance();
+      const workerBefore = await worker.getBalance();
+      await expect(bounty.connect(outsider).resolveVote())
+        .to.emit(factory, "PoidhFactory__FeesCredited")
+        .withArgs(bounty.address, frontend.address, ethers.constants.AddressZero, referrerFee);
+      await bounty.connect(outsider).claimPayout(treasury.address);
+      await bounty.connect(outsider).claimPayout(worker.address);
+
+      expect((await treasury.getBalance()).sub(treasuryBefore)).to.equal(FEE.sub(referrerFee));
+      expect((await worker.getBalance()).sub(workerBefore)).to.equal(ONE_ETH.sub(FEE));
+      expect(await factory.account_Token_Fees(frontend.address, ethers.constants.AddressZero)).to.equal(referrerFee);
+      expect(await ethers.provider.getBalance(factory.address)).to.equal(referrerFee);
+    });
+
+    it("should send the whole fee to the treasury without a referrer", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await passVote(bounty);
+
+      const before = await treasury.getBalance();
+      await expect(bounty.connect(outsider).resolveVote())
+        .to.not.emit(factory, "PoidhFactory__FeesCredited");
+      await bounty.connect(outsider).claimPayout(treasury.address);
+      expect((await treasury.getBalance()).sub(before)).to.equal(FEE);
+    });
+
+    it("should credit nothing when the bounty charges no fee", async function () {
+      await factory.connect(treasury).setTreasury(ethers.constants.AddressZero);
+      const bounty = await createBounty(issuer, ONE_ETH, false, { referrer: frontend.address });
+      await passVote(bounty);
+
+      await bounty.connect(outsider).resolveVote();
+      expect(await factory.account_Token_Fees(frontend.address, ethers.constants.AddressZero)).to.equal(0);
+    });
+
+    it("should give the referrer the whole fee at a 100% share", async function () {
+      await factory.connect(treasury).setReferrerShare(100);
+      const bounty = await createBounty(issuer, ONE_ETH, false, { referrer: frontend.address });
+      await passVote(bounty);
+
+      await bounty.connect(outsider).resolveVote();
+      expect(await bounty.account_Payout(treasury.address)).to.equal(0);
+      expect(await factory.account_Token_Fees(frontend.address, ethers.constants.AddressZero)).to.equal(FEE);
+    });
+
+    it("should not let a referrer that can't receive ETH block the payout", async function () {
+      // A contract without a receive function
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const deadReferrer = await MockERC20.deploy("Dead", "DEAD", 18);
+
+      const bounty = await createBounty(issuer, ONE_ETH, false, { referrer: deadReferrer.address });
+      await passVote(bounty);
+
+      await bounty.connect(outsider).resolveVote();
+      expect(await bounty.state()).to.equal(2); // CLOSED
+      expect(await factory.account_Token_Fees(deadReferrer.address, ethers.constants.AddressZero))
+        .to.equal(FEE.mul(20).div(100));
+    });
+
+    it("should credit token fees as received", async function () {
+      const MockFeeOnTransferToken = await ethers.getContractFactory("MockFeeOnTransferToken");
+      const feeToken = await MockFeeOnTransferToken.deploy();
+      await feeToken.mint(issuer.address, ONE_ETH);
+      await feeToken.connect(issuer).approve(factory.address, ONE_ETH);
+
+      const bounty = await createBounty(issuer, 0, false, {
+        token: feeToken.address,
+        amount: ONE_ETH,
+        referrer: frontend.address,
+      });
+      await passVote(bounty);
+      await bounty.connect(outsider).resolveVote();
+
+      const credited = await factory.account_Token_Fees(frontend.address, feeToken.address);
+      expect(credited).to.be.gt(0);
+      expect(credited).to.equal(await feeToken.balanceOf(factory.address));
+      expect(await feeToken.allowance(bounty.address, factory.address)).to.equal(0);
+
+      await factory.connect(frontend).claimFees(feeToken.address);
+      expect(await feeToken.balanceOf(factory.address)).to.equal(0);
+    });
+
+    it("should only accept deposits from bounties", async function () {
+      await expect(factory.connect(outsider).depositFees(outsider.address, ethers.constants.AddressZero, 0, { value: 1 }))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__OnlyBounty");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              CLAIMING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Claiming", function () {
+    it("should pay out accumulated fees across bounties", async function () {
+      const first = await createBounty(issuer, ONE_ETH, false, { referrer: frontend.address });
+      const second = await createBounty(issuer, ONE_ETH, false, { referrer: frontend.address });
+      await passVote(first);
+      await first.connect(outsider).resolveVote();
+      await passVote(second);
+      await second.connect(outsider).resolveVote();
+
+      const total = FEE.mul(20).div(100).mul(2);
+      expect(await factory.account_Token_Fees(frontend.address, ethers.constants.AddressZero)).to.equal(total);
+
+      const before = await frontend.getBalance();
+      const tx = await factory.connect(frontend).claimFees(ethers.constants.AddressZero);
+      const receipt = await tx.wait();
+      const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      await expect(tx)
+        .to.emit(factory, "PoidhFactory__FeesClaimed")
+        .withArgs(frontend.address, ethers.constants.AddressZero, total);
+      expect((await frontend.getBalance()).sub(before).add(gas)).to.equal(total);
+      expect(await factory.account_Token_Fees(frontend.address, ethers.constants.AddressZero)).to.equal(0);
+    });
+
+    it("should revert without fees to claim", async function () {
+      await expect(factory.connect(frontend).claimFees(ethers.constants.AddressZero))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__NoFees");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              ADMIN
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Admin", function () {
+    it("should let the owner update the share", async function () {
+      await expect(factory.connect(treasury).setReferrerShare(0))
+        .to.emit(factory, "PoidhFactory__ReferrerShareUpdated")
+        .withArgs(20, 0);
+
+      const bounty = await createBounty(issuer, ONE_ETH, false, { referrer: frontend.address });
+      await passVote(bounty);
+      await bounty.connect(outsider).resolveVote();
+      expect(await factory.account_Token_Fees(frontend.address, ethers.constants.AddressZero)).to.equal(0);
+    });
+
+    it("should reject shares above 100% and non-owners", async function () {
+      await expect(factory.connect(treasury).setReferrerShare(101))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__InvalidReferrerShare");
+      await expect(factory.connect(issuer).setReferrerShare(50))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+});
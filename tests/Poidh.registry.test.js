@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Registry Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let otherIssuer;
+  let contributor1;
+  let worker1;
+  let outsider;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+
+  beforeEach(async function () {
+    [treasury, issuer, otherIssuer, contributor1, worker1, outsider] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              ISSUERS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Issuer bounties", function () {
+    it("should list the bounties each issuer created", async function () {
+      const first = await createBounty(issuer, ONE_ETH, false);
+      const other = await createBounty(otherIssuer, ONE_ETH, true);
+      const second = await createBounty(issuer, ONE_ETH, true);
+      const third = await client.connect(issuer).createBountyDeterministic(
+        ethers.utils.id("salt"), "ipfs://metadata", true, {}, { value: ONE_ETH }
+      );
+
+      expect(await factory.getIssuerBountiesCount(issuer.address)).to.equal(3);
+      expect(await factory.getIssuerBounties(issuer.address, 10, 0))
+        .to.deep.equal([first.address, second.address, third.address]);
+      expect(await factory.getIssuerBounties(otherIssuer.address, 10, 0)).to.deep.equal([other.address]);
+      expect(await factory.issuer_Bounties(issuer.address, 1)).to.equal(second.address);
+    });
+
+    it("should paginate", async function () {
+      const bounties = [];
+      for (let i = 0; i < 5; i++) {
+        bounties.push((await createBounty(issuer, ONE_ETH, false)).address);
+      }
+
+      expect(await factory.getIssuerBounties(issuer.address, 2, 0)).to.deep.equal(bounties.slice(0, 2));
+      expect(await factory.getIssuerBounties(issuer.address, 2, 2)).to.deep.equal(bounties.slice(2, 4));
+      expect(await factory.getIssuerBounties(issuer.address, 2, 4)).to.deep.equal(bounties.slice(4));
+      expect(await factory.getIssuerBounties(issuer.address, 2, 5)).to.deep.equal([]);
+      expect(await factory.getIssuerBounties(outsider.address, 10, 0)).to.deep.equal([]);
+    });
+
+    it("should keep the creator's list after an issuer transfer", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(issuer).proposeIssuer(otherIssuer.address);
+      await bounty.connect(otherIssuer).acceptIssuer();
+
+      expect(await factory.getIssuerBounties(issuer.address, 10, 0)).to.deep.equal([bounty.address]);
+      expect(await factory.getIssuerBountiesCount(otherIssuer.address)).to.equal(0);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              CLAIMANTS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Claimant bounties", function () {
+    it("should register a claimant once per bounty", async function () {
+      const first = await createBounty(issuer, ONE_ETH, false);
+      const second = await createBounty(otherIssuer, ONE_ETH, false);
+
+      await first.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await second.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await first.connect(worker1).submitClaim("More work", "ipfs://proof2");
+
+      expect(await factory.account_Bounty_IsClaimant(worker1.address, first.address)).to.be.true;
+      expect(await factory.getClaimantBountiesCount(worker1.address)).to.equal(2);
+      expect(await factory.getClaimantBounties(worker1.address, 10, 0))
+        .to.deep.equal([first.address, second.address]);
+      expect(await factory.getClaimantBounties(worker1.address, 1, 1)).to.deep.equal([second.address]);
+    });
+
+    it("should keep a bounty listed after the claim is withdrawn", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker1).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(worker1).withdrawClaim(0);
+
+      expect(await factory.getClaimantBounties(worker1.address, 10, 0)).to.deep.equal([bounty.address]);
+    });
+
+    it("should not register rejected claims", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false, { claimAllowlist: true });
+      await expect(bounty.connect(worker1).submitClaim("Work", "ipfs://proof"))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NotAllowlisted");
+
+      expect(await factory.getClaimantBountiesCount(worker1.address)).to.equal(0);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              CONTRIBUTORS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Contributor bounties", function () {
+    it("should register a contributor once per bounty", async function () {
+      const first = await createBounty(issuer, ONE_ETH, true);
+      const second = await createBounty(otherIssuer, ONE_ETH, true);
+
+      await first.connect(contributor1).join({ value: ONE_ETH });
+      await second.connect(contributor1).join({ value: ONE_ETH });
+      await first.connect(contributor1).join({ value: ONE_ETH });
+
+      expect(await factory.account_Bounty_IsContributor(contributor1.address, first.address)).to.be.true;
+      expect(await factory.getContributorBountiesCount(contributor1.address)).to.equal(2);
+      expect(await factory.getContributorBounties(contributor1.address, 10, 0))
+        .to.deep.equal([first.address, second.address]);
+    });
+
+    it("should keep a bounty listed after a withdrawal", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor1).withdraw(contributor1.address);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+
+      expect(await factory.getContributorBounties(contributor1.address, 10, 0)).to.deep.equal([bounty.address]);
+    });
+
+    it("should not list issuers as contributors", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(issuer).join({ value: ONE_ETH });
+
+      expect(await factory.getContributorBountiesCount(issuer.address)).to.equal(0);
+    });
+
+    it("should register token joins", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.mint(contributor1.address, 50e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+
+      const bounty = await createBounty(issuer, 0, true, { token: usdc.address, amount: 100e6 });
+      await usdc.connect(contributor1).approve(bounty.address, 50e6);
+      await bounty.connect(contributor1).joinWithToken(50e6);
+
+      expect(await factory.getContributorBounties(contributor1.address, 10, 0)).to.deep.equal([bounty.address]);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              HOOKS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Hooks", function () {
+    it("should only accept registrations from bounties", async function () {
+      await expect(factory.connect(outsider).recordClaim(outsider.address))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__OnlyBounty");
+      await expect(factory.connect(outsider).recordFunding(outsider.address, ethers.constants.AddressZero, 1, false))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__OnlyBounty");
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient, PoidhError, errors, decodeError, bountyParams, POIDH_FACTORY_ABI, POIDH_ABI } = require("../sdk");
+const { compiledAbi } = require("../scripts/exportAbi");
+
+describe("Poidh SDK Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let worker1;
+  let outsider;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, worker1, outsider] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+
+    client = new PoidhClient(factory.address, issuer);
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              CLIENT
+  //////////////////////////////////////////////////////////////*/
+
+  describe("PoidhClient", function () {
+    it("should create a bounty and return its contract", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, { quorum: 25 }, { value: ONE_ETH });
+
+      expect(await factory.isBounty(bounty.address)).to.be.true;
+      expect(await bounty.issuer()).to.equal(issuer.address);
+      expect(await bounty.quorum()).to.equal(25);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH);
+    });
+
+    it("should run a bounty from join to payout", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      const contributor = client.connect(contributor1);
+      const worker = client.connect(worker1);
+
+      await contributor.join(bounty, ONE_ETH);
+      await worker.submitClaim(bounty, "Work", "ipfs://proof");
+      await client.startVote(bounty, 0);
+      await contributor.vote(bounty.address, true);
+
+      let state = await client.getBountyState(bounty);
+      expect(state.state).to.equal("VOTING");
+      expect(state.totalStaked).to.equal(ONE_ETH.mul(2));
+      expect(state.claimsCount).to.equal(1);
+      expect(state.currentVote.yes).to.equal(ONE_ETH);
+
+      await time.increase(TWO_DAYS + 1);
+      await client.connect(outsider).resolveVote(bounty);
+      state = await client.getBountyState(bounty);
+      expect(state.state).to.equal("CLOSED");
+      expect(state.totalPayouts).to.equal(ONE_ETH.mul(2));
+    });
+
+    it("should send the ETH claim bond", async function () {
+      const bond = ethers.utils.parseEther("0.01");
+      const bounty = await client.createBounty("ipfs://metadata", false, { claimBond: bond }, { value: ONE_ETH });
+
+      await client.connect(worker1).submitClaim(bounty, "Work", "ipfs://proof");
+      expect(await bounty.totalBonds()).to.equal(bond);
+    });
+
+    it("should join and withdraw token bounties", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.mint(contributor1.address, 50e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+
+      const bounty = await client.createBounty("ipfs://metadata", true, { token: usdc.address, amount: 100e6 });
+      await usdc.connect(contributor1).approve(bounty.address, 50e6);
+
+      const contributor = client.connect(contributor1);
+      await contributor.join(bounty, 50e6);
+      expect(await bounty.account_Stake(contributor1.address)).to.equal(50e6);
+
+      await contributor.withdraw(bounty);
+      expect(await usdc.balanceOf(contributor1.address)).to.equal(50e6);
+    });
+
+    it("should refund funders after a cancel", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await client.connect(contributor1).join(bounty, ONE_ETH);
+      await client.cancel(bounty);
+
+      const before = await contributor1.getBalance();
+      await client.connect(outsider).withdraw(bounty, contributor1.address);
+      expect((await contributor1.getBalance()).sub(before)).to.equal(ONE_ETH);
+      expect((await client.getBountyState(bounty)).state).to.equal("CANCELLED");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              ERRORS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Typed errors", function () {
+    it("should decode bounty reverts", async function () {
+      const bounty = await client.createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+      await client.connect(worker1).submitClaim(bounty, "Work", "ipfs://proof");
+      await client.startVote(bounty, 0);
+
+      const error = await client.resolveVote(bounty).catch((e) => e);
+      expect(error).to.be.instanceOf(errors.Poidh__VotingNotEnded);
+      expect(error).to.be.instanceOf(PoidhError);
+      expect(error.name).to.equal("Poidh__VotingNotEnded");
+      expect(error.errorName).to.equal("Poidh__VotingNotEnded");
+
+      await expect(client.vote(bounty, true)).to.be.rejectedWith(errors.Poidh__IssuerCannotVote);
+      await expect(client.connect(outsider).cancel(bounty)).to.be.rejectedWith(errors.Poidh__OnlyIssuer);
+    });
+
+    it("should decode factory reverts", async function () {
+      await expect(client.createBounty("ipfs://metadata", true, { votingPeriod: 1 }, { value: ONE_ETH }))
+        .to.be.rejectedWith(errors.PoidhFactory__InvalidVotingPeriod);
+    });
+
+    it("should decode bounty reverts bubbling through the factory", async function () {
+      const expiry = (await time.latest()) - 1;
+      await expect(client.createBounty("ipfs://metadata", true, { expiry }, { value: ONE_ETH }))
+        .to.be.rejectedWith(errors.Poidh__InvalidExpiry);
+    });
+
+    it("should leave other errors untouched", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+      const bounty = await client.createBounty("ipfs://metadata", true, { token: usdc.address, amount: 100e6 });
+
+      // Joining without an approval reverts in the token, with a string reason
+      const error = await client.join(bounty, 50e6).catch((e) => e);
+      expect(error).to.not.be.instanceOf(PoidhError);
+      expect(error.message).to.include("ERC20: insufficient allowance");
+
+      const plain = new Error("network down");
+      expect(decodeError(plain)).to.equal(plain);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              PARAMS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("bountyParams", function () {
+    it("should fill defaults and reject unknown fields", async function () {
+      const params = bountyParams({ quorum: 10 });
+      expect(params.quorum).to.equal(10);
+      expect(params.token).to.equal(ethers.constants.AddressZero);
+      expect(params.milestones).to.deep.equal([]);
+
+      expect(() => bountyParams({ qourum: 10 })).to.throw("Unknown bounty param: qourum");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                                ABIS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("ABIs", function () {
+    it("should match the compiled contracts (run `yarn abi` after a contract change)", async function () {
+      expect(POIDH_FACTORY_ABI).to.deep.equal(compiledAbi("PoidhFactory"));
+      expect(POIDH_ABI).to.deep.equal(compiledAbi("Poidh"));
+    });
+  });
+});
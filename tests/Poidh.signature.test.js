@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { VOTE_TYPES, getVoteDomain, signVote, signPendingVotes, relayVotes } = require("../scripts/relayVotes");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Signed Vote Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let worker;
+  let relayer;
+  let delegatee;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, worker, relayer, delegatee] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, {}, { value });
+  }
+
+  async function createVotingBounty() {
+    const bounty = await createBounty(issuer, ONE_ETH, true);
+    await bounty.connect(contributor1).join({ value: ONE_ETH });
+    await bounty.connect(contributor2).join({ value: ONE_ETH.mul(2) });
+    await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+    await bounty.connect(issuer).startVote(0);
+    return bounty;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            SINGLE VOTES
+  //////////////////////////////////////////////////////////////*/
+
+  describe("voteBySig", function () {
+    it("should count a relayed vote with the signer's stake", async function () {
+      const bounty = await createVotingBounty();
+      const signed = await signVote(contributor1, bounty, true);
+
+      await expect(bounty.connect(relayer).voteBySig(signed))
+        .to.emit(bounty, "Poidh__VoteCast")
+        .withArgs(contributor1.address, true, ONE_ETH);
+
+      expect((await bounty.currentVote()).yes).to.equal(ONE_ETH);
+      expect(await bounty.account_Round_HasVoted(contributor1.address, 1)).to.be.true;
+      expect(await bounty.account_Round_HasVoted(relayer.address, 1)).to.be.false;
+      expect(await bounty.nonces(contributor1.address)).to.equal(1);
+    });
+
+    it("should expose the EIP-712 domain of the clone", async function () {
+      const bounty = await createVotingBounty();
+      const domain = await getVoteDomain(bounty);
+      expect(await bounty.DOMAIN_SEPARATOR()).to.equal(ethers.utils._TypedDataEncoder.hashDomain(domain));
+    });
+
+    it("should not allow replaying a signature", async function () {
+      const bounty = await createVotingBounty();
+      const signed = await signVote(contributor1, bounty, true);
+      await bounty.connect(relayer).voteBySig(signed);
+
+      await expect(bounty.connect(relayer).voteBySig(signed))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSignature");
+    });
+
+    it("should not allow voting twice via direct vote and signature", async function () {
+      const bounty = await createVotingBounty();
+      const signed = await signVote(contributor1, bounty, true);
+      await bounty.connect(contributor1).vote(false);
+
+      await expect(bounty.connect(relayer).voteBySig(signed))
+        .to.be.revertedWithCustomError(bounty, "Poidh__AlreadyVotedThisRound");
+    });
+
+    it("should reject a tampered support value", async function () {
+      const bounty = await createVotingBounty();
+      const signed = await signVote(contributor1, bounty, true);
+
+      await expect(bounty.connect(relayer).voteBySig({ ...signed, support: false }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSignature");
+    });
+
+    it("should reject a signature from someone else", async function () {
+      const bounty = await createVotingBounty();
+      const signed = await signVote(contributor2, bounty, true);
+
+      await expect(bounty.connect(relayer).voteBySig({ ...signed, voter: contributor1.address }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSignature");
+    });
+
+    it("should reject an expired signature", async function () {
+      const bounty = await createVotingBounty();
+      const deadline = (await time.latest()) + 60;
+      const signed = await signVote(contributor1, bounty, true, deadline);
+      await time.increase(61);
+
+      await expect(bounty.connect(relayer).voteBySig(signed))
+        .to.be.revertedWithCustomError(bounty, "Poidh__SignatureExpired");
+    });
+
+    it("should reject a signature for another bounty", async function () {
+      const bounty = await createVotingBounty();
+      const other = await createVotingBounty();
+      const signed = await signVote(contributor1, other, true);
+
+      await expect(bounty.connect(relayer).voteBySig(signed))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSignature");
+    });
+
+    it("should reject a signature from a previous round", async function () {
+      const bounty = await createVotingBounty();
+      const stale = await signVote(contributor1, bounty, true, (await time.latest()) + TWO_DAYS * 3);
+
+      await bounty.connect(contributor2).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      await bounty.connect(issuer).startVote(0);
+
+      await expect(bounty.connect(relayer).voteBySig(stale))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSignature");
+    });
+
+    it("should not allow the issuer to vote by signature", async function () {
+      const bounty = await createVotingBounty();
+      const signed = await signVote(issuer, bounty, true);
+
+      await expect(bounty.connect(relayer).voteBySig(signed))
+        .to.be.revertedWithCustomError(bounty, "Poidh__IssuerCannotVote");
+    });
+
+    it("should reject signed votes after the voting deadline", async function () {
+      const bounty = await createVotingBounty();
+      const deadline = (await time.latest()) + TWO_DAYS * 2;
+      const signed = await signVote(contributor1, bounty, true, deadline);
+      await time.increase(TWO_DAYS + 1);
+
+      await expect(bounty.connect(relayer).voteBySig(signed))
+        .to.be.revertedWithCustomError(bounty, "Poidh__VotingEnded");
+    });
+
+    it("should reject signed votes without stake", async function () {
+      const bounty = await createVotingBounty();
+      const signed = await signVote(relayer, bounty, true);
+
+      await expect(bounty.connect(relayer).voteBySig(signed))
+        .to.be.revertedWithCustomError(bounty, "Poidh__NoStakeInBounty");
+    });
+
+    it("should accept ERC-1271 signatures from contract wallets", async function () {
+      const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      const wallet = await Wallet.deploy(contributor1.address);
+
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await wallet.join(bounty.address, { value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      const deadline = (await time.latest()) + 3600;
+      const signature = await contributor1._signTypedData(await getVoteDomain(bounty), VOTE_TYPES, {
+        bounty: bounty.address,
+        round: 1,
+        support: true,
+        nonce: 0,
+        deadline,
+      });
+
+      await expect(bounty.connect(relayer).voteBySig({ voter: wallet.address, support: true, deadline, signature }))
+        .to.emit(bounty, "Poidh__VoteCast")
+        .withArgs(wallet.address, true, ONE_ETH);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                            BATCH VOTES
+  //////////////////////////////////////////////////////////////*/
+
+  describe("batchVoteBySig", function () {
+    it("should relay several votes in one transaction", async function () {
+      const bounty = await createVotingBounty();
+      const signedVotes = [
+        await signVote(contributor1, bounty, true),
+        await signVote(contributor2, bounty, false),
+      ];
+
+      await relayVotes(relayer, bounty, signedVotes);
+
+      const vote = await bounty.currentVote();
+      expect(vote.yes).to.equal(ONE_ETH);
+      expect(vote.no).to.equal(ONE_ETH.mul(2));
+    });
+
+    it("should resolve a vote decided by relayed signatures", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await relayVotes(relayer, bounty, [await signVote(contributor1, bounty, true)]);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      expect(await bounty.state()).to.equal(2); // CLOSED
+    });
+
+    it("should sign for voters by voting weight, skipping delegators and including delegates", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH.mul(2) });
+      await bounty.connect(contributor1).delegate(delegatee.address);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      const signedVotes = await signPendingVotes(bounty, [issuer, contributor1, contributor2, delegatee], true);
+      expect(signedVotes.map((signed) => signed.voter)).to.deep.equal([contributor2.address, delegatee.address]);
+
+      await relayVotes(relayer, bounty, signedVotes);
+      expect((await bounty.currentVote()).yes).to.equal(ONE_ETH.mul(3));
+      expect(await signPendingVotes(bounty, [contributor2, delegatee], true)).to.deep.equal([]);
+    });
+
+    it("should revert the whole batch if one vote is invalid", async function () {
+      const bounty = await createVotingBounty();
+      const valid = await signVote(contributor1, bounty, true);
+      const invalid = { ...(await signVote(contributor2, bounty, true)), support: false };
+
+      await expect(bounty.connect(relayer).batchVoteBySig([valid, invalid]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSignature");
+      expect(await bounty.account_Round_HasVoted(contributor1.address, 1)).to.be.false;
+    });
+
+    it("should reject duplicate voters in a batch", async function () {
+      const bounty = await createVotingBounty();
+      const first = await signVote(contributor1, bounty, true);
+
+      await expect(bounty.connect(relayer).batchVoteBySig([first, first]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSignature");
+    });
+  });
+});
@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Multi-Winner Split Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let worker1;
+  let worker2;
+  let worker3;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, worker1, worker2, worker3] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, {}, { value });
+  }
+
+  async function createBountyWithClaims(value) {
+    const bounty = await createBounty(issuer, value, true);
+    await bounty.connect(worker1).submitClaim("First", "ipfs://1");
+    await bounty.connect(worker2).submitClaim("Second", "ipfs://2");
+    await bounty.connect(worker3).submitClaim("Third", "ipfs://3");
+    return bounty;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            PROPOSING SPLITS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Proposing", function () {
+    it("should start a vote on a split and expose it", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+
+      await expect(bounty.connect(issuer).startSplitVote([0, 1, 2], [6000, 3000, 1000]))
+        .to.emit(bounty, "Poidh__SplitProposed")
+        .withArgs([0, 1, 2], [6000, 3000, 1000], 1);
+
+      expect(await bounty.state()).to.equal(1); // VOTING
+      expect((await bounty.currentVote()).claimId).to.equal(0);
+
+      const [claimIds, shares] = await bounty.getProposedSplit();
+      expect(claimIds.map(Number)).to.deep.equal([0, 1, 2]);
+      expect(shares.map(Number)).to.deep.equal([6000, 3000, 1000]);
+    });
+
+    it("should record single claim votes as a full share", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await bounty.connect(issuer).startVote(1);
+
+      const [claimIds, shares] = await bounty.getProposedSplit();
+      expect(claimIds.map(Number)).to.deep.equal([1]);
+      expect(shares.map(Number)).to.deep.equal([10000]);
+    });
+
+    it("should only allow issuer to propose a split", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await expect(bounty.connect(contributor1).startSplitVote([0, 1], [5000, 5000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+    });
+
+    it("should reject shares not summing to 100%", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await expect(bounty.connect(issuer).startSplitVote([0, 1], [5000, 4000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSplit");
+      await expect(bounty.connect(issuer).startSplitVote([0, 1], [6000, 5000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSplit");
+    });
+
+    it("should reject mismatched, empty or oversized splits", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await expect(bounty.connect(issuer).startSplitVote([0, 1], [10000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSplit");
+      await expect(bounty.connect(issuer).startSplitVote([], []))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSplit");
+
+      const ids = Array.from({ length: 11 }, () => 0);
+      const shares = Array.from({ length: 11 }, () => 1);
+      await expect(bounty.connect(issuer).startSplitVote(ids, shares))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSplit");
+    });
+
+    it("should reject zero shares and duplicate claims", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await expect(bounty.connect(issuer).startSplitVote([0, 1], [10000, 0]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSplit");
+      await expect(bounty.connect(issuer).startSplitVote([0, 0], [5000, 5000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidSplit");
+    });
+
+    it("should reject invalid claim ids", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await expect(bounty.connect(issuer).startSplitVote([0, 3], [5000, 5000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidClaimId");
+    });
+
+    it("should not allow a split while voting", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await bounty.connect(issuer).startVote(0);
+      await expect(bounty.connect(issuer).startSplitVote([0, 1], [5000, 5000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                            PAYING SPLITS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Payout", function () {
+    it("should pay every winner its share and the treasury its fee", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(issuer).startSplitVote([0, 1, 2], [6000, 3000, 1000]);
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+
+      const total = ONE_ETH.mul(2);
+      const fee = total.mul(25).div(1000);
+      const reward = total.sub(fee);
+      const reward1 = reward.mul(6000).div(10000);
+      const reward2 = reward.mul(3000).div(10000);
+      const reward3 = reward.sub(reward1).sub(reward2);
+      const fee1 = fee.mul(6000).div(10000);
+      const fee2 = fee.mul(3000).div(10000);
+      const fee3 = fee.sub(fee1).sub(fee2);
+
+      const before = await Promise.all([worker1, worker2, worker3, treasury].map(s => s.getBalance()));
+
+      await expect(bounty.connect(contributor1).resolveVote())
+        .to.emit(bounty, "Poidh__BountyPaid").withArgs(worker1.address, reward1, fee1)
+        .and.to.emit(bounty, "Poidh__BountyPaid").withArgs(worker2.address, reward2, fee2)
+        .and.to.emit(bounty, "Poidh__BountyPaid").withArgs(worker3.address, reward3, fee3);
+
+      for (const account of [worker1, worker2, worker3, treasury]) {
+        await bounty.connect(contributor1).claimPayout(account.address);
+      }
+      const after = await Promise.all([worker1, worker2, worker3, treasury].map(s => s.getBalance()));
+      expect(after[0].sub(before[0])).to.equal(reward1);
+      expect(after[1].sub(before[1])).to.equal(reward2);
+      expect(after[2].sub(before[2])).to.equal(reward3);
+      expect(after[3].sub(before[3])).to.equal(fee);
+
+      expect(await bounty.state()).to.equal(2); // CLOSED
+      expect(await bounty.totalStaked()).to.equal(0);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should give rounding dust to the last winner", async function () {
+      const bounty = await createBountyWithClaims(1001);
+      await bounty.connect(issuer).startSplitVote([0, 1, 2], [3333, 3333, 3334]);
+      await time.increase(TWO_DAYS + 1);
+
+      const tx = await bounty.resolveVote();
+      const receipt = await tx.wait();
+      const paid = receipt.events.filter(e => e.event === "Poidh__BountyPaid");
+
+      const totalReward = paid.reduce((sum, e) => sum.add(e.args.reward), ethers.BigNumber.from(0));
+      const totalFee = paid.reduce((sum, e) => sum.add(e.args.fee), ethers.BigNumber.from(0));
+      expect(totalReward.add(totalFee)).to.equal(1001);
+      expect(await bounty.totalPayouts()).to.equal(1001);
+      for (const account of [worker1, worker2, worker3, treasury]) {
+        await bounty.claimPayout(account.address);
+      }
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should pay the same claimant for multiple winning claims", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker1).submitClaim("Part A", "ipfs://a");
+      await bounty.connect(worker1).submitClaim("Part B", "ipfs://b");
+      await bounty.connect(issuer).startSplitVote([0, 1], [5000, 5000]);
+      await time.increase(TWO_DAYS + 1);
+
+      const before = await worker1.getBalance();
+      await bounty.connect(contributor1).resolveVote();
+      await bounty.connect(contributor1).claimPayout(worker1.address);
+      const fee = ONE_ETH.mul(25).div(1000);
+      expect((await worker1.getBalance()).sub(before)).to.equal(ONE_ETH.sub(fee));
+    });
+
+    it("should allow a different split after a failed split vote", async function () {
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await bounty.connect(contributor1).join({ value: ONE_ETH.mul(2) });
+
+      await bounty.connect(issuer).startSplitVote([0, 1], [5000, 5000]);
+      await bounty.connect(contributor1).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      expect(await bounty.state()).to.equal(0); // OPEN
+
+      await bounty.connect(issuer).startSplitVote([2, 0], [7000, 3000]);
+      await expect(bounty.connect(issuer).startSplitVote([0], [10000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+
+      const [claimIds] = await bounty.getProposedSplit();
+      expect(claimIds.map(Number)).to.deep.equal([2, 0]);
+
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      expect(await bounty.state()).to.equal(2);
+    });
+
+    it("should pay contract winners alongside EOAs", async function () {
+      const Attacker = await ethers.getContractFactory("ReentrancyAttacker");
+      const attackerContract = await Attacker.deploy();
+
+      const bounty = await createBountyWithClaims(ONE_ETH);
+      await attackerContract.submitClaim(bounty.address, "Contract", "ipfs://c");
+      await attackerContract.setTarget(bounty.address);
+
+      await bounty.connect(issuer).startSplitVote([0, 3], [5000, 5000]);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.state()).to.equal(2);
+      await bounty.claimPayout(attackerContract.address);
+      expect(await ethers.provider.getBalance(attackerContract.address)).to.be.gt(0);
+    });
+  });
+});
@@ -1,9 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient, bountyParams } = require("../sdk");
 
 describe("Poidh Stress & Security Tests", function () {
   let factory;
+  let client;
   let treasury;
   let issuer;
   let contributors = [];
@@ -27,13 +29,11 @@ describe("Poidh Stress & Security Tests", function () {
     const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
     factory = await PoidhFactory.deploy(treasury.address);
     await factory.deployed();
+    client = new PoidhClient(factory);
   });
 
   async function createBounty(signer, value, joinable) {
-    const tx = await factory.connect(signer).createBounty("ipfs://metadata", joinable, { value });
-    const receipt = await tx.wait();
-    const event = receipt.events.find(e => e.event === "PoidhFactory__BountyCreated");
-    return await ethers.getContractAt("Poidh", event.args.bountyAddress);
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, {}, { value });
   }
 
   /*//////////////////////////////////////////////////////////////
@@ -290,6 +290,8 @@ describe("Poidh Stress & Security Tests", function () {
       
       await bounty1.connect(attacker).resolveVote();
       await bounty2.connect(attacker).resolveVote();
+      await bounty1.connect(attacker).claimPayout(oldTreasury.address);
+      await bounty2.connect(attacker).claimPayout(newTreasury.address);
       
       const fee = ONE_ETH.mul(25).div(1000);
       
@@ -309,7 +311,7 @@ describe("Poidh Stress & Security Tests", function () {
     it("should prevent dust attack griefing", async function () {
       // Attacker creates many tiny bounties
       for (let i = 0; i < 20; i++) {
-        await factory.connect(attacker).createBounty(`ipfs://dust${i}`, false, { value: 1 });
+        await factory.connect(attacker).createBounty(`ipfs://dust${i}`, false, bountyParams(), { value: 1 });
       }
       
       // Factory still works normally
@@ -393,12 +395,14 @@ describe("Poidh Stress & Security Tests", function () {
 
       // Use a different account to resolve so we don't affect gas calculations
       await bounty.connect(contributors[0]).resolveVote();
+      await bounty.connect(contributors[0]).claimPayout(treasury.address);
 
       const fee = ONE_ETH.mul(25).div(1000);
 
       // Original treasury got the fee, not attacker
       expect((await treasury.getBalance()).sub(treasuryBal)).to.equal(fee);
       expect(await attacker.getBalance()).to.equal(attackerBal);
+      expect(await bounty.account_Payout(attacker.address)).to.equal(0);
     });
   });
 
@@ -408,13 +412,13 @@ describe("Poidh Stress & Security Tests", function () {
 
   describe("Invariant Tests", function () {
     
-    it("INVARIANT: totalStaked always equals contract balance", async function () {
+    it("INVARIANT: totalStaked plus unclaimed payouts always equals contract balance", async function () {
       const bounty = await createBounty(issuer, ONE_ETH, true);
       
       async function checkInvariant() {
         const balance = await ethers.provider.getBalance(bounty.address);
         const staked = await bounty.totalStaked();
-        expect(balance).to.equal(staked);
+        expect(balance).to.equal(staked.add(await bounty.totalPayouts()));
       }
       
       await checkInvariant();
@@ -442,8 +446,86 @@ describe("Poidh Stress & Security Tests", function () {
       // Payout
       await time.increase(TWO_DAYS + 1);
       await bounty.resolveVote();
+      await checkInvariant();
       
-      // After payout, both should be 0
+      // After payouts are claimed, both should be 0
+      await bounty.claimPayout(workers[0].address);
+      await bounty.claimPayout(treasury.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+      expect(await bounty.totalStaked()).to.equal(0);
+    });
+
+    it("INVARIANT: totalStaked plus unclaimed payouts equals contract balance under partial distributions", async function () {
+      const params = { milestones: [3000, 3000, 4000] };
+      const bounty = await client.connect(issuer).createBounty("ipfs://metadata", true, params, { value: ONE_ETH });
+
+      async function checkInvariant() {
+        const balance = await ethers.provider.getBalance(bounty.address);
+        expect(balance).to.equal((await bounty.totalStaked()).add(await bounty.totalPayouts()));
+      }
+
+      async function payTranche() {
+        await bounty.connect(issuer).startVote(0);
+        await bounty.connect(contributors[0]).vote(true);
+        await time.increase(TWO_DAYS + 1);
+        await bounty.resolveVote();
+      }
+
+      await bounty.connect(workers[0]).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(contributors[0]).join({ value: ONE_ETH.mul(3) });
+      await bounty.connect(contributors[1]).join({ value: 7777 });
+
+      await payTranche();
+      await checkInvariant();
+
+      // Join and withdraw between tranches at the new share price
+      await bounty.connect(contributors[2]).join({ value: HALF_ETH });
+      await checkInvariant();
+      await bounty.connect(contributors[1]).withdraw(contributors[1].address);
+      await checkInvariant();
+
+      await payTranche();
+      await checkInvariant();
+
+      // Cancel with the last tranche unpaid, everyone redeems their shares
+      await bounty.connect(issuer).cancel();
+      for (const account of [issuer, contributors[0], contributors[2]]) {
+        await bounty.withdraw(account.address);
+        await checkInvariant();
+      }
+
+      expect(await bounty.totalShares()).to.equal(0);
+      await bounty.claimPayout(workers[0].address);
+      await bounty.claimPayout(treasury.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("INVARIANT: payout equals fee plus winner rewards plus tips", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributors[0]).join({ value: 12345 });
+      for (const worker of workers) {
+        await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      }
+
+      await bounty.connect(issuer).setTips([2, 3, 4], [333, 333, 334]);
+      await bounty.connect(issuer).startSplitVote([0, 1], [6667, 3333]);
+      await time.increase(TWO_DAYS + 1);
+
+      const pool = await bounty.totalStaked();
+      const receipt = await (await bounty.connect(attacker).resolveVote()).wait();
+
+      const events = receipt.events.map(e => { try { return bounty.interface.parseLog(e); } catch { return null; } }).filter(Boolean);
+      const rewards = events.filter(e => e.name === "Poidh__BountyPaid").reduce((sum, e) => sum.add(e.args.reward), ethers.constants.Zero);
+      const tips = events.filter(e => e.name === "Poidh__TipPaid").reduce((sum, e) => sum.add(e.args.amount), ethers.constants.Zero);
+      const fee = await bounty.account_Payout(treasury.address);
+
+      expect(fee.add(rewards).add(tips)).to.equal(pool);
+      expect(tips.mul(10000)).to.be.lte(pool.sub(fee).mul(1000));
+      expect(await bounty.totalPayouts()).to.equal(pool);
+      for (const worker of workers) {
+        await bounty.claimPayout(worker.address);
+      }
+      await bounty.claimPayout(treasury.address);
       expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
       expect(await bounty.totalStaked()).to.equal(0);
     });
@@ -657,6 +739,7 @@ describe("Poidh Stress & Security Tests", function () {
       // Contract receives payout
       const balBefore = await ethers.provider.getBalance(contractClaimant.address);
       await bounty.resolveVote();
+      await bounty.claimPayout(contractClaimant.address);
       const balAfter = await ethers.provider.getBalance(contractClaimant.address);
       
       const fee = ONE_ETH.mul(25).div(1000);
@@ -751,10 +834,7 @@ describe("Poidh Stress & Security Tests", function () {
     });
 
     it("should handle empty string metadata", async function () {
-      const tx = await factory.connect(issuer).createBounty("", false, { value: ONE_ETH });
-      const receipt = await tx.wait();
-      const event = receipt.events.find(e => e.event === "PoidhFactory__BountyCreated");
-      const bounty = await ethers.getContractAt("Poidh", event.args.bountyAddress);
+      const bounty = await client.connect(issuer).createBounty("", false, {}, { value: ONE_ETH });
       
       expect(await bounty.metadataURI()).to.equal("");
       
@@ -780,6 +860,7 @@ describe("Poidh Stress & Security Tests", function () {
       
       const workerBal = await workers[0].getBalance();
       await bounty.connect(attacker).resolveVote();
+      await bounty.connect(attacker).claimPayout(workers[0].address);
       
       const fee = LARGE.mul(25).div(1000); // 25 ETH fee
       const reward = LARGE.sub(fee); // 975 ETH reward
@@ -818,6 +899,7 @@ describe("Poidh Stress & Security Tests", function () {
       // Worker gets payout
       const workerBal = await workers[0].getBalance();
       await bounty.connect(attacker).resolveVote();
+      await bounty.connect(attacker).claimPayout(workers[0].address);
       
       const totalStaked = ONE_ETH.mul(3);
       const fee = totalStaked.mul(25).div(1000);
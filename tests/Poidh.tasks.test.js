@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Poidh Task Tests", function () {
+  let factory;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let worker1;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  // Tasks print bounty state, keep the test output clean
+  let log;
+  before(function () {
+    log = console.log;
+    console.log = () => {};
+  });
+  after(function () {
+    console.log = log;
+  });
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, worker1] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+  });
+
+  async function create(args = {}) {
+    const address = await hre.run("poidh:create", {
+      factory: factory.address,
+      amount: "1",
+      joinable: true,
+      from: issuer.address,
+      ...args,
+    });
+    return ethers.getContractAt("Poidh", address);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              LIFECYCLE
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Lifecycle", function () {
+    it("should run a bounty from creation to payout", async function () {
+      const bounty = await create({ params: '{"quorum":25}' });
+      expect(await bounty.issuer()).to.equal(issuer.address);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH);
+      expect(await bounty.quorum()).to.equal(25);
+
+      await hre.run("poidh:join", { bounty: bounty.address, amount: "2", from: contributor1.address });
+      await hre.run("poidh:claim", { bounty: bounty.address, name: "Work", proof: "ipfs://proof", from: worker1.address });
+      await hre.run("poidh:start-vote", { bounty: bounty.address, claim: 0, from: issuer.address });
+      await hre.run("poidh:vote", { bounty: bounty.address, support: true, from: contributor1.address });
+
+      await time.increase(TWO_DAYS + 1);
+      await hre.run("poidh:resolve", { bounty: bounty.address, from: contributor2.address });
+
+      const state = await hre.run("poidh:inspect", { bounty: bounty.address });
+      expect(state.state).to.equal("CLOSED");
+      expect(await bounty.account_Payout(worker1.address)).to.be.gt(0);
+    });
+
+    it("should create and join token bounties, approving as needed", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.mint(contributor1.address, 50e6);
+
+      const bounty = await create({ token: usdc.address, amount: "100" });
+      expect(await bounty.token()).to.equal(usdc.address);
+      expect(await bounty.totalStaked()).to.equal(100e6);
+
+      await hre.run("poidh:join", { bounty: bounty.address, amount: "50", from: contributor1.address });
+      expect(await bounty.account_Stake(contributor1.address)).to.equal(50e6);
+    });
+
+    it("should pay the claim bond", async function () {
+      const bond = ethers.utils.parseEther("0.01");
+      const bounty = await create({ params: JSON.stringify({ claimBond: bond.toString() }) });
+
+      await hre.run("poidh:claim", { bounty: bounty.address, name: "Work", proof: "ipfs://proof", from: worker1.address });
+      expect(await bounty.totalBonds()).to.equal(bond);
+    });
+
+    it("should cancel and refund every funder", async function () {
+      const bounty = await create();
+      await hre.run("poidh:join", { bounty: bounty.address, amount: "1", from: contributor1.address });
+      await hre.run("poidh:join", { bounty: bounty.address, amount: "1", from: contributor2.address });
+      await bounty.connect(contributor2).withdraw(contributor2.address);
+
+      await hre.run("poidh:cancel", { bounty: bounty.address, from: issuer.address });
+      const refunded = await hre.run("poidh:refund-all", { bounty: bounty.address });
+
+      expect(refunded).to.have.members([issuer.address, contributor1.address]);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+      expect(await bounty.totalShares()).to.equal(0);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              ERRORS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Errors", function () {
+    it("should report custom errors by name and refuse refunds while open", async function () {
+      const bounty = await create();
+      await hre.run("poidh:claim", { bounty: bounty.address, name: "Work", proof: "ipfs://proof", from: worker1.address });
+
+      await expect(hre.run("poidh:start-vote", { bounty: bounty.address, claim: 0, from: worker1.address }))
+        .to.be.rejectedWith("Poidh__OnlyIssuer");
+      await expect(hre.run("poidh:refund-all", { bounty: bounty.address }))
+        .to.be.rejectedWith("Bounty is OPEN, refunds need a CANCELLED or EXPIRED bounty");
+    });
+
+    it("should require a factory", async function () {
+      await expect(hre.run("poidh:create", { factory: undefined, amount: "1" }))
+        .to.be.rejectedWith("--factory or POIDH_FACTORY must be set");
+    });
+  });
+});
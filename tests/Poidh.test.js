@@ -1,9 +1,11 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
 
 describe("Poidh", function () {
   let factory;
+  let client;
   let treasury;
   let issuer;
   let contributor1;
@@ -22,15 +24,12 @@ describe("Poidh", function () {
     const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
     factory = await PoidhFactory.deploy(treasury.address);
     await factory.deployed();
+    client = new PoidhClient(factory);
   });
 
   // Helper to create bounty and get contract instance
   async function createBounty(signer, value, joinable) {
-    const tx = await factory.connect(signer).createBounty("ipfs://metadata", joinable, { value });
-    const receipt = await tx.wait();
-    const event = receipt.events.find(e => e.event === "PoidhFactory__BountyCreated");
-    const bountyAddress = event.args.bountyAddress;
-    return await ethers.getContractAt("Poidh", bountyAddress);
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, {}, { value });
   }
 
   /*//////////////////////////////////////////////////////////////
@@ -76,10 +75,14 @@ describe("Poidh", function () {
 
       expect(await bounty.state()).to.equal(2); // CLOSED
 
-      // Check payouts (2.5% fee)
+      // Check payouts (2.5% fee), credited until claimed
       const fee = ONE_ETH.mul(25).div(1000);
       const reward = ONE_ETH.sub(fee);
+      expect(await bounty.account_Payout(worker.address)).to.equal(reward);
+      expect(await bounty.account_Payout(treasury.address)).to.equal(fee);
 
+      await bounty.claimPayout(worker.address);
+      await bounty.claimPayout(treasury.address);
       const workerBalanceAfter = await worker.getBalance();
 
       // Worker receives 97.5% reward
@@ -149,6 +152,7 @@ describe("Poidh", function () {
       const fee = totalStaked.mul(25).div(1000);
       const reward = totalStaked.sub(fee);
 
+      await bounty.claimPayout(worker.address);
       const workerBalanceAfter = await worker.getBalance();
       expect(workerBalanceAfter.sub(workerBalanceBefore)).to.equal(reward);
     });
@@ -583,6 +587,7 @@ describe("Poidh", function () {
 
       const contributor1BalanceBefore = await contributor1.getBalance();
       await bounty.resolveVote();
+      await bounty.claimPayout(contributor1.address);
       const contributor1BalanceAfter = await contributor1.getBalance();
 
       // Contributor1 (claim 2) gets paid, not worker
@@ -732,6 +737,8 @@ describe("Poidh", function () {
       expect(await bounty.state()).to.equal(2); // CLOSED
 
       // Funds paid out
+      await bounty.claimPayout(worker.address);
+      await bounty.claimPayout(treasury.address);
       expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
     });
 
@@ -872,10 +879,7 @@ describe("Poidh", function () {
       await factory.connect(treasury).setImplementation(newImpl.address);
 
       // Create bounty with new implementation
-      const tx = await factory.connect(issuer).createBounty("ipfs://new", true, { value: ONE_ETH });
-      const receipt = await tx.wait();
-      const event = receipt.events.find(e => e.event === "PoidhFactory__BountyCreated");
-      const bounty = await ethers.getContractAt("Poidh", event.args.bountyAddress);
+      const bounty = await client.connect(issuer).createBounty("ipfs://new", true, {}, { value: ONE_ETH });
 
       // Bounty should work normally
       expect(await bounty.issuer()).to.equal(issuer.address);
@@ -887,10 +891,7 @@ describe("Poidh", function () {
       await factory.connect(treasury).setTreasury(newTreasury.address);
 
       // Create bounty with new treasury
-      const tx = await factory.connect(issuer).createBounty("ipfs://new", false, { value: ONE_ETH });
-      const receipt = await tx.wait();
-      const event = receipt.events.find(e => e.event === "PoidhFactory__BountyCreated");
-      const bounty = await ethers.getContractAt("Poidh", event.args.bountyAddress);
+      const bounty = await client.connect(issuer).createBounty("ipfs://new", false, {}, { value: ONE_ETH });
 
       expect(await bounty.treasury()).to.equal(newTreasury.address);
 
@@ -901,6 +902,7 @@ describe("Poidh", function () {
 
       const treasuryBalBefore = await newTreasury.getBalance();
       await bounty.resolveVote();
+      await bounty.claimPayout(newTreasury.address);
       const treasuryBalAfter = await newTreasury.getBalance();
 
       const expectedFee = ONE_ETH.mul(25).div(1000);
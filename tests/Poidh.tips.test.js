@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Tip Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let worker1;
+  let worker2;
+  let worker3;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, worker1, worker2, worker3] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  // Bounty with three claims: worker1 wins, worker2 and worker3 are runners-up
+  async function createClaimedBounty(joinable = false, overrides = {}) {
+    const bounty = await createBounty(issuer, ONE_ETH, joinable, overrides);
+    await bounty.connect(worker1).submitClaim("Winner", "ipfs://1");
+    await bounty.connect(worker2).submitClaim("Runner-up", "ipfs://2");
+    await bounty.connect(worker3).submitClaim("Third", "ipfs://3");
+    return bounty;
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              PROPOSING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("setTips", function () {
+    it("should store the proposed tips", async function () {
+      const bounty = await createClaimedBounty();
+
+      await expect(bounty.connect(issuer).setTips([1, 2], [500, 250]))
+        .to.emit(bounty, "Poidh__TipsProposed")
+        .withArgs([1, 2], [500, 250]);
+
+      const [claimIds, shares] = await bounty.getProposedTips();
+      expect(claimIds.map(Number)).to.deep.equal([1, 2]);
+      expect(shares.map(Number)).to.deep.equal([500, 250]);
+    });
+
+    it("should clear tips with empty arrays", async function () {
+      const bounty = await createClaimedBounty();
+      await bounty.connect(issuer).setTips([1], [500]);
+      await bounty.connect(issuer).setTips([], []);
+
+      const [claimIds] = await bounty.getProposedTips();
+      expect(claimIds.length).to.equal(0);
+    });
+
+    it("should cap tips at MAX_TIP_BPS", async function () {
+      const bounty = await createClaimedBounty();
+      expect(await bounty.MAX_TIP_BPS()).to.equal(1000);
+
+      await bounty.connect(issuer).setTips([1, 2], [600, 400]);
+      await expect(bounty.connect(issuer).setTips([1, 2], [600, 401]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidTips");
+    });
+
+    it("should reject malformed tips", async function () {
+      const bounty = await createClaimedBounty();
+
+      await expect(bounty.connect(issuer).setTips([1, 1], [100, 100]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidTips");
+      await expect(bounty.connect(issuer).setTips([1], [0]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidTips");
+      await expect(bounty.connect(issuer).setTips([1, 2], [100]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidTips");
+      await expect(bounty.connect(issuer).setTips([3], [100]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidClaimId");
+    });
+
+    it("should only allow the issuer to set tips while OPEN", async function () {
+      const bounty = await createClaimedBounty();
+      await expect(bounty.connect(worker2).setTips([1], [1000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__OnlyIssuer");
+
+      await bounty.connect(issuer).startVote(0);
+      await expect(bounty.connect(issuer).setTips([1], [500]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+
+    it("should not start a vote that tips a winner or a withdrawn claim", async function () {
+      const bounty = await createClaimedBounty();
+      await bounty.connect(issuer).setTips([1], [500]);
+
+      await expect(bounty.connect(issuer).startVote(1))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidTips");
+      await expect(bounty.connect(issuer).startSplitVote([0, 1], [5000, 5000]))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidTips");
+
+      await bounty.connect(worker2).withdrawClaim(1);
+      await expect(bounty.connect(issuer).startVote(0))
+        .to.be.revertedWithCustomError(bounty, "Poidh__InvalidTips");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                              PAYING
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Payout", function () {
+    it("should pay tips from the reward after the fee", async function () {
+      const bounty = await createClaimedBounty();
+      await bounty.connect(issuer).setTips([1, 2], [500, 250]);
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+
+      const fee = ONE_ETH.mul(25).div(1000);
+      const reward = ONE_ETH.sub(fee);
+      const tip1 = reward.mul(500).div(10000);
+      const tip2 = reward.mul(250).div(10000);
+      const worker2Before = await worker2.getBalance();
+      const worker3Before = await worker3.getBalance();
+
+      await expect(bounty.resolveVote())
+        .to.emit(bounty, "Poidh__TipPaid")
+        .withArgs(1, worker2.address, tip1)
+        .and.to.emit(bounty, "Poidh__TipPaid")
+        .withArgs(2, worker3.address, tip2)
+        .and.to.emit(bounty, "Poidh__BountyPaid")
+        .withArgs(worker1.address, reward.sub(tip1).sub(tip2), fee);
+
+      for (const account of [worker1, worker2, worker3, treasury]) {
+        await bounty.claimPayout(account.address);
+      }
+      expect((await worker2.getBalance()).sub(worker2Before)).to.equal(tip1);
+      expect((await worker3.getBalance()).sub(worker3Before)).to.equal(tip2);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should not pay tips when the vote fails", async function () {
+      const bounty = await createClaimedBounty(true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH.mul(2) });
+      await bounty.connect(issuer).setTips([1], [1000]);
+      await bounty.connect(issuer).startVote(0);
+      await bounty.connect(contributor1).vote(false);
+      await time.increase(TWO_DAYS + 1);
+
+      await expect(bounty.resolveVote())
+        .to.not.emit(bounty, "Poidh__TipPaid");
+
+      // Tips stay proposed for the next vote
+      const [claimIds] = await bounty.getProposedTips();
+      expect(claimIds.map(Number)).to.deep.equal([1]);
+    });
+
+    it("should tip alongside a multi-winner split", async function () {
+      const bounty = await createClaimedBounty();
+      await bounty.connect(issuer).setTips([2], [1000]);
+      await bounty.connect(issuer).startSplitVote([0, 1], [5000, 5000]);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.account_Payout(worker3.address)).to.equal(ONE_ETH.mul(975).div(1000).div(10));
+      for (const account of [worker1, worker2, worker3, treasury]) {
+        await bounty.claimPayout(account.address);
+      }
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should tip only the tranche they were ratified with", async function () {
+      const bounty = await createClaimedBounty(false, { milestones: [5000, 5000] });
+      await bounty.connect(issuer).setTips([1], [1000]);
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+
+      const tranche = ONE_ETH.div(2);
+      const tip = tranche.sub(tranche.mul(25).div(1000)).div(10);
+      await expect(bounty.resolveVote())
+        .to.emit(bounty, "Poidh__TipPaid")
+        .withArgs(1, worker2.address, tip);
+
+      const [claimIds] = await bounty.getProposedTips();
+      expect(claimIds.length).to.equal(0);
+
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+      await expect(bounty.resolveVote())
+        .to.not.emit(bounty, "Poidh__TipPaid");
+    });
+
+    it("should drop tips when the arbitrator awards a claim", async function () {
+      const bounty = await createClaimedBounty(false, { arbitrator: contributor1.address });
+      await bounty.connect(issuer).setTips([1], [1000]);
+      await time.increase(30 * 24 * 60 * 60);
+      await bounty.connect(worker1).dispute(0);
+
+      await expect(bounty.connect(contributor1).ruleDispute(true, 1))
+        .to.not.emit(bounty, "Poidh__TipPaid");
+      expect(await bounty.account_Payout(worker1.address)).to.equal(0);
+      await bounty.claimPayout(worker2.address);
+      await bounty.claimPayout(treasury.address);
+      expect(await ethers.provider.getBalance(bounty.address)).to.equal(0);
+    });
+
+    it("should tip in the bounty token", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 1000e6);
+      await usdc.connect(issuer).approve(factory.address, 1000e6);
+
+      const bounty = await createBounty(issuer, 0, false, { token: usdc.address, amount: 1000e6 });
+      await bounty.connect(worker1).submitClaim("Winner", "ipfs://1");
+      await bounty.connect(worker2).submitClaim("Runner-up", "ipfs://2");
+      await bounty.connect(issuer).setTips([1], [1000]);
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      for (const account of [worker1, worker2, treasury]) {
+        await bounty.claimPayout(account.address);
+      }
+
+      expect(await usdc.balanceOf(worker2.address)).to.equal(97.5e6);
+      expect(await usdc.balanceOf(worker1.address)).to.equal(877.5e6);
+      expect(await usdc.balanceOf(treasury.address)).to.equal(25e6);
+    });
+  });
+});
@@ -0,0 +1,318 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient, bountyParams } = require("../sdk");
+
+describe("Poidh ERC-20 Bounty Tests", function () {
+  let factory;
+  let client;
+  let token;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let worker;
+
+  const ONE_USDC = ethers.utils.parseUnits("1", 6);
+  const HUNDRED_USDC = ethers.utils.parseUnits("100", 6);
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, worker] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    token = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await token.deployed();
+
+    for (const account of [issuer, contributor1, contributor2]) {
+      await token.mint(account.address, HUNDRED_USDC.mul(10));
+    }
+  });
+
+  // Helper to approve the factory and create a token bounty
+  async function createTokenBounty(signer, tokenContract, amount, joinable) {
+    await tokenContract.connect(signer).approve(factory.address, amount);
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, { token: tokenContract.address, amount });
+  }
+
+  async function joinWithToken(bounty, tokenContract, signer, amount) {
+    await tokenContract.connect(signer).approve(bounty.address, amount);
+    return bounty.connect(signer).joinWithToken(amount);
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                        TOKEN BOUNTY CREATION
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Creation", function () {
+    it("should create token bounty with issuer stake", async function () {
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, true);
+
+      expect(await bounty.token()).to.equal(token.address);
+      expect(await bounty.totalStaked()).to.equal(HUNDRED_USDC);
+      expect(await bounty.account_Stake(issuer.address)).to.equal(HUNDRED_USDC);
+      expect(await token.balanceOf(bounty.address)).to.equal(HUNDRED_USDC);
+    });
+
+    it("should emit token in BountyCreated event", async function () {
+      await token.connect(issuer).approve(factory.address, HUNDRED_USDC);
+      await expect(factory.connect(issuer).createBounty("ipfs://metadata", false, bountyParams({ token: token.address, amount: HUNDRED_USDC })))
+        .to.emit(factory, "PoidhFactory__BountyCreated");
+
+      const bounty = await ethers.getContractAt("Poidh", await factory.allBounties(0));
+      const filter = factory.filters.PoidhFactory__BountyCreated(null, null, token.address);
+      const events = await factory.queryFilter(filter);
+      expect(events.length).to.equal(1);
+      expect(events[0].args.bountyAddress).to.equal(bounty.address);
+    });
+
+    it("should default to ETH when token is zero address", async function () {
+      const bounty = await client.connect(issuer).createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+
+      expect(await bounty.token()).to.equal(ethers.constants.AddressZero);
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH);
+    });
+
+    it("should reject ETH sent with a token bounty", async function () {
+      const impl = await ethers.getContractAt("Poidh", await factory.implementation());
+      await token.connect(issuer).approve(factory.address, HUNDRED_USDC);
+      await expect(
+        factory.connect(issuer).createBounty("ipfs://metadata", true, bountyParams({ token: token.address, amount: HUNDRED_USDC }), { value: ONE_ETH })
+      ).to.be.revertedWithCustomError(impl, "Poidh__InvalidCurrency");
+    });
+
+    it("should allow zero-funded token bounty", async function () {
+      const bounty = await createTokenBounty(issuer, token, 0, true);
+      expect(await bounty.totalStaked()).to.equal(0);
+      expect(await bounty.account_Stake(issuer.address)).to.equal(0);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                            JOIN / WITHDRAW
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Join and Withdraw", function () {
+    it("should allow contributors to join with tokens", async function () {
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, true);
+
+      await expect(joinWithToken(bounty, token, contributor1, HUNDRED_USDC))
+        .to.emit(bounty, "Poidh__Joined")
+        .withArgs(contributor1.address, HUNDRED_USDC);
+
+      expect(await bounty.totalStaked()).to.equal(HUNDRED_USDC.mul(2));
+      expect(await bounty.account_Stake(contributor1.address)).to.equal(HUNDRED_USDC);
+    });
+
+    it("should not allow ETH join on token bounty", async function () {
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, true);
+      await expect(
+        bounty.connect(contributor1).join({ value: ONE_ETH })
+      ).to.be.revertedWithCustomError(bounty, "Poidh__InvalidCurrency");
+    });
+
+    it("should not allow token join on ETH bounty", async function () {
+      const bounty = await client.connect(issuer).createBounty("ipfs://metadata", true, {}, { value: ONE_ETH });
+
+      await expect(
+        bounty.connect(contributor1).joinWithToken(ONE_USDC)
+      ).to.be.revertedWithCustomError(bounty, "Poidh__InvalidCurrency");
+    });
+
+    it("should not allow token join on solo bounty", async function () {
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, false);
+      await expect(
+        joinWithToken(bounty, token, contributor1, ONE_USDC)
+      ).to.be.revertedWithCustomError(bounty, "Poidh__BountyNotJoinable");
+    });
+
+    it("should not allow joining with zero tokens", async function () {
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, true);
+      await expect(
+        bounty.connect(contributor1).joinWithToken(0)
+      ).to.be.revertedWithCustomError(bounty, "Poidh__NoTokensSent");
+    });
+
+    it("should return tokens on withdraw while OPEN", async function () {
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, true);
+      await joinWithToken(bounty, token, contributor1, HUNDRED_USDC);
+
+      const balBefore = await token.balanceOf(contributor1.address);
+      await expect(bounty.connect(contributor1).withdraw(contributor1.address))
+        .to.emit(bounty, "Poidh__Withdrawn")
+        .withArgs(contributor1.address, HUNDRED_USDC);
+
+      expect((await token.balanceOf(contributor1.address)).sub(balBefore)).to.equal(HUNDRED_USDC);
+      expect(await bounty.totalStaked()).to.equal(HUNDRED_USDC);
+    });
+
+    it("should refund every funder in tokens after cancel", async function () {
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, true);
+      await joinWithToken(bounty, token, contributor1, HUNDRED_USDC);
+      await joinWithToken(bounty, token, contributor2, ONE_USDC);
+
+      await bounty.connect(issuer).cancel();
+
+      const issuerBefore = await token.balanceOf(issuer.address);
+      const c1Before = await token.balanceOf(contributor1.address);
+      const c2Before = await token.balanceOf(contributor2.address);
+
+      await bounty.connect(worker).withdraw(issuer.address);
+      await bounty.connect(worker).withdraw(contributor1.address);
+      await bounty.connect(worker).withdraw(contributor2.address);
+
+      expect((await token.balanceOf(issuer.address)).sub(issuerBefore)).to.equal(HUNDRED_USDC);
+      expect((await token.balanceOf(contributor1.address)).sub(c1Before)).to.equal(HUNDRED_USDC);
+      expect((await token.balanceOf(contributor2.address)).sub(c2Before)).to.equal(ONE_USDC);
+      expect(await token.balanceOf(bounty.address)).to.equal(0);
+      expect(await bounty.totalStaked()).to.equal(0);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                                PAYOUT
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Payout", function () {
+    it("should split token payout between winner and treasury", async function () {
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, true);
+      await joinWithToken(bounty, token, contributor1, HUNDRED_USDC);
+
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+
+      const total = HUNDRED_USDC.mul(2);
+      const fee = total.mul(25).div(1000);
+      const reward = total.sub(fee);
+
+      await expect(bounty.resolveVote())
+        .to.emit(bounty, "Poidh__BountyPaid")
+        .withArgs(worker.address, reward, fee);
+      expect(await token.balanceOf(bounty.address)).to.equal(total);
+
+      await bounty.claimPayout(worker.address);
+      await bounty.claimPayout(treasury.address);
+      expect(await token.balanceOf(worker.address)).to.equal(reward);
+      expect(await token.balanceOf(treasury.address)).to.equal(fee);
+      expect(await token.balanceOf(bounty.address)).to.equal(0);
+    });
+
+    it("should pay full amount to winner when treasury is zero", async function () {
+      await factory.connect(treasury).setTreasury(ethers.constants.AddressZero);
+      const bounty = await createTokenBounty(issuer, token, HUNDRED_USDC, false);
+
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      await bounty.claimPayout(worker.address);
+
+      expect(await token.balanceOf(worker.address)).to.equal(HUNDRED_USDC);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                          NON-STANDARD TOKENS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Fee-on-Transfer Tokens", function () {
+    let feeToken;
+
+    beforeEach(async function () {
+      const MockFeeOnTransferToken = await ethers.getContractFactory("MockFeeOnTransferToken");
+      feeToken = await MockFeeOnTransferToken.deploy();
+      await feeToken.deployed();
+      await feeToken.mint(issuer.address, ONE_ETH.mul(10));
+      await feeToken.mint(contributor1.address, ONE_ETH.mul(10));
+    });
+
+    // 1% of every transfer is burned by the token
+    const afterFee = (amount) => amount.sub(amount.mul(100).div(10000));
+
+    it("should credit issuer with amount actually received", async function () {
+      const bounty = await createTokenBounty(issuer, feeToken, ONE_ETH, true);
+
+      expect(await bounty.account_Stake(issuer.address)).to.equal(afterFee(ONE_ETH));
+      expect(await bounty.totalStaked()).to.equal(await feeToken.balanceOf(bounty.address));
+    });
+
+    it("should credit joiner with amount actually received", async function () {
+      const bounty = await createTokenBounty(issuer, feeToken, ONE_ETH, true);
+      await joinWithToken(bounty, feeToken, contributor1, ONE_ETH);
+
+      expect(await bounty.account_Stake(contributor1.address)).to.equal(afterFee(ONE_ETH));
+      expect(await bounty.totalStaked()).to.equal(await feeToken.balanceOf(bounty.address));
+    });
+
+    it("should keep accounting solvent through withdraw and payout", async function () {
+      const bounty = await createTokenBounty(issuer, feeToken, ONE_ETH, true);
+      await joinWithToken(bounty, feeToken, contributor1, ONE_ETH);
+      await bounty.connect(contributor1).withdraw(contributor1.address);
+
+      expect(await bounty.totalStaked()).to.equal(await feeToken.balanceOf(bounty.address));
+
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.state()).to.equal(2); // CLOSED
+      expect(await bounty.totalPayouts()).to.equal(await feeToken.balanceOf(bounty.address));
+      await bounty.claimPayout(worker.address);
+      await bounty.claimPayout(treasury.address);
+      expect(await feeToken.balanceOf(bounty.address)).to.equal(0);
+    });
+  });
+
+  describe("Non-Standard Return Tokens", function () {
+    let noReturnToken;
+
+    beforeEach(async function () {
+      const MockNoReturnToken = await ethers.getContractFactory("MockNoReturnToken");
+      noReturnToken = await MockNoReturnToken.deploy();
+      await noReturnToken.deployed();
+      await noReturnToken.mint(issuer.address, HUNDRED_USDC);
+      await noReturnToken.mint(contributor1.address, HUNDRED_USDC);
+    });
+
+    it("should complete full lifecycle with a token that returns no bool", async function () {
+      const bounty = await createTokenBounty(issuer, noReturnToken, HUNDRED_USDC, true);
+      await joinWithToken(bounty, noReturnToken, contributor1, HUNDRED_USDC);
+
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+      await bounty.claimPayout(worker.address);
+      await bounty.claimPayout(treasury.address);
+
+      const total = HUNDRED_USDC.mul(2);
+      const fee = total.mul(25).div(1000);
+      expect(await noReturnToken.balanceOf(worker.address)).to.equal(total.sub(fee));
+      expect(await noReturnToken.balanceOf(treasury.address)).to.equal(fee);
+    });
+
+    it("should refund after cancel with a token that returns no bool", async function () {
+      const bounty = await createTokenBounty(issuer, noReturnToken, HUNDRED_USDC, true);
+      await bounty.connect(issuer).cancel();
+      await bounty.withdraw(issuer.address);
+
+      expect(await noReturnToken.balanceOf(issuer.address)).to.equal(HUNDRED_USDC);
+    });
+
+    it("should revert when transferFrom fails without return data", async function () {
+      await expect(
+        factory.connect(contributor2).createBounty("ipfs://metadata", true, bountyParams({ token: noReturnToken.address, amount: HUNDRED_USDC }))
+      ).to.be.revertedWith("insufficient balance");
+    });
+  });
+});
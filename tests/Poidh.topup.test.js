@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient, bountyParams } = require("../sdk");
+
+describe("Poidh Issuer Top-Up Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let worker;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const TWO_DAYS = 2 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, worker] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                              TOP-UPS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Top-up", function () {
+    it("should let the issuer top up a solo bounty", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+
+      await expect(bounty.connect(issuer).join({ value: ONE_ETH }))
+        .to.emit(bounty, "Poidh__Joined")
+        .withArgs(issuer.address, ONE_ETH);
+
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH.mul(2));
+      expect(await bounty.account_Stake(issuer.address)).to.equal(ONE_ETH.mul(2));
+      await expect(bounty.connect(contributor1).join({ value: ONE_ETH }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotJoinable");
+    });
+
+    it("should let the issuer fund a bounty created without funds", async function () {
+      const bounty = await createBounty(issuer, 0, false);
+      await bounty.connect(issuer).join({ value: ONE_ETH });
+      expect(await bounty.account_Shares(issuer.address)).to.equal(ONE_ETH);
+    });
+
+    it("should pay out the raised reward", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(issuer).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+
+      const total = ONE_ETH.mul(2);
+      const fee = total.mul(25).div(1000);
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+      await expect(bounty.resolveVote())
+        .to.emit(bounty, "Poidh__BountyPaid")
+        .withArgs(worker.address, total.sub(fee), fee);
+    });
+
+    it("should let the issuer top up an open bounty", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(issuer).join({ value: ONE_ETH });
+
+      expect(await bounty.account_Stake(issuer.address)).to.equal(ONE_ETH.mul(2));
+      expect(await bounty.totalStaked()).to.equal(ONE_ETH.mul(3));
+    });
+
+    it("should let the issuer top up a solo token bounty", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 300e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+
+      const bounty = await createBounty(issuer, 0, false, { token: usdc.address, amount: 100e6 });
+      await usdc.connect(issuer).approve(bounty.address, 200e6);
+      await bounty.connect(issuer).joinWithToken(200e6);
+
+      expect(await bounty.totalStaked()).to.equal(300e6);
+      expect(await usdc.balanceOf(bounty.address)).to.equal(300e6);
+    });
+
+    it("should only allow top-ups while OPEN", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await expect(bounty.connect(issuer).join({ value: ONE_ETH }))
+        .to.be.revertedWithCustomError(bounty, "Poidh__BountyNotOpen");
+    });
+
+    it("should keep topped-up funds locked until cancellation", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(issuer).join({ value: ONE_ETH });
+
+      await expect(bounty.connect(issuer).withdraw(issuer.address))
+        .to.be.revertedWithCustomError(bounty, "Poidh__CannotWithdraw");
+      await bounty.connect(issuer).cancel();
+      await expect(bounty.withdraw(issuer.address))
+        .to.emit(bounty, "Poidh__Withdrawn")
+        .withArgs(issuer.address, ONE_ETH.mul(2));
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                            FACTORY STATS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Factory stats", function () {
+    it("should record initial funding, joins and top-ups", async function () {
+      const ETH = ethers.constants.AddressZero;
+      const tx = await factory.connect(issuer).createBounty("ipfs://metadata", true, bountyParams(), { value: ONE_ETH });
+      const receipt = await tx.wait();
+      const created = receipt.events.find(e => e.event === "PoidhFactory__BountyCreated");
+      const bounty = await ethers.getContractAt("Poidh", created.args.bountyAddress);
+      const funded = receipt.events.find(e => e.event === "PoidhFactory__BountyFunded");
+      expect(funded.args.account).to.equal(issuer.address);
+      expect(funded.args.amount).to.equal(ONE_ETH);
+      expect(funded.args.topUp).to.be.false;
+      expect(await factory.isBounty(bounty.address)).to.be.true;
+      expect(await bounty.factory()).to.equal(factory.address);
+
+      await expect(bounty.connect(contributor1).join({ value: ONE_ETH }))
+        .to.emit(factory, "PoidhFactory__BountyFunded")
+        .withArgs(bounty.address, contributor1.address, ETH, ONE_ETH, false);
+      await expect(bounty.connect(issuer).join({ value: ONE_ETH.mul(2) }))
+        .to.emit(factory, "PoidhFactory__BountyFunded")
+        .withArgs(bounty.address, issuer.address, ETH, ONE_ETH.mul(2), true);
+
+      expect(await factory.token_TotalFunded(ETH)).to.equal(ONE_ETH.mul(4));
+      expect(await factory.token_TotalTopUps(ETH)).to.equal(ONE_ETH.mul(2));
+    });
+
+    it("should track token stats separately", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.mint(issuer.address, 100e6);
+      await usdc.connect(issuer).approve(factory.address, 100e6);
+
+      await createBounty(issuer, 0, false, { token: usdc.address, amount: 100e6 });
+      expect(await factory.token_TotalFunded(usdc.address)).to.equal(100e6);
+      expect(await factory.token_TotalFunded(ethers.constants.AddressZero)).to.equal(0);
+    });
+
+    it("should only accept funding records from its bounties", async function () {
+      await expect(factory.connect(contributor1).recordFunding(contributor1.address, ethers.constants.AddressZero, ONE_ETH, true))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__OnlyBounty");
+    });
+  });
+});
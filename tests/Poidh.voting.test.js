@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { PoidhClient } = require("../sdk");
+
+describe("Poidh Voting Configuration Tests", function () {
+  let factory;
+  let client;
+  let treasury;
+  let issuer;
+  let contributor1;
+  let contributor2;
+  let contributor3;
+  let worker;
+
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const ONE_DAY = 24 * 60 * 60;
+  const TWO_DAYS = 2 * ONE_DAY;
+
+  beforeEach(async function () {
+    [treasury, issuer, contributor1, contributor2, contributor3, worker] = await ethers.getSigners();
+
+    const PoidhFactory = await ethers.getContractFactory("PoidhFactory");
+    factory = await PoidhFactory.deploy(treasury.address);
+    await factory.deployed();
+    client = new PoidhClient(factory);
+  });
+
+  async function createBounty(signer, value, joinable, overrides = {}) {
+    return client.connect(signer).createBounty("ipfs://metadata", joinable, overrides, { value });
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            DEFAULTS & BOUNDS
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Configuration", function () {
+    it("should apply factory defaults when params are zero", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+
+      expect(await bounty.votingPeriod()).to.equal(TWO_DAYS);
+      expect(await bounty.quorum()).to.equal(0);
+      expect(await bounty.passThreshold()).to.equal(50);
+    });
+
+    it("should store custom voting rules", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { votingPeriod: 5 * ONE_DAY, quorum: 30, passThreshold: 66 });
+
+      expect(await bounty.votingPeriod()).to.equal(5 * ONE_DAY);
+      expect(await bounty.quorum()).to.equal(30);
+      expect(await bounty.passThreshold()).to.equal(66);
+    });
+
+    it("should reject voting periods outside factory bounds", async function () {
+      await expect(createBounty(issuer, ONE_ETH, true, { votingPeriod: ONE_DAY - 1 }))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__InvalidVotingPeriod");
+      await expect(createBounty(issuer, ONE_ETH, true, { votingPeriod: 30 * ONE_DAY + 1 }))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__InvalidVotingPeriod");
+    });
+
+    it("should clamp the default voting period to updated bounds", async function () {
+      await factory.connect(treasury).setVotingPeriodBounds(3 * ONE_DAY, 7 * ONE_DAY);
+      expect(await (await createBounty(issuer, ONE_ETH, true)).votingPeriod()).to.equal(3 * ONE_DAY);
+
+      await factory.connect(treasury).setVotingPeriodBounds(ONE_DAY / 2, ONE_DAY);
+      expect(await (await createBounty(issuer, ONE_ETH, true)).votingPeriod()).to.equal(ONE_DAY);
+
+      const bounty = await createBounty(issuer, ONE_ETH, true, { votingPeriod: ONE_DAY / 2 });
+      expect(await bounty.votingPeriod()).to.equal(ONE_DAY / 2);
+    });
+
+    it("should reject quorum or threshold above 100 percent", async function () {
+      const impl = await ethers.getContractAt("Poidh", await factory.implementation());
+      await expect(createBounty(issuer, ONE_ETH, true, { quorum: 101 }))
+        .to.be.revertedWithCustomError(impl, "Poidh__InvalidVoteConfig");
+      await expect(createBounty(issuer, ONE_ETH, true, { passThreshold: 101 }))
+        .to.be.revertedWithCustomError(impl, "Poidh__InvalidVoteConfig");
+    });
+  });
+
+  describe("Factory Bounds", function () {
+    it("should let owner update voting period bounds", async function () {
+      await expect(factory.connect(treasury).setVotingPeriodBounds(ONE_DAY, 10 * ONE_DAY))
+        .to.emit(factory, "PoidhFactory__VotingPeriodBoundsUpdated")
+        .withArgs(ONE_DAY, 10 * ONE_DAY);
+
+      expect(await factory.minVotingPeriod()).to.equal(ONE_DAY);
+      expect(await factory.maxVotingPeriod()).to.equal(10 * ONE_DAY);
+    });
+
+    it("should reject invalid bounds", async function () {
+      await expect(factory.connect(treasury).setVotingPeriodBounds(0, ONE_DAY))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__InvalidVotingPeriod");
+      await expect(factory.connect(treasury).setVotingPeriodBounds(2 * ONE_DAY, ONE_DAY))
+        .to.be.revertedWithCustomError(factory, "PoidhFactory__InvalidVotingPeriod");
+    });
+
+    it("should not allow non-owner to update bounds", async function () {
+      await expect(factory.connect(issuer).setVotingPeriodBounds(ONE_DAY, 10 * ONE_DAY))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                            VOTING PERIOD
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Voting Period", function () {
+    it("should use the bounty voting period for the deadline", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { votingPeriod: 5 * ONE_DAY });
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      const vote = await bounty.currentVote();
+      expect(vote.deadline).to.equal((await time.latest()) + 5 * ONE_DAY);
+
+      await time.increase(TWO_DAYS + 1);
+      await expect(bounty.resolveVote())
+        .to.be.revertedWithCustomError(bounty, "Poidh__VotingNotEnded");
+
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(3 * ONE_DAY);
+      await bounty.resolveVote();
+      expect(await bounty.state()).to.equal(2); // CLOSED
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                                QUORUM
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Quorum", function () {
+    it("should fail a zero-turnout vote when quorum is set", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { quorum: 20 });
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+
+      await expect(bounty.resolveVote())
+        .to.emit(bounty, "Poidh__VoteFailed")
+        .withArgs(0, 1);
+      expect(await bounty.state()).to.equal(0); // OPEN
+    });
+
+    it("should keep zero-turnout pass when quorum is zero", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false);
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+
+      await bounty.resolveVote();
+      expect(await bounty.state()).to.equal(2);
+    });
+
+    it("should fail when unanimous yes votes are below quorum", async function () {
+      // 2 ETH can vote (the issuer's 2 ETH can't), quorum 60% => 1.2 ETH must vote
+      const bounty = await createBounty(issuer, ONE_ETH.mul(2), true, { quorum: 60 });
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.state()).to.equal(0);
+    });
+
+    it("should pass when turnout exactly meets quorum", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH.mul(2), true, { quorum: 50 });
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.state()).to.equal(2);
+    });
+
+    it("should not count issuer top-ups toward the quorum", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { quorum: 50 });
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      await bounty.connect(issuer).join({ value: ONE_ETH.mul(10) });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await bounty.connect(contributor1).vote(true);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.state()).to.equal(2);
+    });
+
+    it("should let a solo bounty with a quorum pay out", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, false, { quorum: 10 });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+      await time.increase(TWO_DAYS + 1);
+
+      await expect(bounty.resolveVote()).to.emit(bounty, "Poidh__BountyPaid");
+      expect(await bounty.state()).to.equal(2);
+    });
+  });
+
+  /*//////////////////////////////////////////////////////////////
+                            PASS THRESHOLD
+  //////////////////////////////////////////////////////////////*/
+
+  describe("Pass Threshold", function () {
+    it("should fail a tie when threshold is a supermajority", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { passThreshold: 67 });
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await bounty.connect(contributor1).vote(true);
+      await bounty.connect(contributor2).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.state()).to.equal(0);
+    });
+
+    it("should pass when yes share meets the threshold", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true, { passThreshold: 66 });
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      await bounty.connect(contributor3).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      // 2/3 yes = 66.6% >= 66%
+      await bounty.connect(contributor1).vote(true);
+      await bounty.connect(contributor2).vote(true);
+      await bounty.connect(contributor3).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.state()).to.equal(2);
+    });
+
+    it("should keep tie-passes behavior at the default threshold", async function () {
+      const bounty = await createBounty(issuer, ONE_ETH, true);
+      await bounty.connect(contributor1).join({ value: ONE_ETH });
+      await bounty.connect(contributor2).join({ value: ONE_ETH });
+      await bounty.connect(worker).submitClaim("Work", "ipfs://proof");
+      await bounty.connect(issuer).startVote(0);
+
+      await bounty.connect(contributor1).vote(true);
+      await bounty.connect(contributor2).vote(false);
+      await time.increase(TWO_DAYS + 1);
+      await bounty.resolveVote();
+
+      expect(await bounty.state()).to.equal(2);
+    });
+  });
+});